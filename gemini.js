@@ -1,85 +1,67 @@
-import { GoogleGenerativeAI } from "@google/generative-ai";
 import { db } from "./firebase-admin.js";
+import { getProvider, getOperationConfig } from "./services/llm/index.js";
+import { validateAnalysis, REASON } from "./services/analysisSchemas.js";
+import { encryptText, searchTokensFor } from "./services/encryption.js";
+import { recordUsage } from "./services/usage.js";
+import { redactorFor } from "./services/redaction.js";
+import { detectLanguage, outputLanguage } from "./services/language.js";
+import { publishAnalysisEvent } from "./services/analysisEvents.js";
+import { detectCrisisLanguage, combineSafetySignals, buildSafetyBlock, logSafetyEvent, safetyInsight } from "./services/safety.js";
+import { buildDailyAnalysisPrompt, buildSafetyCheckPrompt, buildDayReviewPrompt, buildWeeklyAnalysisPrompt, buildRetrospectivePrompt, buildRepairPrompt } from "./services/prompts.js";
 import dotenv from "dotenv";
 
 dotenv.config();
 
-if (!process.env.GEMINI_API_KEY) {
-    throw new Error("GEMINI_API_KEY is missing in environment variables");
-}
-
-const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
-
-// Stable production model with good free tier quotas
-const model = genAI.getGenerativeModel({
-    model: "gemini-2.5-flash",
-    generationConfig: {
-        temperature: 0.3,
-        maxOutputTokens: 2000  // Increased to prevent truncation
-    }
-});
+// Set SAFETY_LLM_CHECK=false to rely on the pattern layer alone
+const SAFETY_LLM_CHECK = process.env.SAFETY_LLM_CHECK !== "false";
 
 /**
- * Increment API request counter for user and log the request
- * Tracks: total count, logs (last 100), byDate, byType
+ * Run one provider call and record it (tokens, latency, cost) for the user
+ * Failed calls are recorded too - they still count against the quota.
  */
-async function incrementAPICount(userId, operation = 'unknown', details = '') {
-    if (!userId) return;
-    
+async function generateWithUsage(request, userId, details) {
+    const provider = getProvider();
+    const config = getOperationConfig(request.operation, provider.name);
+    const started = Date.now();
+    let result = null;
+
     try {
-        const userRef = db.collection("users").doc(userId);
-        const userDoc = await userRef.get();
-        const userData = userDoc.data() || {};
-        
-        const currentCount = userData.apiRequestCount || 0;
-        const currentLogs = userData.apiLogs || [];
-        const byDate = userData.apiUsage?.byDate || {};
-        const byType = userData.apiUsage?.byType || {};
-        
-        const today = new Date().toISOString().split('T')[0];
-        const operationType = operation.includes('text') ? 'text' : 
-                              operation.includes('voice') ? 'voice' : 
-                              operation.includes('weekly') ? 'weekly' : 'other';
-        
-        const newLog = {
-            timestamp: Date.now(),
-            operation,
-            details
-        };
-        
-        // Keep only last 100 logs to prevent document bloat
-        const updatedLogs = [...currentLogs.slice(-99), newLog];
-        
-        await userRef.set({
-            apiRequestCount: currentCount + 1,
-            apiLogs: updatedLogs,
-            apiUsage: {
-                byDate: { ...byDate, [today]: (byDate[today] || 0) + 1 },
-                byType: { ...byType, [operationType]: (byType[operationType] || 0) + 1 },
-                lastUpdated: Date.now()
-            }
-        }, { merge: true });
-        
-        console.log(`📊 API Count: ${currentCount + 1} | Operation: ${operation} | Type: ${operationType}`);
-    } catch (err) {
-        console.error("Failed to increment API count:", err.message);
+        result = await provider.generate({ ...request, ...config });
+        return result;
+    } finally {
+        await recordUsage(userId, {
+            operation: request.operation,
+            details,
+            provider: provider.name,
+            model: config.model,
+            usage: result?.usage,
+            latencyMs: Date.now() - started,
+            success: result !== null
+        });
     }
 }
 
 /**
- * Safe Gemini call wrapper with robust JSON extraction
+ * Generate raw text from the configured provider (counts as one API request)
+ * `prompt` is { instructions, content } from services/prompts.js
  */
-async function callGemini(prompt, userId = null, operation = 'unknown', details = '') {
-    // Increment API counter if userId provided
-    if (userId) {
-        await incrementAPICount(userId, operation, details);
-    }
-    
-    const result = await model.generateContent(prompt);
-    const text = result.response.text();
-
-    console.log("RAW GEMINI RESPONSE:\n", text);
+async function generateText({ instructions, content }, userId, operation, details, input) {
+    const { text } = await generateWithUsage({
+        operation,
+        prompt: instructions,
+        content,
+        input
+    }, userId, details);
+
+    console.log(`RAW ${getProvider().name.toUpperCase()} RESPONSE:\n`, text);
+    return text;
+}
 
+/**
+ * Robust JSON extraction + schema validation
+ * Returns { valid, data, errors } - parse failures become validation errors
+ */
+function parseAndValidate(text, operation) {
     let jsonStr = text.trim();
 
     // Step 1: Remove ALL backticks (markdown code blocks)
@@ -93,49 +75,101 @@ async function callGemini(prompt, userId = null, operation = 'unknown', details
         jsonStr = jsonStr.substring(firstBrace, lastBrace + 1);
     }
 
+    let parsed;
     try {
-        const parsed = JSON.parse(jsonStr);
-        console.log("✅ Successfully parsed JSON:", parsed);
-        return parsed;
+        parsed = JSON.parse(jsonStr);
     } catch (err) {
-        console.error("❌ JSON PARSE ERROR:");
-        console.error("Raw text:", text);
+        console.error("❌ JSON PARSE ERROR:", err.message);
         console.error("Cleaned string:", jsonStr);
-        console.error("Parse error:", err.message);
-        
-        // If JSON is incomplete, throw a more specific error
-        if (err.message.includes('Unterminated') || err.message.includes('Unexpected end')) {
-            throw new Error("Gemini response was incomplete - try again");
-        }
-        throw new Error("Invalid AI response format - could not parse JSON");
+
+        const incomplete = err.message.includes('Unterminated') || err.message.includes('Unexpected end');
+        return {
+            valid: false,
+            data: null,
+            errors: [{
+                field: null,
+                reason: incomplete ? REASON.INCOMPLETE_RESPONSE : REASON.PARSE_ERROR,
+                message: incomplete ? "Response was cut off before the JSON ended" : "Response was not valid JSON"
+            }]
+        };
     }
+
+    return validateAnalysis(operation, parsed);
 }
 
 /**
- * DAILY TEXT ANALYSIS
+ * Record a validation failure (reason codes only - never the journal content)
  */
-export async function analyzeTextReflection(textInput, userId = null) {
-    const prompt = `You are an emotional reflection and journaling AI for MindMirror.
+async function recordValidationFailure(userId, operation, errors, attempt) {
+    try {
+        await db.collection("aiValidationFailures").add({
+            userId: userId || null,
+            operation,
+            attempt,
+            reasons: [...new Set(errors.map(e => e.reason))],
+            errors: errors.map(({ field, reason }) => ({ field, reason })),
+            timestamp: Date.now()
+        });
+    } catch (err) {
+        console.error("Failed to record validation failure:", err.message);
+    }
+}
 
-Analyze the following transcript and return ONLY a valid JSON object (no markdown, no code blocks, no explanations).
+/**
+ * Safe LLM call wrapper with schema validation and one repair attempt
+ * Routes through the configured provider (see services/llm); `input` is the
+ * structured data behind the prompt, used by the offline provider.
+ * Only objects that pass the operation's schema are returned.
+ */
+async function callGemini(prompt, userId = null, operation = 'unknown', details = '', input = {}) {
+    const text = await generateText(prompt, userId, operation, details, input);
+    let result = parseAndValidate(text, operation);
 
-Transcript:
-"${textInput}"
+    if (result.valid) {
+        console.log("✅ Validated AI response:", result.data);
+        return result.data;
+    }
+
+    console.warn(`⚠️ AI response failed validation (${operation}):`, result.errors.map(e => e.message));
+    await recordValidationFailure(userId, operation, result.errors, 1);
 
-IMPORTANT: Return ONLY the JSON object below, nothing else. Do NOT wrap it in markdown code blocks.
+    // Re-prompt once, asking the model to fix its own output
+    const repairPrompt = buildRepairPrompt(prompt, result.errors, text);
 
-{
-  "transcript": "${textInput}",
-  "dailyInsight": "string (2–3 reflective sentences)",
-  "primaryEmotion": "string",
-  "secondaryEmotion": "string",
-  "emotionalIntensity": "low | medium | high",
-  "theme": "self | relationships | work | growth | health"
-}`;
+    const repairedText = await generateText(repairPrompt, userId, operation, `${details} (repair)`, input);
+    result = parseAndValidate(repairedText, operation);
+
+    if (result.valid) {
+        console.log("✅ Repaired AI response:", result.data);
+        return result.data;
+    }
+
+    await recordValidationFailure(userId, operation, result.errors, 2);
+
+    const reasons = [...new Set(result.errors.map(e => e.reason))];
+    if (reasons.includes(REASON.INCOMPLETE_RESPONSE)) {
+        throw new Error("Gemini response was incomplete - try again");
+    }
+    throw new Error(`Invalid AI response format (${reasons.join(', ')})`);
+}
 
+/**
+ * DAILY TEXT ANALYSIS
+ * Returns { success, data, safety, language } - language is the entry's detected language
+ */
+export async function analyzeTextReflection(textInput, userId = null, locale = {}) {
     try {
-        const data = await callGemini(prompt, userId, 'text-analysis', 'Daily text reflection');
-        return { success: true, data };
+        const { language } = detectLanguage(textInput);
+        const redactor = await redactorFor(userId);
+        const redacted = redactor.redact(textInput);
+        const insightLanguage = await outputLanguage(userId, language);
+        const prompt = buildDailyAnalysisPrompt(redacted, { language: insightLanguage });
+
+        const [data, safety] = await Promise.all([
+            callGemini(prompt, userId, 'text-analysis', 'Daily text reflection', { transcript: redacted }),
+            assessSafety(textInput, userId, locale, redactor)
+        ]);
+        return { success: true, data: applySafety(redactor.restore(data), safety, insightLanguage), safety: safety.flagged ? safety : null, language };
     } catch (error) {
         console.error("TEXT ANALYSIS ERROR:", error.message);
         return { success: false, error: error.message };
@@ -143,49 +177,124 @@ IMPORTANT: Return ONLY the JSON object below, nothing else. Do NOT wrap it in ma
 }
 
 /**
- * BACKGROUND TRANSCRIPT ANALYSIS
- * Analyzes transcript and updates Firebase document asynchronously
+ * SAFETY SCREENING
+ * Pattern layer + LLM classification (see services/safety.js). Never throws:
+ * if the LLM check fails the pattern verdict stands.
+ * Patterns run on the raw text; the LLM sees the redacted text.
+ * Returns { flagged, level, source, categories, ruleIds, llmRisk, block }
  */
-export async function analyzeTranscriptBackground(userId, docId, transcript) {
-    console.log(`[BACKGROUND ANALYSIS] Starting for user=${userId}, doc=${docId}`);
-    
-    try {
-        const prompt = `You are an emotional reflection and journaling AI for MindMirror.
+export async function assessSafety(transcript, userId = null, locale = {}, redactor = null) {
+    const patterns = detectCrisisLanguage(transcript);
 
-Analyze the following transcript and return ONLY a valid JSON object (no markdown, no code blocks, no explanations).
+    let llmRisk = null;
+    if (SAFETY_LLM_CHECK) {
+        try {
+            const redacted = (redactor || await redactorFor(userId)).redact(transcript);
+            const data = await callGemini(buildSafetyCheckPrompt(redacted), userId, 'safety-check', 'Safety screening', { transcript: redacted });
+            llmRisk = data.risk;
+        } catch (error) {
+            console.error("SAFETY CHECK ERROR:", error.message);
+        }
+    }
 
-Transcript:
-"${transcript}"
+    const verdict = combineSafetySignals(patterns, llmRisk);
+    if (!verdict.flagged) {
+        return { ...verdict, categories: [], ruleIds: [], llmRisk, block: null };
+    }
+
+    // Helplines follow the user's country, else their stored time zone
+    let { country, timezone } = locale;
+    if (userId && !country) {
+        try {
+            const user = (await db.collection("users").doc(userId).get()).data() || {};
+            country = user.country;
+            timezone = timezone || user.timezone;
+        } catch (error) {
+            console.error("SAFETY LOCALE ERROR:", error.message);
+        }
+    }
 
-IMPORTANT: Return ONLY the JSON object below, nothing else. Do NOT wrap it in markdown code blocks.
+    return {
+        ...verdict,
+        categories: patterns.categories,
+        ruleIds: patterns.ruleIds,
+        llmRisk,
+        block: buildSafetyBlock(verdict.level, { country, timezone })
+    };
+}
 
-{
-  "dailyInsight": "string (2–3 reflective sentences)",
-  "primaryEmotion": "string",
-  "secondaryEmotion": "string",
-  "emotionalIntensity": "low | medium | high",
-  "theme": "self | relationships | work | growth | health"
-}`;
+/**
+ * Flagged reflections get the safety block and a supportive message
+ * (in the insight's language) instead of the usual insight; labels are
+ * kept for stats
+ */
+function applySafety(data, safety, language) {
+    if (!safety.flagged) return data;
+    return { ...data, dailyInsight: safetyInsight(language), safety: safety.block };
+}
 
-        const data = await callGemini(prompt, userId, 'voice-analysis', 'Voice transcript analysis');
+/**
+ * BACKGROUND TRANSCRIPT ANALYSIS
+ * Analyzes transcript and updates Firebase document asynchronously.
+ * Pass { markFailed: false } when a retry will follow, so the reflection
+ * stays "pending" instead of being marked "failed".
+ * Progress is published to the analysis event bus (see services/analysisEvents.js).
+ */
+export async function analyzeTranscriptBackground(userId, docId, transcript, { markFailed = true } = {}) {
+    console.log(`[BACKGROUND ANALYSIS] Starting for user=${userId}, doc=${docId}`);
+    publishAnalysisEvent(userId, docId, "analyzing", { stage: "analysis" });
+    
+    try {
+        const { language } = detectLanguage(transcript);
+        const redactor = await redactorFor(userId);
+        const redacted = redactor.redact(transcript);
+        const insightLanguage = await outputLanguage(userId, language);
+        const prompt = buildDailyAnalysisPrompt(redacted, { language: insightLanguage });
+
+        const [analysis, safety] = await Promise.all([
+            callGemini(prompt, userId, 'voice-analysis', 'Voice transcript analysis', { transcript: redacted }),
+            assessSafety(transcript, userId, {}, redactor)
+        ]);
+        const data = applySafety(redactor.restore(analysis), safety, insightLanguage);
         
         // Update Firebase document with analysis
         const docRef = db.collection("users").doc(userId).collection("reflections").doc(docId);
         
         await docRef.update({
-            dailyInsight: data.dailyInsight,
+            dailyInsight: await encryptText(userId, data.dailyInsight),
             primaryEmotion: data.primaryEmotion,
             secondaryEmotion: data.secondaryEmotion,
             emotionalIntensity: data.emotionalIntensity,
             theme: data.theme,
+            safety: data.safety || null,
+            language,
+            searchTokens: await searchTokensFor(userId, transcript, data.dailyInsight),
             analysisStatus: "completed"
         });
 
+        if (safety.flagged) {
+            await logSafetyEvent(userId, docId, safety);
+        }
+
         console.log(`[BACKGROUND ANALYSIS] ✅ Completed for doc=${docId}`);
+        publishAnalysisEvent(userId, docId, "completed", {
+            analysis: {
+                dailyInsight: data.dailyInsight,
+                primaryEmotion: data.primaryEmotion,
+                secondaryEmotion: data.secondaryEmotion,
+                emotionalIntensity: data.emotionalIntensity,
+                theme: data.theme,
+                safety: data.safety || null
+            }
+        });
         return { success: true, data };
     } catch (error) {
         console.error(`[BACKGROUND ANALYSIS] ❌ Failed for doc=${docId}:`, error.message);
         
+        if (!markFailed) {
+            return { success: false, error: error.message };
+        }
+
         // Update status to failed in Firebase
         try {
             const docRef = db.collection("users").doc(userId).collection("reflections").doc(docId);
@@ -196,7 +305,35 @@ IMPORTANT: Return ONLY the JSON object below, nothing else. Do NOT wrap it in ma
         } catch (updateError) {
             console.error("[BACKGROUND ANALYSIS] Failed to update error status:", updateError);
         }
-        
+
+        publishAnalysisEvent(userId, docId, "failed", { error: error.message });
+        return { success: false, error: error.message };
+    }
+}
+
+/**
+ * DAY IN REVIEW
+ * `entries` are the day's reflections in order: { time, primaryEmotion,
+ * secondaryEmotion, theme, emotionalIntensity, dailyInsight }
+ */
+export async function analyzeDay(entries, userId = null, { language } = {}) {
+    if (!entries || entries.length === 0) {
+        return {
+            success: false,
+            error: "No reflections for this day"
+        };
+    }
+
+    try {
+        // Earlier insights can quote names back, so they are redacted too
+        const redactor = await redactorFor(userId);
+        const redacted = redactor.redactFields(entries, ["dailyInsight"]);
+        const prompt = buildDayReviewPrompt(redacted, { language });
+
+        const data = await callGemini(prompt, userId, 'day-analysis', 'Day in review', { entries: redacted });
+        return { success: true, data: redactor.restore(data) };
+    } catch (error) {
+        console.error("DAY REVIEW ERROR:", error.message);
         return { success: false, error: error.message };
     }
 }
@@ -204,7 +341,7 @@ IMPORTANT: Return ONLY the JSON object below, nothing else. Do NOT wrap it in ma
 /**
  * WEEKLY PATTERN ANALYSIS
  */
-export async function analyzeWeeklyPatterns(reflections, userId = null) {
+export async function analyzeWeeklyPatterns(reflections, userId = null, { language } = {}) {
     if (!reflections || reflections.length < 3) {
         return {
             success: false,
@@ -220,34 +357,69 @@ export async function analyzeWeeklyPatterns(reflections, userId = null) {
         emotionalIntensity: r.emotionalIntensity
     }));
 
-    const prompt = `
-You are an emotional pattern analyst for MindMirror.
+    const prompt = buildWeeklyAnalysisPrompt(summary, { language });
 
-Analyze the following reflections and respond ONLY with valid JSON:
-
-${JSON.stringify(summary, null, 2)}
-
-Return EXACTLY:
-{
-  "dominantEmotions": ["emotion1", "emotion2"],
-  "dominantThemes": ["theme1", "theme2"],
-  "emotionalPattern": "brief description of patterns noticed",
-  "weeklyInsight": "2–3 sentence reflective observation",
-  "reflectiveQuestion": "one open-ended question"
+    try {
+        const data = await callGemini(prompt, userId, 'weekly-analysis', 'Weekly pattern analysis', { reflections: summary });
+        return { success: true, data };
+    } catch (error) {
+        console.error("WEEKLY ANALYSIS ERROR:", error.message);
+        return { success: false, error: error.message };
+    }
 }
 
-Rules:
-- Descriptive only
-- No advice
-- No diagnosis
-- Gentle, neutral tone
-`;
+/**
+ * MONTHLY / YEARLY RETROSPECTIVE
+ * Works on compact per-week (month) or per-month (year) summaries rather
+ * than raw reflections, so token usage stays bounded.
+ */
+export async function analyzeRetrospective(periodType, chunks, userId = null, { language } = {}) {
+    if (!chunks || chunks.length === 0) {
+        return {
+            success: false,
+            error: "Not enough data for retrospective analysis"
+        };
+    }
+
+    const operation = periodType === 'year' ? 'yearly-analysis' : 'monthly-analysis';
 
     try {
-        const data = await callGemini(prompt, userId, 'weekly-analysis', 'Weekly pattern analysis');
-        return { success: true, data };
+        const redactor = await redactorFor(userId);
+        const redacted = redactor.redactFields(chunks, ["insight"]);
+        const prompt = buildRetrospectivePrompt(periodType, redacted, { language });
+
+        const data = await callGemini(prompt, userId, operation, `${periodType === 'year' ? 'Yearly' : 'Monthly'} retrospective`, { periodType, chunks: redacted });
+        return { success: true, data: redactor.restore(data) };
     } catch (error) {
-        console.error("WEEKLY ANALYSIS ERROR:", error.message);
+        console.error("RETROSPECTIVE ANALYSIS ERROR:", error.message);
         return { success: false, error: error.message };
     }
 }
+
+/**
+ * AUDIO TRANSCRIPTION
+ * Sends the raw audio inline to the provider and returns plain transcript text
+ */
+export async function transcribeAudio(buffer, mimeType, userId = null) {
+    const provider = getProvider();
+    if (!provider.supportsAudio) {
+        throw new Error(`LLM provider "${provider.name}" cannot transcribe audio`);
+    }
+
+    const { text } = await generateWithUsage({
+        operation: 'voice-transcription',
+        parts: [
+            {
+                inlineData: {
+                    data: buffer.toString("base64"),
+                    mimeType
+                }
+            },
+            {
+                text: "Transcribe this audio recording verbatim. Return ONLY the spoken words as plain text, with no timestamps, speaker labels or commentary."
+            }
+        ]
+    }, userId, 'Audio transcription');
+
+    return text.trim();
+}
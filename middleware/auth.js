@@ -0,0 +1,175 @@
+import crypto from "crypto";
+import { auth } from "../firebase-admin.js";
+import { getDeletion, isClosed } from "../services/accountDeletion.js";
+import dotenv from "dotenv";
+
+dotenv.config();
+
+/**
+ * AUTH MODE
+ * "firebase" (default) verifies ID tokens with Firebase Admin.
+ * "test" accepts HS256 tokens signed locally with AUTH_TEST_SECRET,
+ * so the API can be exercised without reaching Google.
+ */
+const AUTH_MODE = process.env.AUTH_MODE === "test" ? "test" : "firebase";
+const TEST_SECRET = process.env.AUTH_TEST_SECRET || "";
+
+if (AUTH_MODE === "test") {
+    if (process.env.NODE_ENV === "production") {
+        throw new Error("AUTH_MODE=test is not allowed in production");
+    }
+    if (!TEST_SECRET) {
+        throw new Error("AUTH_TEST_SECRET is required when AUTH_MODE=test");
+    }
+    console.warn("⚠️ Auth running in TEST mode - Firebase ID tokens are NOT verified");
+}
+
+function base64url(input) {
+    return Buffer.from(input).toString("base64url");
+}
+
+/**
+ * Sign a token for test mode (HS256 JWT)
+ * Claims must include `uid`; `exp` defaults to one hour from now
+ */
+export function signTestToken(claims, secret = TEST_SECRET) {
+    if (!claims?.uid) {
+        throw new Error("Test token requires a uid claim");
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    const header = base64url(JSON.stringify({ alg: "HS256", typ: "JWT" }));
+    const payload = base64url(JSON.stringify({ iat: now, exp: now + 3600, ...claims }));
+    const signature = crypto
+        .createHmac("sha256", secret)
+        .update(`${header}.${payload}`)
+        .digest("base64url");
+
+    return `${header}.${payload}.${signature}`;
+}
+
+/**
+ * Verify a locally signed test token, mirroring the shape of
+ * Firebase's DecodedIdToken (uid, email, name)
+ */
+function verifyTestToken(token) {
+    const parts = token.split(".");
+    if (parts.length !== 3) {
+        throw new Error("Malformed token");
+    }
+
+    const [header, payload, signature] = parts;
+    const expected = crypto
+        .createHmac("sha256", TEST_SECRET)
+        .update(`${header}.${payload}`)
+        .digest();
+    const given = Buffer.from(signature, "base64url");
+
+    if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+        throw new Error("Invalid token signature");
+    }
+
+    const claims = JSON.parse(Buffer.from(payload, "base64url").toString("utf8"));
+
+    if (typeof claims.exp !== "number") {
+        throw new Error("Token has no expiry");
+    }
+    if (claims.exp * 1000 < Date.now()) {
+        throw new Error("Token expired");
+    }
+    if (!claims.uid) {
+        throw new Error("Token has no uid");
+    }
+
+    return claims;
+}
+
+async function verifyToken(token) {
+    if (AUTH_MODE === "test") {
+        return verifyTestToken(token);
+    }
+    return auth.verifyIdToken(token);
+}
+
+/**
+ * AUTHENTICATION MIDDLEWARE
+ * Reads `Authorization: Bearer <idToken>`, verifies it and sets req.user.
+ * A `userId` in the request body must match the token's uid.
+ */
+export async function requireAuth(req, res, next) {
+    const header = req.headers.authorization || "";
+    const match = header.match(/^Bearer\s+(.+)$/i);
+
+    if (!match) {
+        return res.status(401).json({
+            success: false,
+            error: "Missing Authorization bearer token"
+        });
+    }
+
+    let decoded;
+    try {
+        decoded = await verifyToken(match[1].trim());
+    } catch (error) {
+        console.error("❌ Token verification failed:", error.message);
+        return res.status(401).json({
+            success: false,
+            error: "Invalid or expired token"
+        });
+    }
+
+    req.user = {
+        uid: decoded.uid,
+        email: decoded.email || "",
+        name: decoded.name || ""
+    };
+
+    if (req.body?.userId && req.body.userId !== req.user.uid) {
+        return res.status(403).json({
+            success: false,
+            error: "userId does not match authenticated user"
+        });
+    }
+
+    next();
+}
+
+/**
+ * Rejects a path :userId that is not the caller - runs after requireAuth
+ * Usage: router.get("/things/:userId", requireAuth, matchUserParam, handler)
+ */
+export function matchUserParam(req, res, next) {
+    const { userId } = req.params || {};
+    if (userId === undefined) {
+        return next();
+    }
+    if (!req.user || userId !== req.user.uid) {
+        return res.status(403).json({
+            success: false,
+            error: "userId does not match authenticated user"
+        });
+    }
+    next();
+}
+
+/**
+ * Refuses requests from an account that is scheduled for deletion (or being
+ * purged) - runs after requireAuth. Restore, delete and export don't use it,
+ * so the deletion can still be undone or the data taken out.
+ * If the lookup fails the request is let through, as with rate limiting.
+ */
+export async function requireOpenAccount(req, res, next) {
+    try {
+        const deletion = await getDeletion(req.user.uid);
+        if (isClosed(deletion)) {
+            return res.status(403).json({
+                success: false,
+                error: "Account is scheduled for deletion",
+                deletion: { status: deletion.status, purgeAfter: deletion.purgeAfter ?? null }
+            });
+        }
+    } catch (error) {
+        console.error("ACCOUNT STATUS ERROR:", error.message);
+    }
+    next();
+}
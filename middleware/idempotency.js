@@ -0,0 +1,195 @@
+import crypto from "crypto";
+import { db } from "../firebase-admin.js";
+import { encryptText, decryptText } from "../services/encryption.js";
+
+/**
+ * IDEMPOTENCY KEYS
+ * A client may send `Idempotency-Key: <unique string>` on a write. The first
+ * request with a key runs normally and its response is stored in
+ * `idempotencyKeys`; a retry with the same key gets that stored response
+ * back (with `Idempotent-Replayed: true`) and never reaches the handler, so
+ * nothing is saved, analyzed or counted twice.
+ *
+ * - Same key, different body       -> 422
+ * - Same key, first still running  -> 409 (retry later)
+ * - First attempt failed with 5xx  -> key is released so the retry runs
+ * - First attempt was rate limited -> key is released too (429 is never stored)
+ *
+ * Runs before the rate limiters, so replays don't count against them.
+ *
+ * Stored responses contain journal text, so they are encrypted like the
+ * reflections themselves.
+ */
+
+const KEY_TTL_MS = 24 * 60 * 60 * 1000;
+const LOCK_TTL_MS = 2 * 60 * 1000; // an in-progress claim older than this is abandoned
+const MAX_KEY_LENGTH = 255;
+
+function hash(value) {
+    return crypto.createHash("sha256").update(value).digest("hex");
+}
+
+/**
+ * Decide what a request meets under its key, given the stored record
+ * Returns { claimed: true } | { replay: { statusCode, body } } | { conflict, status, error }
+ */
+function resolveClaim(existing, record, now) {
+    const expired = !existing
+        || existing.expiresAt <= now
+        || (existing.status === "in_progress" && existing.lockedUntil <= now);
+
+    if (expired) {
+        return { claimed: true };
+    }
+
+    if (existing.fingerprint !== record.fingerprint) {
+        return { conflict: true, status: 422, error: "Idempotency-Key was already used with a different request" };
+    }
+
+    if (existing.status === "in_progress") {
+        return { conflict: true, status: 409, error: "A request with this Idempotency-Key is still in progress" };
+    }
+
+    return { replay: existing.response };
+}
+
+/**
+ * Firestore backend - one document per hashed key in `idempotencyKeys`
+ */
+class FirestoreIdempotencyStore {
+    constructor(collection = db.collection("idempotencyKeys")) {
+        this.collection = collection;
+    }
+
+    /**
+     * Claim `id` for this request (transactionally), or report what is already there
+     */
+    async claim(id, record, now) {
+        const ref = this.collection.doc(id);
+        return db.runTransaction(async (tx) => {
+            const doc = await tx.get(ref);
+            const result = resolveClaim(doc.data(), record, now);
+            if (result.claimed) tx.set(ref, record);
+            return result;
+        });
+    }
+
+    async complete(id, response) {
+        await this.collection.doc(id).update({ status: "completed", response });
+    }
+
+    async release(id) {
+        await this.collection.doc(id).delete();
+    }
+}
+
+/**
+ * In-memory backend - for tests
+ */
+class MemoryIdempotencyStore {
+    constructor() {
+        this.records = new Map();
+    }
+
+    async claim(id, record, now) {
+        const result = resolveClaim(this.records.get(id), record, now);
+        if (result.claimed) this.records.set(id, { ...record });
+        return result;
+    }
+
+    async complete(id, response) {
+        Object.assign(this.records.get(id), { status: "completed", response });
+    }
+
+    async release(id) {
+        this.records.delete(id);
+    }
+}
+
+let store = new FirestoreIdempotencyStore();
+
+/**
+ * Swap the backing store (tests use new MemoryIdempotencyStore())
+ */
+export function setIdempotencyStore(newStore) {
+    store = newStore;
+}
+
+/**
+ * Middleware for write routes. Must run after requireAuth and before
+ * rateLimit / dailyQuota.
+ */
+export async function idempotent(req, res, next) {
+    const key = req.get("Idempotency-Key");
+    if (!key) return next();
+
+    if (key.length > MAX_KEY_LENGTH) {
+        return res.status(400).json({
+            success: false,
+            error: `Idempotency-Key must be at most ${MAX_KEY_LENGTH} characters`
+        });
+    }
+
+    const userId = req.user.uid;
+    const route = `${req.method} ${req.baseUrl}${req.route?.path || req.path}`;
+    const id = hash(`${userId}:${route}:${key}`);
+    const now = Date.now();
+
+    let result;
+    try {
+        result = await store.claim(id, {
+            userId,
+            route,
+            fingerprint: hash(JSON.stringify(req.body ?? null)),
+            status: "in_progress",
+            lockedUntil: now + LOCK_TTL_MS,
+            createdAt: now,
+            expiresAt: now + KEY_TTL_MS
+        }, now);
+    } catch (error) {
+        console.error("IDEMPOTENCY CLAIM ERROR:", error);
+        return res.status(500).json({
+            success: false,
+            error: "Failed to check Idempotency-Key"
+        });
+    }
+
+    if (result.replay) {
+        console.log(`♻️ Replaying idempotent response for ${route}`);
+        try {
+            const body = JSON.parse(await decryptText(req.user.uid, result.replay.body));
+            res.set("Idempotent-Replayed", "true");
+            return res.status(result.replay.statusCode).json(body);
+        } catch (error) {
+            console.error("IDEMPOTENCY REPLAY ERROR:", error);
+            return res.status(500).json({
+                success: false,
+                error: "Failed to replay Idempotency-Key response"
+            });
+        }
+    }
+
+    if (result.conflict) {
+        return res.status(result.status).json({
+            success: false,
+            error: result.error
+        });
+    }
+
+    // Store whatever the handler sends (serialized, so the replay is byte-for-byte
+    // the same JSON); server errors and rate limits release the key instead
+    const json = res.json.bind(res);
+    res.json = (body) => {
+        const settle = res.statusCode >= 500 || res.statusCode === 429
+            ? store.release(id)
+            : encryptText(req.user.uid, JSON.stringify(body)).then(stored =>
+                store.complete(id, { statusCode: res.statusCode, body: stored }));
+
+        settle.catch(err => console.error("Failed to store idempotent response:", err.message));
+        return json(body);
+    };
+
+    next();
+}
+
+export { FirestoreIdempotencyStore, MemoryIdempotencyStore };
@@ -0,0 +1,72 @@
+import { consume, checkDailyQuota, RATE_LIMITS } from "../services/rateLimiter.js";
+
+/**
+ * RATE LIMIT MIDDLEWARE
+ * Must run after requireAuth (and after idempotent, so replays aren't
+ * counted). Over-limit requests get 429 with Retry-After.
+ * If the limiter itself fails the request is let through - a Firestore
+ * hiccup should not lock users out of their journal.
+ */
+
+function tooManyRequests(res, retryAfter, error, details = {}) {
+    res.set("Retry-After", String(retryAfter));
+    return res.status(429).json({
+        success: false,
+        error,
+        retryAfter,
+        ...details
+    });
+}
+
+/**
+ * Per-user and per-IP request limits
+ */
+export async function rateLimit(req, res, next) {
+    try {
+        const [user, ip] = await Promise.all([
+            consume(`user:${req.user.uid}`, RATE_LIMITS.user),
+            consume(`ip:${req.ip}`, RATE_LIMITS.ip)
+        ]);
+
+        res.set("X-RateLimit-Limit", String(user.limit));
+        res.set("X-RateLimit-Remaining", String(user.remaining));
+
+        if (!user.allowed || !ip.allowed) {
+            console.warn(`🚦 Rate limit hit: ${!user.allowed ? `user ${req.user.uid}` : `ip ${req.ip}`}`);
+            return tooManyRequests(res, Math.max(user.allowed ? 0 : user.retryAfter, ip.allowed ? 0 : ip.retryAfter),
+                "Too many requests, please slow down");
+        }
+    } catch (error) {
+        console.error("RATE LIMIT ERROR:", error.message);
+    }
+    next();
+}
+
+/**
+ * Daily LLM quota by tier
+ */
+export async function dailyQuota(req, res, next) {
+    try {
+        const quota = await checkDailyQuota(req.user.uid);
+        if (!quota.allowed) {
+            console.warn(`🚦 Daily AI quota reached for ${req.user.uid} (${quota.used}/${quota.quota}, ${quota.tier})`);
+            return tooManyRequests(res, quota.retryAfter, "Daily AI analysis limit reached", {
+                quota: { tier: quota.tier, limit: quota.quota, used: quota.used }
+            });
+        }
+    } catch (error) {
+        console.error("DAILY QUOTA ERROR:", error.message);
+    }
+    next();
+}
+
+/**
+ * Daily quota only for requests that will call the LLM
+ * (e.g. a read that generates a summary on request)
+ */
+export function dailyQuotaWhen(predicate) {
+    return (req, res, next) => predicate(req) ? dailyQuota(req, res, next) : next();
+}
+
+// Routes that may call the LLM
+export const limitAnalysis = [rateLimit, dailyQuota];
@@ -1,37 +1,200 @@
 import express from "express";
-import { db } from "../firebase-admin.js";
-import { analyzeTextReflection, analyzeWeeklyPatterns, analyzeTranscriptBackground } from "../gemini.js";
+import multer from "multer";
+import { db, storage } from "../firebase-admin.js";
+import { analyzeTextReflection } from "../gemini.js";
+import { requireAuth, matchUserParam, requireOpenAccount } from "../middleware/auth.js";
+import { idempotent } from "../middleware/idempotency.js";
+import { rateLimit, limitAnalysis, dailyQuotaWhen } from "../middleware/rateLimit.js";
+import { enqueueAnalysis } from "../services/analysisQueue.js";
+import { getWeeklyReport, listWeeklyReports, markWeekStale } from "../services/weeklyReports.js";
+import { getDayView } from "../services/daySummaries.js";
+import { currentWeek, isValidWeek } from "../services/isoWeek.js";
+import { getRetrospective, listRetrospectives, isValidMonth, isValidYear } from "../services/retrospectives.js";
+import { encodeCursor, decodeCursor, parsePageSize, parseDateBound } from "../services/pagination.js";
+import { sealDocument, openDocument, openDocuments, searchTokensFor } from "../services/encryption.js";
+import { computeMoodStats, fetchMoodData, resolveWindow } from "../services/moodStats.js";
+import { streamExport, EXPORT_FORMATS } from "../services/exporter.js";
+import { requestDeletion, cancelDeletion, purgeUser } from "../services/accountDeletion.js";
+import { recordReflection, getProgress, setGoal } from "../services/progress.js";
+import { localDate, isValidDate, isValidTimezone, resolveTimezone, requestedTimezone, recomputeReflectionDates } from "../services/timezone.js";
+import { searchReflections, parseSearchFilters } from "../services/reflectionSearch.js";
+import { newReflectionId } from "../services/reflectionIds.js";
+import { logSafetyEvent } from "../services/safety.js";
+import { setRedactionPreference } from "../services/redaction.js";
+import { detectLanguage, setPreferredLanguage } from "../services/language.js";
+import { listUsageLogs, summarizeCosts } from "../services/usage.js";
+import { streamAnalysisEvents } from "../services/analysisEvents.js";
 
 const router = express.Router();
 
+// Every route requires a verified Firebase ID token; the user comes from the token.
+// Applied per route rather than with router.use, so unknown /api paths still 404.
+const authenticated = [requireAuth, matchUserParam, requireOpenAccount];
+// Still allowed while a deletion is pending: restore, delete and export
+const accountOwner = [requireAuth, matchUserParam];
+
+// Accepted audio uploads (kept in memory, then streamed to Cloud Storage)
+const AUDIO_MIME_TYPES = {
+    "audio/webm": "webm",
+    "audio/ogg": "ogg",
+    "audio/mpeg": "mp3",
+    "audio/mp3": "mp3",
+    "audio/mp4": "m4a",
+    "audio/x-m4a": "m4a",
+    "audio/aac": "aac",
+    "audio/wav": "wav",
+    "audio/x-wav": "wav",
+    "audio/flac": "flac"
+};
+
+const audioUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: 10 * 1024 * 1024 }, // 10MB
+    fileFilter: (req, file, cb) => {
+        // Browsers often send "audio/webm;codecs=opus"
+        const mimeType = file.mimetype.split(";")[0].trim().toLowerCase();
+        if (!AUDIO_MIME_TYPES[mimeType]) {
+            const err = new Error(`Unsupported audio type: ${file.mimetype}`);
+            err.code = "UNSUPPORTED_AUDIO_TYPE";
+            return cb(err);
+        }
+        cb(null, true);
+    }
+});
+
+/**
+ * POST /api/upload-audio
+ * Multipart upload (field "audio") - stores the file, creates a pending
+ * reflection and transcribes + analyzes it in the background
+ */
+router.post("/upload-audio", authenticated, limitAnalysis, audioUpload.single("audio"), async (req, res) => {
+    try {
+        const { userName, userEmail, date } = req.body;
+        const userId = req.user.uid;
+
+        if (!req.file) {
+            return res.status(400).json({
+                success: false,
+                error: "audio file is required"
+            });
+        }
+
+        if (date && !isValidDate(date)) {
+            return res.status(400).json({
+                success: false,
+                error: "date must be YYYY-MM-DD"
+            });
+        }
+
+        const mimeType = req.file.mimetype.split(";")[0].trim().toLowerCase();
+        const timezone = await resolveTimezone(userId, requestedTimezone(req));
+        const dateStr = date || localDate(timezone);
+
+        // Readable, time-sortable and unique document ID
+        const now = new Date();
+        const docId = newReflectionId(dateStr, timezone, now);
+
+        // Store in users/{userId}/audio/{docId}.{ext}
+        const bucket = storage.bucket();
+        const audioPath = `users/${userId}/audio/${docId}.${AUDIO_MIME_TYPES[mimeType]}`;
+        await bucket.file(audioPath).save(req.file.buffer, {
+            resumable: false,
+            contentType: mimeType,
+            metadata: { metadata: { userId, docId } }
+        });
+
+        console.log(`🎙️ Audio stored: ${audioPath} (${req.file.size} bytes)`);
+
+        const reflectionData = {
+            date: dateStr,
+            ...(date && { dateExplicit: true }), // backdated by the client; kept on time zone changes
+            transcript: "",
+            createdAt: now,
+            analysisStatus: "pending",
+            inputType: "voice",
+            audioPath,
+            audioUrl: `gs://${bucket.name}/${audioPath}`,
+            audioMimeType: mimeType,
+            audioSize: req.file.size
+        };
+
+        const userRef = db.collection("users").doc(userId);
+
+        // Ensure user document exists with name and email
+        await userRef.set({
+            name: userName || req.user.name || 'Anonymous',
+            email: userEmail || req.user.email || '',
+            lastActive: now
+        }, { merge: true });
+
+        await userRef.collection("reflections").doc(docId).set(reflectionData);
+
+        // Update streaks, goals and milestones (never fails the save)
+        const progress = await recordReflection(userId, dateStr, timezone).catch(err => {
+            console.error("Failed to update progress:", err.message);
+            return null;
+        });
+
+        // Transcribe + analyze through the durable queue (retried on failure)
+        await enqueueAnalysis(userId, docId, "audio");
+
+        return res.json({
+            success: true,
+            reflection: {
+                id: docId,
+                userId,
+                ...reflectionData
+            },
+            progress
+        });
+    } catch (error) {
+        console.error("UPLOAD AUDIO ROUTE ERROR:", error);
+        res.status(500).json({
+            success: false,
+            error: "Failed to upload audio"
+        });
+    }
+});
+
 /**
  * POST /api/save-transcript
  * FAST endpoint - saves transcript immediately and triggers analysis in background
+ * Supports an Idempotency-Key header so client retries don't save twice
  */
-router.post("/save-transcript", async (req, res) => {
+router.post("/save-transcript", authenticated, idempotent, limitAnalysis, async (req, res) => {
     try {
-        const { userId, userName, userEmail, date, transcript } = req.body;
+        const { userName, userEmail, date, transcript } = req.body;
+        const userId = req.user.uid;
 
         console.log("SAVE TRANSCRIPT REQ BODY:", req.body);
 
-        if (!userId || !transcript) {
+        if (!transcript) {
+            return res.status(400).json({
+                success: false,
+                error: "transcript is required"
+            });
+        }
+
+        if (date && !isValidDate(date)) {
             return res.status(400).json({
                 success: false,
-                error: "userId and transcript are required"
+                error: "date must be YYYY-MM-DD"
             });
         }
 
-        const dateStr = date || new Date().toISOString().split("T")[0];
+        const timezone = await resolveTimezone(userId, requestedTimezone(req));
+        const dateStr = date || localDate(timezone);
 
-        // Create readable document ID from date and time
+        // Readable, time-sortable and unique document ID
         const now = new Date();
-        const timeStr = now.toTimeString().split(' ')[0].replace(/:/g, '-'); // HH-MM-SS
-        const docId = `${dateStr}_${timeStr}`; // e.g., "2026-01-18_11-30-45"
+        const docId = newReflectionId(dateStr, timezone, now); // e.g., "2026-01-18_11-30-45-123_9f2c1a"
 
         // Initial data with pending status
         const reflectionData = {
             date: dateStr,
+            ...(date && { dateExplicit: true }),
             transcript: transcript.trim(),
+            language: detectLanguage(transcript).language,
             createdAt: now,
             analysisStatus: "pending",
             inputType: "voice" // Track input method
@@ -42,30 +205,27 @@ router.post("/save-transcript", async (req, res) => {
         
         // Ensure user document exists with name and email
         await userRef.set({
-            name: userName || 'Anonymous',
-            email: userEmail || '',
+            name: userName || req.user.name || 'Anonymous',
+            email: userEmail || req.user.email || '',
             lastActive: now
         }, { merge: true });
 
-        // Save transcript to Firebase
-        await userRef.collection("reflections").doc(docId).set(reflectionData);
+        // Save transcript to Firebase (content encrypted at rest)
+        await userRef.collection("reflections").doc(docId).set({
+            ...await sealDocument(userId, "reflection", reflectionData),
+            searchTokens: await searchTokensFor(userId, transcript)
+        });
+
+        // Update streaks, goals and milestones (never fails the save)
+        const progress = await recordReflection(userId, dateStr, timezone).catch(err => {
+            console.error("Failed to update progress:", err.message);
+            return null;
+        });
 
         console.log(`✅ Transcript saved: ${docId}`);
 
-        // Trigger background analysis (non-blocking)
-        analyzeTranscriptBackground(userId, docId, transcript.trim())
-            .then(result => {
-                if (result.success) {
-                    console.log(`✨ Analysis completed for ${docId}`);
-                    // Invalidate weekly cache
-                    userRef.set({ weeklyAnalysisCache: null }, { merge: true });
-                } else {
-                    console.error(`❌ Analysis failed for ${docId}:`, result.error);
-                }
-            })
-            .catch(err => {
-                console.error(`❌ Background analysis error for ${docId}:`, err);
-            });
+        // Queue background analysis (persisted, retried on failure)
+        await enqueueAnalysis(userId, docId, "transcript");
 
         // Return immediately (don't wait for analysis)
         return res.json({
@@ -74,7 +234,8 @@ router.post("/save-transcript", async (req, res) => {
                 id: docId,
                 userId,
                 ...reflectionData
-            }
+            },
+            progress
         });
     } catch (error) {
         console.error("SAVE TRANSCRIPT ROUTE ERROR:", error);
@@ -88,23 +249,36 @@ router.post("/save-transcript", async (req, res) => {
 /**
  * POST /api/analyze-daily
  * TEXT-ONLY daily analysis (audio disabled for stability)
+ * Supports an Idempotency-Key header so client retries don't re-run the analysis
  */
-router.post("/analyze-daily", async (req, res) => {
+router.post("/analyze-daily", authenticated, idempotent, limitAnalysis, async (req, res) => {
     try {
-        const { userId, userName, userEmail, date, textInput } = req.body;
+        const { userName, userEmail, date, textInput } = req.body;
+        const userId = req.user.uid;
 
         console.log("REQ BODY:", req.body);
 
-        if (!userId || !textInput) {
+        if (!textInput) {
+            return res.status(400).json({
+                success: false,
+                error: "textInput is required"
+            });
+        }
+
+        if (date && !isValidDate(date)) {
             return res.status(400).json({
                 success: false,
-                error: "userId and textInput are required"
+                error: "date must be YYYY-MM-DD"
             });
         }
 
-        const dateStr = date || new Date().toISOString().split("T")[0];
+        const timezone = await resolveTimezone(userId, requestedTimezone(req));
+        const dateStr = date || localDate(timezone);
+
+        // Optional ISO country code - picks the helplines shown if the entry is flagged
+        const country = /^[A-Za-z]{2}$/.test(req.body.country || "") ? req.body.country.toUpperCase() : undefined;
 
-        const analysis = await analyzeTextReflection(textInput, userId);
+        const analysis = await analyzeTextReflection(textInput, userId, { country, timezone });
 
         if (!analysis.success) {
             return res.status(500).json({
@@ -113,19 +287,21 @@ router.post("/analyze-daily", async (req, res) => {
             });
         }
 
-        // Create readable document ID from date and time
+        // Readable, time-sortable and unique document ID
         const now = new Date();
-        const timeStr = now.toTimeString().split(' ')[0].replace(/:/g, '-'); // HH-MM-SS
-        const docId = `${dateStr}_${timeStr}`; // e.g., "2026-01-16_21-30-45"
+        const docId = newReflectionId(dateStr, timezone, now); // e.g., "2026-01-16_21-30-45-123_9f2c1a"
 
         const reflectionData = {
             date: dateStr,
-            transcript: analysis.data.transcript,
+            ...(date && { dateExplicit: true }),
+            transcript: textInput.trim(),
             primaryEmotion: analysis.data.primaryEmotion,
             secondaryEmotion: analysis.data.secondaryEmotion,
             theme: analysis.data.theme,
             emotionalIntensity: analysis.data.emotionalIntensity,
             dailyInsight: analysis.data.dailyInsight,
+            language: analysis.language,
+            ...(analysis.data.safety && { safety: analysis.data.safety }),
             createdAt: now,
             inputType: "text" // Track input method
         };
@@ -135,15 +311,29 @@ router.post("/analyze-daily", async (req, res) => {
         
         // Ensure user document exists with name and email
         await userRef.set({
-            name: userName || 'Anonymous',
-            email: userEmail || '',
+            name: userName || req.user.name || 'Anonymous',
+            email: userEmail || req.user.email || '',
+            ...(country && { country }),
             lastActive: now
         }, { merge: true });
 
-        await userRef.collection("reflections").doc(docId).set(reflectionData);
+        await userRef.collection("reflections").doc(docId).set({
+            ...await sealDocument(userId, "reflection", reflectionData),
+            searchTokens: await searchTokensFor(userId, textInput, analysis.data.dailyInsight)
+        });
+
+        if (analysis.safety) {
+            await logSafetyEvent(userId, docId, analysis.safety);
+        }
+
+        // Update streaks, goals and milestones (never fails the save)
+        const progress = await recordReflection(userId, dateStr, timezone).catch(err => {
+            console.error("Failed to update progress:", err.message);
+            return null;
+        });
 
-        // Invalidate weekly cache when new reflection added
-        await userRef.set({ weeklyAnalysisCache: null }, { merge: true });
+        // Invalidate that week's report when new reflection added
+        await markWeekStale(userId, dateStr);
 
         return res.json({
             success: true,
@@ -151,7 +341,8 @@ router.post("/analyze-daily", async (req, res) => {
                 id: docId,
                 userId,
                 ...reflectionData
-            }
+            },
+            progress
         });
     } catch (error) {
         console.error("DAILY ANALYSIS ROUTE ERROR:", error);
@@ -164,164 +355,197 @@ router.post("/analyze-daily", async (req, res) => {
 
 /**
  * POST /api/analyze-weekly
+ * Body: { week?: "2026-W42", refresh?: boolean } - defaults to the current ISO week
+ * Reports are stored per week and reused until that week's reflections change
  */
-router.post("/analyze-weekly", async (req, res) => {
+router.post("/analyze-weekly", authenticated, limitAnalysis, async (req, res) => {
     try {
-        const { userId } = req.body;
+        const userId = req.user.uid;
+        const timezone = await resolveTimezone(userId, requestedTimezone(req));
+        const week = req.body.week || currentWeek(localDate(timezone));
 
-        if (!userId) {
+        if (!isValidWeek(week)) {
             return res.status(400).json({
                 success: false,
-                error: "User ID is required"
+                error: "week must be an ISO week like 2026-W42"
             });
         }
 
-        const userRef = db.collection("users").doc(userId);
+        const result = await getWeeklyReport(userId, week, { refresh: req.body.refresh === true });
 
-        //CHECK CACHE - Return if fresh (less than 24 hours old)
-        const userDoc = await userRef.get();
-        const userData = userDoc.data();
-        
-        if (userData?.weeklyAnalysisCache) {
-            const cacheAge = Date.now() - userData.weeklyAnalysisCache.timestamp;
-            const CACHE_DURATION = 24 * 60 * 60 * 1000; // 24 hours
-
-            if (cacheAge < CACHE_DURATION) {
-                console.log(`✅ Cached weekly (${Math.floor(cacheAge/60000)} min old)`);
-                return res.json({
-                    success: true,
-                    hasEnoughData: true,
-                    reflectionCount: userData.weeklyAnalysisCache.reflectionCount,
-                    analysis: userData.weeklyAnalysisCache.analysis
-                });
-            }
+        if (!result.success) {
+            return res.status(500).json({
+                success: false,
+                error: result.error
+            });
         }
 
-        console.log("🔄 Generating fresh weekly analysis");
-
-        // Fetch from users/{userId}/reflections subcollection
-        const snapshot = await userRef
-            .collection("reflections")
-            .orderBy("createdAt", "desc")
-            .limit(7)
-            .get();
-
-        if (snapshot.empty) {
+        if (!result.hasEnoughData) {
             return res.json({
                 success: true,
                 hasEnoughData: false,
+                week,
+                reflectionCount: result.report.reflectionCount,
                 message: "Not enough reflections"
             });
         }
 
-        const reflections = snapshot.docs.map(doc => ({
-            id: doc.id,
-            ...doc.data()
-        }));
+        return res.json({
+            success: true,
+            hasEnoughData: true,
+            cached: result.cached,
+            week,
+            reflectionCount: result.report.reflectionCount,
+            analysis: result.report.analysis,
+            comparison: result.report.comparison,
+            report: result.report
+        });
+    } catch (error) {
+        console.error("WEEKLY ANALYSIS ROUTE ERROR:", error);
+        res.status(500).json({
+            success: false,
+            error: "Weekly analysis failed"
+        });
+    }
+});
 
-        if (reflections.length < 3) {
-            return res.json({
-                success: true,
-                hasEnoughData: false,
-                reflectionCount: reflections.length
+/**
+ * GET /api/weekly-reports/:userId
+ * Browse stored weekly reports, newest first
+ * Query: limit (max 52), before (ISO week, exclusive)
+ */
+router.get("/weekly-reports/:userId", authenticated, async (req, res) => {
+    try {
+        const { userId } = req.params;
+        const limit = Math.min(parseInt(req.query.limit) || 12, 52);
+        const { before } = req.query;
+
+        if (before && !isValidWeek(before)) {
+            return res.status(400).json({
+                success: false,
+                error: "before must be an ISO week like 2026-W42"
             });
         }
 
-        // Try analysis with timeout, fallback to synthetic if it fails
-        let analysis;
-        const GEMINI_TIMEOUT = 15000; // 15 seconds max
-        
-        try {
-            // Create a promise that rejects after timeout
-            const timeoutPromise = new Promise((_, reject) => 
-                setTimeout(() => reject(new Error('Gemini timeout')), GEMINI_TIMEOUT)
-            );
-            
-            // Race between actual analysis and timeout
-            analysis = await Promise.race([
-                analyzeWeeklyPatterns(reflections, userId),
-                timeoutPromise
-            ]);
-        } catch (timeoutErr) {
-            console.log("⚠️ Gemini timeout - generating synthetic analysis");
-            
-            // Generate synthetic fallback from reflection data
-            const emotions = reflections
-                .map(r => r.primaryEmotion || 'neutral')
-                .filter(e => e);
-            const themes = reflections
-                .map(r => r.theme || 'self')
-                .filter(t => t);
-            
-            // Count occurrences
-            const emotionCounts = {};
-            emotions.forEach(e => emotionCounts[e] = (emotionCounts[e] || 0) + 1);
-            const themeCounts = {};
-            themes.forEach(t => themeCounts[t] = (themeCounts[t] || 0) + 1);
-            
-            // Get top 2
-            const sortedEmotions = Object.entries(emotionCounts)
-                .sort((a, b) => b[1] - a[1])
-                .slice(0, 2)
-                .map(([e]) => e);
-            const sortedThemes = Object.entries(themeCounts)
-                .sort((a, b) => b[1] - a[1])
-                .slice(0, 2)
-                .map(([t]) => t);
-            
-            analysis = {
-                success: true,
-                data: {
-                    dominantEmotions: sortedEmotions.length ? sortedEmotions : ['neutral'],
-                    dominantThemes: sortedThemes.length ? sortedThemes : ['self'],
-                    emotionalPattern: "Your reflections show a consistent pattern of self-awareness.",
-                    weeklyInsight: `This week you've reflected ${reflections.length} times, exploring themes of ${sortedThemes.join(' and ') || 'personal growth'}.`,
-                    reflectiveQuestion: "What would you like to explore more deeply in your next reflection?"
-                }
-            };
+        const reports = await listWeeklyReports(userId, { limit, before });
+
+        return res.json({
+            success: true,
+            reports,
+            nextBefore: reports.length === limit ? reports[reports.length - 1].week : null
+        });
+    } catch (error) {
+        console.error("GET WEEKLY REPORTS ERROR:", error);
+        res.status(500).json({
+            success: false,
+            error: "Failed to fetch weekly reports"
+        });
+    }
+});
+
+/**
+ * POST /api/analyze-monthly
+ * Body: { month?: "2026-10", refresh?: boolean } - defaults to the current month
+ */
+router.post("/analyze-monthly", authenticated, limitAnalysis, async (req, res) => {
+    await respondWithRetrospective(req, res, "month", req.body.month);
+});
+
+/**
+ * POST /api/analyze-yearly
+ * Body: { year?: "2026", refresh?: boolean } - defaults to the current year
+ */
+router.post("/analyze-yearly", authenticated, limitAnalysis, async (req, res) => {
+    await respondWithRetrospective(req, res, "year", req.body.year && String(req.body.year));
+});
+
+async function respondWithRetrospective(req, res, periodType, requestedKey) {
+    try {
+        const userId = req.user.uid;
+        const today = localDate(await resolveTimezone(userId, requestedTimezone(req)));
+        const key = requestedKey || (periodType === "month" ? today.slice(0, 7) : today.slice(0, 4));
+        const valid = periodType === "month" ? isValidMonth(key) : isValidYear(key);
+
+        if (!valid) {
+            return res.status(400).json({
+                success: false,
+                error: periodType === "month"
+                    ? "month must look like 2026-10"
+                    : "year must look like 2026"
+            });
         }
 
-        if (!analysis.success) {
+        const result = await getRetrospective(userId, periodType, key, { refresh: req.body.refresh === true });
+
+        if (!result.success) {
             return res.status(500).json({
                 success: false,
-                error: analysis.error
+                error: result.error
             });
         }
 
-        // SAVE TO CACHE
-        await userRef.set({
-            weeklyAnalysisCache: {
-                timestamp: Date.now(),
-                reflectionCount: reflections.length,
-                analysis: analysis.data
-            }
-        }, { merge: true });
-
-        console.log("💾 Cached new weekly analysis");
+        if (!result.hasEnoughData) {
+            return res.json({
+                success: true,
+                hasEnoughData: false,
+                period: key,
+                reflectionCount: result.retrospective.reflectionCount,
+                message: "Not enough reflections"
+            });
+        }
 
         return res.json({
             success: true,
             hasEnoughData: true,
-            reflectionCount: reflections.length,
-            analysis: analysis.data
+            cached: result.cached,
+            period: key,
+            reflectionCount: result.retrospective.reflectionCount,
+            analysis: result.retrospective.analysis,
+            retrospective: result.retrospective
         });
     } catch (error) {
-        console.error("WEEKLY ANALYSIS ROUTE ERROR:", error);
+        console.error("RETROSPECTIVE ROUTE ERROR:", error);
         res.status(500).json({
             success: false,
-            error: "Weekly analysis failed"
+            error: "Retrospective analysis failed"
+        });
+    }
+}
+
+/**
+ * GET /api/retrospectives/:userId?type=month|year
+ * Browse stored retrospectives, newest first
+ */
+router.get("/retrospectives/:userId", authenticated, async (req, res) => {
+    try {
+        const { userId } = req.params;
+        const periodType = req.query.type === "year" ? "year" : "month";
+        const limit = Math.min(parseInt(req.query.limit) || 12, 50);
+
+        const retrospectives = await listRetrospectives(userId, periodType, { limit });
+
+        return res.json({
+            success: true,
+            type: periodType,
+            retrospectives
+        });
+    } catch (error) {
+        console.error("GET RETROSPECTIVES ERROR:", error);
+        res.status(500).json({
+            success: false,
+            error: "Failed to fetch retrospectives"
         });
     }
 });
 
 /**
  * GET /api/today-reflection/:userId
- * Get today's reflection for a user
+ * Get today's reflection for a user (one entry - see /api/days/:userId/today for all)
  */
-router.get("/today-reflection/:userId", async (req, res) => {
+router.get("/today-reflection/:userId", authenticated, async (req, res) => {
     try {
         const { userId } = req.params;
-        const today = new Date().toISOString().split("T")[0];
+        const today = localDate(await resolveTimezone(userId, requestedTimezone(req)));
 
         // Fetch reflection for today (no orderBy needed since we filter by exact date)
         const snapshot = await db
@@ -340,10 +564,10 @@ router.get("/today-reflection/:userId", async (req, res) => {
             });
         }
 
-        const reflection = {
+        const reflection = await openDocument(userId, "reflection", {
             id: snapshot.docs[0].id,
             ...snapshot.docs[0].data()
-        };
+        });
 
         return res.json({
             success: true,
@@ -359,38 +583,110 @@ router.get("/today-reflection/:userId", async (req, res) => {
     }
 });
 
+/**
+ * GET /api/days/:userId/:date
+ * Every reflection for a date (oldest first) with a combined daily summary
+ * Query: review=true adds the cached "day in review", refresh=true regenerates it
+ * (review requests are refused with 429 once the daily AI quota is used up)
+ */
+router.get("/days/:userId/:date", authenticated, rateLimit, dailyQuotaWhen(req => req.query.review === "true"), async (req, res) => {
+    try {
+        const { userId } = req.params;
+        const timezone = await resolveTimezone(userId, requestedTimezone(req));
+        const date = req.params.date === "today" ? localDate(timezone) : req.params.date;
+
+        if (!isValidDate(date)) {
+            return res.status(400).json({
+                success: false,
+                error: "date must be YYYY-MM-DD or \"today\""
+            });
+        }
+
+        const result = await getDayView(userId, date, {
+            timezone,
+            review: req.query.review === "true",
+            refresh: req.query.refresh === "true"
+        });
+
+        if (!result.success) {
+            return res.status(500).json({
+                success: false,
+                error: result.error
+            });
+        }
+
+        return res.json({
+            success: true,
+            ...result.day
+        });
+    } catch (error) {
+        console.error("DAY VIEW ERROR:", error);
+        res.status(500).json({
+            success: false,
+            error: "Failed to fetch day"
+        });
+    }
+});
+
 /**
  * GET /api/reflections/:userId
- * Get all reflections for a user (last 30 days)
+ * Paginated reflections, newest first
+ * Query: limit (max 100), cursor (from nextCursor), from / to (YYYY-MM-DD or ISO)
  */
-router.get("/reflections/:userId", async (req, res) => {
+router.get("/reflections/:userId", authenticated, async (req, res) => {
     try {
         const { userId } = req.params;
-        const limit = parseInt(req.query.limit) || 30;
+        const limit = parsePageSize(req.query.limit);
+        const timezone = await resolveTimezone(userId, requestedTimezone(req));
+        const from = parseDateBound(req.query.from, { timezone });
+        const to = parseDateBound(req.query.to, { endOfDay: true, timezone });
 
-        const snapshot = await db
+        if (from === null || to === null) {
+            return res.status(400).json({
+                success: false,
+                error: "from and to must be dates (YYYY-MM-DD) or ISO timestamps"
+            });
+        }
+
+        const reflectionsRef = db
             .collection("users")
             .doc(userId)
-            .collection("reflections")
-            .orderBy("createdAt", "desc")
-            .limit(limit)
-            .get();
+            .collection("reflections");
+
+        let query = reflectionsRef.orderBy("createdAt", "desc");
+        if (from) query = query.where("createdAt", ">=", from);
+        if (to) query = query.where("createdAt", "<=", to);
+
+        if (req.query.cursor) {
+            const cursor = decodeCursor(req.query.cursor);
+            if (!cursor) {
+                return res.status(400).json({
+                    success: false,
+                    error: "Invalid cursor"
+                });
+            }
 
-        if (snapshot.empty) {
-            return res.json({
-                success: true,
-                reflections: []
-            });
+            // Prefer the snapshot (exact position even with equal timestamps);
+            // fall back to the timestamp if that reflection was deleted
+            const cursorDoc = await reflectionsRef.doc(cursor.id).get();
+            query = cursorDoc.exists
+                ? query.startAfter(cursorDoc)
+                : query.startAfter(cursor.createdAt);
         }
 
-        const reflections = snapshot.docs.map(doc => ({
+        // Fetch one extra to know whether another page exists
+        const snapshot = await query.limit(limit + 1).get();
+        const docs = snapshot.docs.slice(0, limit);
+
+        const reflections = await openDocuments(userId, "reflection", docs.map(doc => ({
             id: doc.id,
             ...doc.data()
-        }));
+        })));
 
         return res.json({
             success: true,
-            reflections
+            reflections,
+            nextCursor: snapshot.docs.length > limit ? encodeCursor(docs[docs.length - 1]) : null
         });
     } catch (error) {
         console.error("GET REFLECTIONS ERROR:", error);
@@ -402,11 +698,56 @@ router.get("/reflections/:userId", async (req, res) => {
 });
 
 
+/**
+ * GET /api/reflections/:userId/search
+ * Query: q (free text), primaryEmotion, secondaryEmotion, theme,
+ * emotionalIntensity, inputType, from / to, limit (max 100)
+ */
+router.get("/reflections/:userId/search", authenticated, async (req, res) => {
+    try {
+        const { userId } = req.params;
+        const limit = parsePageSize(req.query.limit);
+        const timezone = await resolveTimezone(userId, requestedTimezone(req));
+        const from = parseDateBound(req.query.from, { timezone });
+        const to = parseDateBound(req.query.to, { endOfDay: true, timezone });
+
+        if (from === null || to === null) {
+            return res.status(400).json({
+                success: false,
+                error: "from and to must be dates (YYYY-MM-DD) or ISO timestamps"
+            });
+        }
+
+        const { filters, error } = parseSearchFilters(req.query);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                error
+            });
+        }
+
+        const { results, truncated } = await searchReflections(userId, filters, { from, to, limit });
+
+        return res.json({
+            success: true,
+            query: { ...filters, from, to },
+            reflections: results,
+            truncated
+        });
+    } catch (error) {
+        console.error("SEARCH REFLECTIONS ERROR:", error);
+        res.status(500).json({
+            success: false,
+            error: "Failed to search reflections"
+        });
+    }
+});
+
 /**
  * GET /api/reflection/:userId/:date
- * Get specific reflection by date
+ * Get specific reflection by date (one entry - see /api/days/:userId/:date for all)
  */
-router.get("/reflection/:userId/:date", async (req, res) => {
+router.get("/reflection/:userId/:date", authenticated, async (req, res) => {
     try {
         const { userId, date } = req.params;
 
@@ -430,10 +771,10 @@ router.get("/reflection/:userId/:date", async (req, res) => {
         return res.json({
             success: true,
             found: true,
-            reflection: {
+            reflection: await openDocument(userId, "reflection", {
                 id: doc.id,
                 ...doc.data()
-            }
+            })
         });
     } catch (error) {
         console.error("GET REFLECTION ERROR:", error);
@@ -445,18 +786,71 @@ router.get("/reflection/:userId/:date", async (req, res) => {
 });
 
 /**
- * GET /api/reflection-by-id/:userId/:docId
- * Get specific reflection by document ID (more reliable for polling)
+ * Stored reflection -> the event a new subscriber starts from
  */
-router.get("/reflection-by-id/:userId/:docId", async (req, res) => {
-    try {
-        const { userId, docId } = req.params;
-
-        const docRef = db.collection("users").doc(userId).collection("reflections").doc(docId);
-        const doc = await docRef.get();
+function statusEventFrom(docId, reflection, id) {
+    const base = { id, docId, timestamp: Date.now() };
 
-        if (!doc.exists) {
-            return res.json({
+    if (reflection.analysisStatus === "failed") {
+        return { ...base, status: "failed", error: reflection.analysisError || null };
+    }
+    // Text reflections are analyzed before saving and carry no analysisStatus
+    if (reflection.analysisStatus === "completed" || (!reflection.analysisStatus && reflection.primaryEmotion)) {
+        return {
+            ...base,
+            status: "completed",
+            analysis: {
+                dailyInsight: reflection.dailyInsight,
+                primaryEmotion: reflection.primaryEmotion,
+                secondaryEmotion: reflection.secondaryEmotion,
+                emotionalIntensity: reflection.emotionalIntensity,
+                theme: reflection.theme,
+                safety: reflection.safety || null
+            }
+        };
+    }
+    return { ...base, status: "queued" };
+}
+
+/**
+ * GET /api/reflections/:userId/:docId/events
+ * Server-Sent Events stream of analysis progress (replaces polling
+ * /reflection-by-id). Each message's data is { id, status, docId, ... };
+ * the stream ends after "completed" or "failed".
+ * Reconnects send Last-Event-ID and receive only the missed events, or the
+ * stored status when nothing was missed. The stored status is re-read on
+ * every heartbeat, so jobs run by another instance still end the stream.
+ * Needs the Authorization header, so browsers should use a fetch-based
+ * SSE client rather than the bare EventSource.
+ */
+router.get("/reflections/:userId/:docId/events", authenticated, (req, res) => {
+    const { userId, docId } = req.params;
+
+    return streamAnalysisEvents(req, res, {
+        userId,
+        docId,
+        lastEventId: parseInt(req.get("Last-Event-ID")),
+        loadStatus: async (id) => {
+            const doc = await db.collection("users").doc(userId).collection("reflections").doc(docId).get();
+            if (!doc.exists) return null;
+            return statusEventFrom(docId, await openDocument(userId, "reflection", doc.data()), id);
+        }
+    });
+});
+
+/**
+ * GET /api/reflection-by-id/:userId/:docId
+ * Get specific reflection by document ID (more reliable for polling)
+ */
+router.get("/reflection-by-id/:userId/:docId", authenticated, async (req, res) => {
+    try {
+        const { userId, docId } = req.params;
+
+        const docRef = db.collection("users").doc(userId).collection("reflections").doc(docId);
+        const doc = await docRef.get();
+
+        if (!doc.exists) {
+            return res.json({
                 success: true,
                 found: false,
                 message: "Reflection not found"
@@ -466,10 +860,10 @@ router.get("/reflection-by-id/:userId/:docId", async (req, res) => {
         return res.json({
             success: true,
             found: true,
-            reflection: {
+            reflection: await openDocument(userId, "reflection", {
                 id: doc.id,
                 ...doc.data()
-            }
+            })
         });
     } catch (error) {
         console.error("GET REFLECTION BY ID ERROR:", error);
@@ -481,35 +875,538 @@ router.get("/reflection-by-id/:userId/:docId", async (req, res) => {
 });
 
 /**
- * GET /api/user-stats/:userId
- * Get user API usage stats (for API usage page)
+ * POST /api/reflections/:userId/:docId/reanalyze
+ * Manually retry analysis (e.g. after it failed)
+ */
+router.post("/reflections/:userId/:docId/reanalyze", authenticated, limitAnalysis, async (req, res) => {
+    try {
+        const { userId, docId } = req.params;
+
+        const docRef = db.collection("users").doc(userId).collection("reflections").doc(docId);
+        const doc = await docRef.get();
+
+        if (!doc.exists) {
+            return res.status(404).json({
+                success: false,
+                error: "Reflection not found"
+            });
+        }
+
+        const reflection = await openDocument(userId, "reflection", doc.data());
+        const type = !reflection.transcript && reflection.audioPath ? "audio" : "transcript";
+
+        if (type === "transcript" && !reflection.transcript) {
+            return res.status(400).json({
+                success: false,
+                error: "Reflection has no transcript to analyze"
+            });
+        }
+
+        await docRef.update({
+            analysisStatus: "pending",
+            analysisError: null
+        });
+
+        const job = await enqueueAnalysis(userId, docId, type);
+
+        return res.json({
+            success: true,
+            jobId: job.id,
+            reflection: {
+                id: docId,
+                ...reflection,
+                analysisStatus: "pending",
+                analysisError: null
+            }
+        });
+    } catch (error) {
+        console.error("REANALYZE ERROR:", error);
+        res.status(500).json({
+            success: false,
+            error: "Failed to queue reanalysis"
+        });
+    }
+});
+
+/**
+ * PUT /api/reflections/:userId/:docId
+ * Edit a reflection's transcript - the previous version goes into
+ * editHistory and the entry is re-analyzed in the background
+ */
+router.put("/reflections/:userId/:docId", authenticated, limitAnalysis, async (req, res) => {
+    try {
+        const { userId, docId } = req.params;
+        const transcript = typeof req.body.transcript === "string" ? req.body.transcript.trim() : "";
+
+        if (!transcript) {
+            return res.status(400).json({
+                success: false,
+                error: "transcript is required"
+            });
+        }
+
+        const userRef = db.collection("users").doc(userId);
+        const docRef = userRef.collection("reflections").doc(docId);
+        const doc = await docRef.get();
+
+        if (!doc.exists) {
+            return res.status(404).json({
+                success: false,
+                error: "Reflection not found"
+            });
+        }
+
+        const previous = await openDocument(userId, "reflection", doc.data());
+        const now = new Date();
+
+        // Snapshot of the version being replaced
+        const previousVersion = {
+            transcript: previous.transcript || "",
+            dailyInsight: previous.dailyInsight || null,
+            primaryEmotion: previous.primaryEmotion || null,
+            secondaryEmotion: previous.secondaryEmotion || null,
+            emotionalIntensity: previous.emotionalIntensity || null,
+            theme: previous.theme || null,
+            editedAt: previous.updatedAt || previous.createdAt
+        };
+
+        // Keep only the last 20 versions to prevent document bloat
+        const editHistory = [...(previous.editHistory || []).slice(-19), previousVersion];
+
+        const updates = {
+            transcript,
+            language: detectLanguage(transcript).language,
+            updatedAt: now,
+            editHistory,
+            analysisStatus: "pending",
+            analysisError: null
+        };
+
+        await docRef.update({
+            ...await sealDocument(userId, "reflection", updates),
+            searchTokens: await searchTokensFor(userId, transcript)
+        });
+
+        // Re-run analysis on the new text
+        await enqueueAnalysis(userId, docId, "transcript");
+
+        // Invalidate that week's report - its content changed
+        await markWeekStale(userId, previous.date);
+
+        return res.json({
+            success: true,
+            reflection: {
+                id: docId,
+                ...previous,
+                ...updates
+            }
+        });
+    } catch (error) {
+        console.error("EDIT REFLECTION ERROR:", error);
+        res.status(500).json({
+            success: false,
+            error: "Failed to update reflection"
+        });
+    }
+});
+
+/**
+ * DELETE /api/reflections/:userId/:docId
+ * Delete a reflection and its stored audio (if any)
+ */
+router.delete("/reflections/:userId/:docId", authenticated, async (req, res) => {
+    try {
+        const { userId, docId } = req.params;
+
+        const userRef = db.collection("users").doc(userId);
+        const docRef = userRef.collection("reflections").doc(docId);
+        const doc = await docRef.get();
+
+        if (!doc.exists) {
+            return res.status(404).json({
+                success: false,
+                error: "Reflection not found"
+            });
+        }
+
+        const { audioPath, date } = doc.data();
+        if (audioPath) {
+            // Missing audio shouldn't block deleting the reflection
+            await storage.bucket().file(audioPath).delete({ ignoreNotFound: true });
+        }
+
+        await docRef.delete();
+
+        // Invalidate that week's report - its content changed
+        await markWeekStale(userId, date);
+
+        console.log(`🗑️ Reflection deleted: ${docId}`);
+
+        return res.json({
+            success: true,
+            deleted: docId
+        });
+    } catch (error) {
+        console.error("DELETE REFLECTION ERROR:", error);
+        res.status(500).json({
+            success: false,
+            error: "Failed to delete reflection"
+        });
+    }
+});
+
+/**
+ * GET /api/stats/:userId/mood
+ * Deterministic mood analytics (no LLM)
+ * Query: days (default 30) or from / to, bucket=day|week
+ */
+router.get("/stats/:userId/mood", authenticated, async (req, res) => {
+    try {
+        const { userId } = req.params;
+        const timezone = await resolveTimezone(userId, requestedTimezone(req));
+        const from = parseDateBound(req.query.from, { timezone });
+        const to = parseDateBound(req.query.to, { endOfDay: true, timezone });
+
+        if (from === null || to === null) {
+            return res.status(400).json({
+                success: false,
+                error: "from and to must be dates (YYYY-MM-DD) or ISO timestamps"
+            });
+        }
+
+        const window = resolveWindow({ days: req.query.days, from, to });
+        if (window.error) {
+            return res.status(400).json({
+                success: false,
+                error: window.error
+            });
+        }
+
+        const reflections = await fetchMoodData(userId, window.from, window.to);
+        const spanDays = (window.to - window.from) / (24 * 60 * 60 * 1000);
+        const bucket = req.query.bucket === "week" || req.query.bucket === "day"
+            ? req.query.bucket
+            : spanDays > 62 ? "week" : "day";
+
+        return res.json({
+            success: true,
+            window: { from: window.from, to: window.to, timezone },
+            stats: computeMoodStats(reflections, { bucket, timezone })
+        });
+    } catch (error) {
+        console.error("MOOD STATS ERROR:", error);
+        res.status(500).json({
+            success: false,
+            error: "Failed to compute mood stats"
+        });
+    }
+});
+
+/**
+ * GET /api/users/:userId/progress
+ * Streaks, weekly goal progress and milestones
+ * Query: timezone (IANA, e.g. Asia/Kolkata) - defaults to the stored zone, then UTC
+ */
+router.get("/users/:userId/progress", authenticated, async (req, res) => {
+    try {
+        const { userId } = req.params;
+        const timezone = await resolveTimezone(userId, requestedTimezone(req));
+
+        const progress = await getProgress(userId, timezone);
+
+        return res.json({
+            success: true,
+            progress
+        });
+    } catch (error) {
+        console.error("GET PROGRESS ERROR:", error);
+        res.status(500).json({
+            success: false,
+            error: "Failed to fetch progress"
+        });
+    }
+});
+
+/**
+ * PUT /api/users/:userId/goals
+ * Body: { reflectionsPerWeek: 4 }
+ */
+router.put("/users/:userId/goals", authenticated, async (req, res) => {
+    try {
+        const { userId } = req.params;
+
+        const result = await setGoal(userId, req.body);
+        if (result.error) {
+            return res.status(400).json({
+                success: false,
+                error: result.error
+            });
+        }
+
+        return res.json({
+            success: true,
+            goal: result.goal
+        });
+    } catch (error) {
+        console.error("SET GOAL ERROR:", error);
+        res.status(500).json({
+            success: false,
+            error: "Failed to update goal"
+        });
+    }
+});
+
+/**
+ * PUT /api/users/:userId/privacy
+ * Body: { redactPII: false } - opt out of redacting names and contact
+ * details before entries are sent to the AI (on by default)
+ */
+router.put("/users/:userId/privacy", authenticated, async (req, res) => {
+    try {
+        const { userId } = req.params;
+
+        const result = await setRedactionPreference(userId, req.body.redactPII);
+        if (result.error) {
+            return res.status(400).json({
+                success: false,
+                error: result.error
+            });
+        }
+
+        return res.json({
+            success: true,
+            privacy: result.privacy
+        });
+    } catch (error) {
+        console.error("SET PRIVACY ERROR:", error);
+        res.status(500).json({
+            success: false,
+            error: "Failed to update privacy settings"
+        });
+    }
+});
+
+/**
+ * PUT /api/users/:userId/language
+ * Body: { preferredLanguage: "es" } - language for insights and reports;
+ * null goes back to writing each insight in its entry's language
  */
-router.get("/user-stats/:userId", async (req, res) => {
+router.put("/users/:userId/language", authenticated, async (req, res) => {
     try {
         const { userId } = req.params;
 
-        const userDoc = await db.collection("users").doc(userId).get();
+        const result = await setPreferredLanguage(userId, req.body.preferredLanguage ?? null);
+        if (result.error) {
+            return res.status(400).json({
+                success: false,
+                error: result.error
+            });
+        }
 
-        if (!userDoc.exists) {
+        return res.json({
+            success: true,
+            preferredLanguage: result.preferredLanguage
+        });
+    } catch (error) {
+        console.error("SET LANGUAGE ERROR:", error);
+        res.status(500).json({
+            success: false,
+            error: "Failed to update language"
+        });
+    }
+});
+
+/**
+ * PUT /api/users/:userId/timezone
+ * Body: { timezone: "Asia/Kolkata", recomputeDates?: boolean, dryRun?: boolean }
+ * recomputeDates re-buckets existing reflections into the new zone's calendar days
+ * (except ones saved with an explicit date); the response's migration holds
+ * { scanned, changed, skipped, dates, dryRun }. Streak and goal progress is left as is.
+ */
+router.put("/users/:userId/timezone", authenticated, async (req, res) => {
+    try {
+        const { userId } = req.params;
+        const { timezone, recomputeDates, dryRun } = req.body;
+
+        if (!isValidTimezone(timezone)) {
+            return res.status(400).json({
+                success: false,
+                error: "timezone must be an IANA zone like Asia/Kolkata"
+            });
+        }
+
+        await db.collection("users").doc(userId).set({ timezone }, { merge: true });
+
+        let migration = null;
+        if (recomputeDates === true) {
+            migration = await recomputeReflectionDates(userId, timezone, { dryRun: dryRun === true });
+
+            // Reports for both the old and the new days no longer match
+            if (!migration.dryRun) {
+                for (const dateStr of migration.dates) {
+                    await markWeekStale(userId, dateStr);
+                }
+            }
+        }
+
+        return res.json({
+            success: true,
+            timezone,
+            today: localDate(timezone),
+            migration
+        });
+    } catch (error) {
+        console.error("SET TIMEZONE ERROR:", error);
+        res.status(500).json({
+            success: false,
+            error: "Failed to update timezone"
+        });
+    }
+});
+
+/**
+ * DELETE /api/users/:userId
+ * Query: mode=soft (default, undoable during the grace period) | hard (purge now)
+ *        deleteAuthUser=true also removes the Firebase Auth account
+ */
+router.delete("/users/:userId", accountOwner, async (req, res) => {
+    try {
+        const { userId } = req.params;
+        const mode = req.query.mode || "soft";
+        const deleteAuthUser = req.query.deleteAuthUser === "true";
+
+        if (!["soft", "hard"].includes(mode)) {
+            return res.status(400).json({
+                success: false,
+                error: "mode must be soft or hard"
+            });
+        }
+
+        if (mode === "hard") {
+            const result = await purgeUser(userId, { deleteAuthUser });
             return res.json({
                 success: true,
-                stats: {
-                    apiRequestCount: 0,
-                    apiLogs: [],
-                    apiUsage: { byDate: {}, byType: {} }
-                }
+                mode,
+                deleted: result.counts,
+                authDeleted: result.authDeleted
             });
         }
 
-        const userData = userDoc.data();
+        const deletion = await requestDeletion(userId, { deleteAuthUser });
+        return res.json({
+            success: true,
+            mode,
+            deletion
+        });
+    } catch (error) {
+        console.error("DELETE USER ERROR:", error);
+        res.status(500).json({
+            success: false,
+            error: "Failed to delete account"
+        });
+    }
+});
+
+/**
+ * POST /api/users/:userId/restore
+ * Cancel a pending (soft) account deletion
+ */
+router.post("/users/:userId/restore", accountOwner, async (req, res) => {
+    try {
+        const { userId } = req.params;
+
+        const restored = await cancelDeletion(userId);
+        if (!restored) {
+            return res.status(404).json({
+                success: false,
+                error: "No pending deletion for this account"
+            });
+        }
+
+        return res.json({
+            success: true,
+            restored: true
+        });
+    } catch (error) {
+        console.error("RESTORE USER ERROR:", error);
+        res.status(500).json({
+            success: false,
+            error: "Failed to restore account"
+        });
+    }
+});
+
+/**
+ * GET /api/export/:userId?format=json|csv|markdown
+ * Streams the full journal (reflections, weekly reports, usage) as a download;
+ * Markdown shows times in the user's zone
+ */
+router.get("/export/:userId", accountOwner, async (req, res) => {
+    const { userId } = req.params;
+    const format = (req.query.format || "json").toLowerCase();
+
+    if (!EXPORT_FORMATS[format]) {
+        return res.status(400).json({
+            success: false,
+            error: "format must be json, csv or markdown"
+        });
+    }
+
+    try {
+        const timezone = await resolveTimezone(userId, requestedTimezone(req));
+        console.log(`📦 Export started: ${userId} (${format})`);
+        await streamExport(res, userId, format, { timezone });
+    } catch (error) {
+        console.error("EXPORT ERROR:", error);
+
+        // Once streaming has begun the status is sent - just cut the download short
+        if (res.headersSent) {
+            return res.destroy(error);
+        }
+        // Nothing sent yet: drop the download headers so this goes out as JSON
+        res.removeHeader("Content-Disposition");
+        res.removeHeader("Content-Type");
+        res.status(500).json({
+            success: false,
+            error: "Failed to export data"
+        });
+    }
+});
+
+/**
+ * GET /api/user-stats/:userId
+ * Totals, estimated cost per day and per operation, and a page of the usage log
+ * Query: days (cost window, default 30, max 366), limit, cursor (from nextCursor)
+ */
+router.get("/user-stats/:userId", authenticated, async (req, res) => {
+    try {
+        const { userId } = req.params;
+        const days = Math.min(Math.max(parseInt(req.query.days) || 30, 1), 366);
+
+        const [userDoc, page, costs] = await Promise.all([
+            db.collection("users").doc(userId).get(),
+            listUsageLogs(userId, { limit: parsePageSize(req.query.limit), cursor: req.query.cursor }),
+            summarizeCosts(userId, { days })
+        ]);
+
+        if (page.error) {
+            return res.status(400).json({
+                success: false,
+                error: page.error
+            });
+        }
+
+        const userData = userDoc.data() || {};
 
         return res.json({
             success: true,
             stats: {
                 apiRequestCount: userData.apiRequestCount || 0,
-                apiLogs: userData.apiLogs || [],
-                apiUsage: userData.apiUsage || { byDate: {}, byType: {} }
-            }
+                apiLogs: page.logs,
+                apiUsage: userData.apiUsage || { byDate: {}, byType: {} },
+                costs
+            },
+            nextCursor: page.nextCursor
         });
     } catch (error) {
         console.error("GET USER STATS ERROR:", error);
@@ -0,0 +1,80 @@
+import { db } from "../firebase-admin.js";
+import { encryptionEnabled, reencryptUser, rotateDataKey } from "../services/encryption.js";
+
+/**
+ * ENCRYPTION MIGRATION
+ * Encrypts existing journal content and completes key rotations.
+ *
+ *   npm run migrate:encryption                      every user
+ *   npm run migrate:encryption -- --user <uid>      one user
+ *   npm run migrate:encryption -- --rotate-data-keys   new data key per user first
+ *   npm run migrate:encryption -- --dry-run         count only, write nothing
+ *
+ * Master key rotation: put the new key first in ENCRYPTION_MASTER_KEYS
+ * (keep the old one after it) and run this; every data key is rewrapped.
+ * The old master key can be removed once the run finishes.
+ */
+
+const USER_PAGE_SIZE = 100;
+
+function parseArgs(argv) {
+    const args = { user: null, rotateDataKeys: false, dryRun: false };
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === "--user") args.user = argv[++i];
+        else if (argv[i] === "--rotate-data-keys") args.rotateDataKeys = true;
+        else if (argv[i] === "--dry-run") args.dryRun = true;
+        else throw new Error(`Unknown argument: ${argv[i]}`);
+    }
+    return args;
+}
+
+async function* allUserIds() {
+    let last = null;
+    while (true) {
+        let query = db.collection("users").orderBy("__name__").select().limit(USER_PAGE_SIZE);
+        if (last) query = query.startAfter(last);
+        const snapshot = await query.get();
+        for (const doc of snapshot.docs) yield doc.id;
+        if (snapshot.size < USER_PAGE_SIZE) return;
+        last = snapshot.docs[snapshot.docs.length - 1];
+    }
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+
+    if (!encryptionEnabled()) {
+        throw new Error("Set ENCRYPTION_MASTER_KEYS before running the migration");
+    }
+
+    const userIds = args.user ? [args.user] : allUserIds();
+    const totals = { users: 0, failed: 0, scanned: 0, updated: 0 };
+
+    for await (const userId of userIds) {
+        try {
+            if (args.rotateDataKeys && !args.dryRun) {
+                const version = await rotateDataKey(userId);
+                console.log(`🔑 ${userId}: data key v${version}`);
+            }
+
+            const result = await reencryptUser(userId, { dryRun: args.dryRun });
+            totals.users++;
+            totals.scanned += result.scanned;
+            totals.updated += result.updated;
+            console.log(`🔒 ${userId}: ${result.updated}/${result.scanned} document(s) ${args.dryRun ? "to update" : "updated"}`, result.byCollection);
+        } catch (error) {
+            totals.failed++;
+            console.error(`❌ ${userId}:`, error.message);
+        }
+    }
+
+    console.log(`✅ Done${args.dryRun ? " (dry run)" : ""}:`, totals);
+    return totals.failed ? 1 : 0;
+}
+
+main()
+    .then(code => process.exit(code))
+    .catch(error => {
+        console.error("MIGRATION ERROR:", error.message);
+        process.exit(1);
+    });
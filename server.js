@@ -2,6 +2,8 @@ import express from 'express';
 import cors from 'cors';
 import { config } from 'dotenv';
 import analysisRoutes from './routes/analysis.js';
+import { startQueueWorker } from './services/analysisQueue.js';
+import { startDeletionSweeper } from './services/accountDeletion.js';
 
 // Load environment variables
 config();
@@ -50,7 +52,8 @@ const corsOptions = {
     },
     credentials: true,
     methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-    allowedHeaders: ['Content-Type', 'Authorization']
+    allowedHeaders: ['Content-Type', 'Authorization', 'X-Timezone', 'Idempotency-Key', 'Last-Event-ID'],
+    exposedHeaders: ['Idempotent-Replayed', 'Retry-After', 'X-RateLimit-Limit', 'X-RateLimit-Remaining']
 };
 
 // Apply CORS
@@ -92,6 +95,13 @@ app.use((err, req, res, next) => {
         });
     }
 
+    if (err.code === 'UNSUPPORTED_AUDIO_TYPE') {
+        return res.status(415).json({
+            error: 'Unsupported media type',
+            details: err.message
+        });
+    }
+
     res.status(500).json({
         error: 'Internal server error',
         details: process.env.NODE_ENV === 'development'
@@ -118,10 +128,36 @@ app.listen(PORT, () => {
     `);
     console.log('Endpoints:');
     console.log('  POST /api/upload-audio');
+    console.log('  POST /api/save-transcript');
     console.log('  POST /api/analyze-daily');
     console.log('  POST /api/analyze-weekly');
+    console.log('  GET  /api/weekly-reports/:userId');
+    console.log('  POST /api/analyze-monthly');
+    console.log('  POST /api/analyze-yearly');
+    console.log('  GET  /api/retrospectives/:userId');
     console.log('  GET  /api/reflections/:userId');
+    console.log('  GET  /api/reflections/:userId/search');
     console.log('  GET  /api/reflection/:userId/:date');
+    console.log('  GET  /api/days/:userId/:date');
+    console.log('  PUT  /api/reflections/:userId/:docId');
+    console.log('  DEL  /api/reflections/:userId/:docId');
+    console.log('  POST /api/reflections/:userId/:docId/reanalyze');
+    console.log('  GET  /api/reflections/:userId/:docId/events');
+    console.log('  GET  /api/stats/:userId/mood');
+    console.log('  GET  /api/users/:userId/progress');
+    console.log('  PUT  /api/users/:userId/goals');
+    console.log('  PUT  /api/users/:userId/language');
+    console.log('  PUT  /api/users/:userId/privacy');
+    console.log('  PUT  /api/users/:userId/timezone');
+    console.log('  GET  /api/export/:userId');
+    console.log('  DEL  /api/users/:userId');
+    console.log('  POST /api/users/:userId/restore');
     console.log('  GET  /api/health');
     console.log('');
+
+    // Resume interrupted analysis jobs and start polling for retries
+    startQueueWorker();
+
+    // Purge accounts whose deletion grace period has ended
+    startDeletionSweeper();
 });
\ No newline at end of file
@@ -0,0 +1,252 @@
+import crypto from "crypto";
+import { db, storage, auth } from "../firebase-admin.js";
+import { forgetUserKeys } from "./encryption.js";
+
+/**
+ * ACCOUNT DELETION
+ * Soft delete marks the account for deletion and can be undone until the
+ * grace period ends; a purge then removes every piece of user data in
+ * batches. Each step is written to `deletionAudit` with a hashed user id
+ * and counts only - never content.
+ *
+ * An account is "pending" during the grace period (requests are refused
+ * apart from restore, delete and export), "purging" while its data is being
+ * removed and "purged" afterwards, when only a `purgedAccounts/{hash}`
+ * tombstone remains. Background work must not write for purging or purged
+ * accounts, or it would recreate users/{uid} after the purge.
+ */
+
+const GRACE_DAYS = parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS) || 30;
+const BATCH_SIZE = 400; // Firestore batches max out at 500 writes
+const SWEEP_INTERVAL_MS = 60 * 60 * 1000; // hourly
+
+// Subcollections under users/{uid}
+const USER_SUBCOLLECTIONS = ["reflections", "daySummaries", "weeklyReports", "retrospectives", "usage"];
+
+// Top-level collections keyed by a `userId` field
+// (dataKeys last: once the keys are gone any missed ciphertext is unreadable)
+const USER_KEYED_COLLECTIONS = ["analysisJobs", "aiValidationFailures", "idempotencyKeys", "safetyEvents", "dataKeys"];
+
+const TOMBSTONES = "purgedAccounts";
+
+let sweepTimer = null;
+
+function hashUserId(userId) {
+    return crypto.createHash("sha256").update(userId).digest("hex");
+}
+
+/**
+ * Firestore backend - the `deletion` field of users/{uid}, or the tombstone
+ * once the user document is gone. Reads go through `tx` when given.
+ */
+class FirestoreAccountStore {
+    async deletionOf(userId, tx = null) {
+        const read = ref => tx ? tx.get(ref) : ref.get();
+
+        const user = await read(db.collection("users").doc(userId));
+        if (user.exists) return user.data().deletion || null;
+
+        const tombstone = await read(db.collection(TOMBSTONES).doc(hashUserId(userId)));
+        return tombstone.exists ? { status: "purged", purgedAt: tombstone.data().purgedAt } : null;
+    }
+}
+
+/**
+ * In-memory backend - for tests
+ */
+class MemoryAccountStore {
+    constructor() {
+        this.deletions = new Map();
+    }
+
+    async deletionOf(userId) {
+        return this.deletions.get(userId) || null;
+    }
+}
+
+let accounts = new FirestoreAccountStore();
+
+/**
+ * Swap the backing store (tests use new MemoryAccountStore())
+ */
+export function setAccountStore(newStore) {
+    accounts = newStore;
+}
+
+/**
+ * The account's deletion state ({ status, ... }) or null when it is active
+ */
+export async function getDeletion(userId, tx = null) {
+    return accounts.deletionOf(userId, tx);
+}
+
+/**
+ * No new requests: deletion requested, underway or done
+ */
+export function isClosed(deletion) {
+    return ["pending", "purging", "purged"].includes(deletion?.status);
+}
+
+/**
+ * No writes at all, not even from work started earlier
+ */
+export function isGone(deletion) {
+    return ["purging", "purged"].includes(deletion?.status);
+}
+
+async function audit(userId, action, details = {}) {
+    try {
+        await db.collection("deletionAudit").add({
+            userHash: hashUserId(userId),
+            action,
+            ...details,
+            timestamp: Date.now()
+        });
+    } catch (err) {
+        console.error("Failed to write deletion audit:", err.message);
+    }
+}
+
+/**
+ * Delete every document matched by `query`, BATCH_SIZE at a time
+ * Returns the number of deleted documents
+ */
+async function deleteQueryInBatches(query) {
+    let deleted = 0;
+    while (true) {
+        const snapshot = await query.limit(BATCH_SIZE).get();
+        if (snapshot.empty) return deleted;
+
+        const batch = db.batch();
+        snapshot.docs.forEach(doc => batch.delete(doc.ref));
+        await batch.commit();
+        deleted += snapshot.size;
+    }
+}
+
+/**
+ * Mark an account for deletion after the grace period
+ */
+export async function requestDeletion(userId, { deleteAuthUser = false } = {}) {
+    const now = Date.now();
+    const deletion = {
+        status: "pending",
+        requestedAt: now,
+        purgeAfter: now + GRACE_DAYS * 24 * 60 * 60 * 1000,
+        deleteAuthUser
+    };
+
+    await db.collection("users").doc(userId).set({ deletion }, { merge: true });
+    await audit(userId, "requested", { purgeAfter: deletion.purgeAfter, deleteAuthUser });
+
+    console.log(`🗓️ Deletion scheduled for ${userId} after ${new Date(deletion.purgeAfter).toISOString()}`);
+    return deletion;
+}
+
+/**
+ * Undo a pending soft delete. Returns false if nothing was pending.
+ */
+export async function cancelDeletion(userId) {
+    const userRef = db.collection("users").doc(userId);
+    const doc = await userRef.get();
+
+    if (doc.data()?.deletion?.status !== "pending") {
+        return false;
+    }
+
+    await userRef.update({ deletion: null });
+    await audit(userId, "restored");
+    return true;
+}
+
+/**
+ * Permanently remove all data for a user
+ * Returns per-collection counts (also recorded in the audit log)
+ */
+export async function purgeUser(userId, { deleteAuthUser = false } = {}) {
+    const userRef = db.collection("users").doc(userId);
+    const counts = {};
+
+    // Fence first: from here on usage records and queued jobs skip this account
+    await userRef.set({ deletion: { status: "purging", deleteAuthUser, purgeStartedAt: Date.now() } }, { merge: true });
+
+    for (const name of USER_SUBCOLLECTIONS) {
+        counts[name] = await deleteQueryInBatches(userRef.collection(name));
+    }
+
+    for (const name of USER_KEYED_COLLECTIONS) {
+        counts[name] = await deleteQueryInBatches(db.collection(name).where("userId", "==", userId));
+    }
+    forgetUserKeys(userId);
+
+    // Shared rate limit windows are keyed "user:<uid>", not by a userId field
+    counts.rateLimits = await deleteQueryInBatches(db.collection("rateLimits").where("key", "==", `user:${userId}`));
+
+    // Stored audio and any other files under the user's prefix
+    const prefix = `users/${userId}/`;
+    const [files] = await storage.bucket().getFiles({ prefix });
+    await storage.bucket().deleteFiles({ prefix, force: true });
+    counts.storageFiles = files.length;
+
+    // The tombstone keeps the fence up once the user document is gone
+    await db.collection(TOMBSTONES).doc(hashUserId(userId)).set({ purgedAt: Date.now() });
+    await userRef.delete();
+
+    let authDeleted = false;
+    if (deleteAuthUser) {
+        try {
+            await auth.deleteUser(userId);
+            authDeleted = true;
+        } catch (err) {
+            // Already gone is fine; anything else is reported but doesn't undo the purge
+            if (err.code !== "auth/user-not-found") {
+                console.error(`Failed to delete auth user ${userId}:`, err.message);
+            }
+        }
+    }
+
+    await audit(userId, "purged", { counts, authDeleted });
+    console.log(`🧹 Purged user ${userId}:`, counts);
+
+    return { counts, authDeleted };
+}
+
+/**
+ * Purge every account whose grace period has ended, and retry purges
+ * that stopped part way
+ */
+export async function purgeExpiredDeletions(now = Date.now()) {
+    // Filter purgeAfter client-side to avoid needing a composite index
+    const snapshot = await db.collection("users")
+        .where("deletion.status", "in", ["pending", "purging"])
+        .get();
+
+    const due = snapshot.docs.filter(doc => {
+        const { status, purgeAfter } = doc.data().deletion;
+        return status === "purging" || purgeAfter <= now;
+    });
+    for (const doc of due) {
+        try {
+            await purgeUser(doc.id, { deleteAuthUser: doc.data().deletion.deleteAuthUser });
+        } catch (err) {
+            console.error(`❌ Failed to purge ${doc.id}:`, err.message);
+        }
+    }
+    return due.length;
+}
+
+/**
+ * Periodically purge expired soft deletes
+ */
+export function startDeletionSweeper() {
+    if (sweepTimer) return;
+
+    const sweep = () => purgeExpiredDeletions().catch(err =>
+        console.error("❌ Deletion sweep failed:", err.message));
+
+    sweepTimer = setInterval(sweep, SWEEP_INTERVAL_MS);
+    sweepTimer.unref();
+    sweep();
+}
+
+export { FirestoreAccountStore, MemoryAccountStore };
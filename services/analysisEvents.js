@@ -0,0 +1,181 @@
+import { EventEmitter } from "events";
+
+/**
+ * ANALYSIS EVENT BUS
+ * In-process pub/sub for reflection analysis progress, consumed by the SSE
+ * endpoint. Each reflection keeps a short numbered history so a client
+ * reconnecting with Last-Event-ID gets what it missed.
+ *
+ * Statuses: queued -> analyzing -> completed | failed
+ * (a retried job goes back to queued)
+ *
+ * Events only reach subscribers on the same instance. With more than one
+ * instance, a job may run where the stream isn't, so the stream also sends
+ * the stored status on connect and re-reads it on every heartbeat: a client
+ * hears the outcome of a job run elsewhere within one heartbeat interval.
+ */
+
+export const TERMINAL_STATUSES = ["completed", "failed"];
+
+const SSE_HEARTBEAT_MS = parseInt(process.env.SSE_HEARTBEAT_MS) || 15000;
+
+const HISTORY_LIMIT = 20;
+const HISTORY_TTL_MS = 15 * 60 * 1000;
+
+const bus = new EventEmitter();
+bus.setMaxListeners(0); // one listener per open stream
+
+// "uid/docId" -> { seq, events, touchedAt }
+const histories = new Map();
+
+function keyOf(userId, docId) {
+    return `${userId}/${docId}`;
+}
+
+function prune(now) {
+    for (const [key, history] of histories) {
+        if (history.touchedAt + HISTORY_TTL_MS <= now) histories.delete(key);
+    }
+}
+
+/**
+ * Publish a status change; `data` is merged into the event payload
+ */
+export function publishAnalysisEvent(userId, docId, status, data = {}) {
+    const key = keyOf(userId, docId);
+    const now = Date.now();
+    prune(now);
+
+    const history = histories.get(key) || { seq: 0, events: [], touchedAt: now };
+    history.seq += 1;
+    history.touchedAt = now;
+
+    const event = { id: history.seq, status, docId, ...data, timestamp: now };
+    history.events = [...history.events.slice(-(HISTORY_LIMIT - 1)), event];
+    histories.set(key, history);
+
+    bus.emit(key, event);
+    return event;
+}
+
+/**
+ * Listen for events on one reflection. Returns an unsubscribe function.
+ */
+export function subscribeAnalysisEvents(userId, docId, listener) {
+    const key = keyOf(userId, docId);
+    bus.on(key, listener);
+    return () => bus.off(key, listener);
+}
+
+/**
+ * Buffered events newer than `lastEventId`
+ * Returns null when the history can't cover the gap (expired, or the id is
+ * from before a restart) - the caller should fall back to stored state.
+ */
+export function eventsSince(userId, docId, lastEventId) {
+    const history = histories.get(keyOf(userId, docId));
+    if (!history || lastEventId > history.seq) return null;
+
+    const missed = history.events.filter(event => event.id > lastEventId);
+    const oldest = history.events[0]?.id ?? history.seq + 1;
+    // Some events in the gap were already dropped from the buffer
+    if (lastEventId < oldest - 1) return null;
+
+    return missed;
+}
+
+/**
+ * Last event id published for a reflection (0 if none)
+ */
+export function latestEventId(userId, docId) {
+    return histories.get(keyOf(userId, docId))?.seq || 0;
+}
+
+/**
+ * Serve one reflection's events as Server-Sent Events
+ * `loadStatus(id)` reads the stored reflection and returns it as a status
+ * event with that id, or null when the reflection doesn't exist (404).
+ */
+export async function streamAnalysisEvents(req, res, { userId, docId, lastEventId, loadStatus }) {
+    // Subscribe before reading stored state so nothing published in between is lost
+    const pending = [];
+    let deliver = (event) => pending.push(event);
+    const unsubscribe = subscribeAnalysisEvents(userId, docId, event => deliver(event));
+
+    let heartbeat = null;
+    const close = () => {
+        unsubscribe();
+        clearInterval(heartbeat);
+    };
+    req.on("close", close);
+
+    try {
+        // Events up to this id are already reflected in the stored document
+        const stored = await loadStatus(latestEventId(userId, docId));
+
+        if (!stored) {
+            close();
+            return res.status(404).json({
+                success: false,
+                error: "Reflection not found"
+            });
+        }
+
+        res.set({
+            "Content-Type": "text/event-stream",
+            "Cache-Control": "no-cache, no-transform",
+            "Connection": "keep-alive",
+            "X-Accel-Buffering": "no" // disable proxy buffering
+        });
+        res.flushHeaders();
+        res.write("retry: 3000\n\n");
+
+        let sentId = -1;
+        const send = (event) => {
+            if (event.id <= sentId || res.writableEnded) return;
+            sentId = event.id;
+            res.write(`id: ${event.id}\ndata: ${JSON.stringify(event)}\n\n`);
+            if (TERMINAL_STATUSES.includes(event.status)) {
+                close();
+                res.end();
+            }
+        };
+
+        // Catch up: missed events if the buffer covers them. Otherwise - including
+        // a reconnect that missed nothing - the stored status, which also ends the
+        // stream when the analysis has already finished.
+        const missed = Number.isFinite(lastEventId) ? eventsSince(userId, docId, lastEventId) : null;
+        if (missed?.length) {
+            sentId = lastEventId;
+            missed.forEach(send);
+        } else {
+            send(stored);
+        }
+
+        deliver = send;
+        pending.forEach(send);
+
+        if (!res.writableEnded) {
+            heartbeat = setInterval(async () => {
+                res.write(": heartbeat\n\n");
+                // Finished on another instance: its events never reach this one
+                try {
+                    const latest = await loadStatus(sentId + 1);
+                    if (latest && TERMINAL_STATUSES.includes(latest.status)) send(latest);
+                } catch (error) {
+                    console.error("REFLECTION EVENTS POLL ERROR:", error.message);
+                }
+            }, SSE_HEARTBEAT_MS);
+        }
+    } catch (error) {
+        console.error("REFLECTION EVENTS ERROR:", error);
+        close();
+        if (!res.headersSent) {
+            return res.status(500).json({
+                success: false,
+                error: "Failed to open event stream"
+            });
+        }
+        res.end();
+    }
+}
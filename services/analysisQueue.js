@@ -0,0 +1,398 @@
+import crypto from "crypto";
+import { db, storage } from "../firebase-admin.js";
+import { analyzeTranscriptBackground } from "../gemini.js";
+import { processAudioReflection } from "./transcription.js";
+import { markWeekStale } from "./weeklyReports.js";
+import { publishAnalysisEvent } from "./analysisEvents.js";
+import { openDocument } from "./encryption.js";
+import { getDeletion, isGone } from "./accountDeletion.js";
+
+/**
+ * DURABLE ANALYSIS QUEUE
+ * Jobs are persisted (Firestore `analysisJobs`, or in memory for tests) so a
+ * restart or a Gemini failure never leaves a reflection stuck in "pending".
+ *
+ * Job lifecycle: queued -> running -> completed
+ *                                  -> queued (retry with exponential backoff)
+ *                                  -> dead   (max attempts reached, reflection "failed")
+ *                                  -> cancelled (the account is being deleted)
+ *
+ * A running job holds a lease (`leaseUntil`) that its worker renews while it
+ * works; only jobs whose lease has run out are treated as interrupted, so
+ * one instance never re-queues a job another instance is still processing.
+ */
+const MAX_ATTEMPTS = parseInt(process.env.ANALYSIS_MAX_ATTEMPTS) || 5;
+const BASE_DELAY_MS = parseInt(process.env.ANALYSIS_RETRY_BASE_MS) || 5000;
+const MAX_DELAY_MS = 15 * 60 * 1000; // 15 minutes
+const POLL_INTERVAL_MS = parseInt(process.env.ANALYSIS_POLL_MS) || 5000;
+const BATCH_SIZE = 10;
+const LEASE_MS = parseInt(process.env.ANALYSIS_LEASE_MS) || 2 * 60 * 1000;
+const WORKER_ID = crypto.randomUUID();
+
+function leaseExpired(job, now) {
+    // Jobs claimed before leases existed fall back to their last update
+    return (job.leaseUntil ?? job.updatedAt + LEASE_MS) < now;
+}
+
+/**
+ * Firestore backend - one document per job in `analysisJobs`
+ */
+class FirestoreJobStore {
+    constructor(collection = db.collection("analysisJobs")) {
+        this.collection = collection;
+    }
+
+    async create(job) {
+        await this.collection.doc(job.id).set(job);
+        return job;
+    }
+
+    /**
+     * Returns false if the job no longer exists (removed by an account purge)
+     */
+    async update(id, fields) {
+        try {
+            await this.collection.doc(id).update(fields);
+            return true;
+        } catch (error) {
+            if (error.code === 5) return false; // NOT_FOUND
+            throw error;
+        }
+    }
+
+    async findDue(now, limit) {
+        // Filter nextRunAt client-side to avoid needing a composite index
+        const snapshot = await this.collection
+            .where("status", "==", "queued")
+            .limit(limit * 5)
+            .get();
+
+        return snapshot.docs
+            .map(doc => doc.data())
+            .filter(job => job.nextRunAt <= now)
+            .sort((a, b) => a.nextRunAt - b.nextRunAt)
+            .slice(0, limit);
+    }
+
+    async findByStatus(status) {
+        const snapshot = await this.collection.where("status", "==", status).get();
+        return snapshot.docs.map(doc => doc.data());
+    }
+
+    /**
+     * Atomically move a queued job to running; returns false if another
+     * worker got there first
+     */
+    async claim(id, now) {
+        const ref = this.collection.doc(id);
+        return db.runTransaction(async (tx) => {
+            const doc = await tx.get(ref);
+            if (!doc.exists || doc.data().status !== "queued") return false;
+            tx.update(ref, { status: "running", startedAt: now, updatedAt: now, leaseUntil: now + LEASE_MS, workerId: WORKER_ID });
+            return true;
+        });
+    }
+
+    /**
+     * Atomically move a running job whose lease has expired back to queued;
+     * returns false if it finished or its worker renewed the lease meanwhile
+     */
+    async release(id, now) {
+        const ref = this.collection.doc(id);
+        return db.runTransaction(async (tx) => {
+            const doc = await tx.get(ref);
+            if (!doc.exists || doc.data().status !== "running" || !leaseExpired(doc.data(), now)) return false;
+            tx.update(ref, { status: "queued", nextRunAt: now, updatedAt: now, leaseUntil: null, workerId: null });
+            return true;
+        });
+    }
+}
+
+/**
+ * In-memory backend - for tests and local development
+ */
+class MemoryJobStore {
+    constructor() {
+        this.jobs = new Map();
+    }
+
+    async create(job) {
+        this.jobs.set(job.id, { ...job });
+        return job;
+    }
+
+    async update(id, fields) {
+        const job = this.jobs.get(id);
+        if (!job) return false;
+        Object.assign(job, fields);
+        return true;
+    }
+
+    async findDue(now, limit) {
+        return [...this.jobs.values()]
+            .filter(job => job.status === "queued" && job.nextRunAt <= now)
+            .sort((a, b) => a.nextRunAt - b.nextRunAt)
+            .slice(0, limit)
+            .map(job => ({ ...job }));
+    }
+
+    async findByStatus(status) {
+        return [...this.jobs.values()]
+            .filter(job => job.status === status)
+            .map(job => ({ ...job }));
+    }
+
+    async claim(id, now) {
+        const job = this.jobs.get(id);
+        if (!job || job.status !== "queued") return false;
+        Object.assign(job, { status: "running", startedAt: now, updatedAt: now, leaseUntil: now + LEASE_MS, workerId: WORKER_ID });
+        return true;
+    }
+
+    async release(id, now) {
+        const job = this.jobs.get(id);
+        if (!job || job.status !== "running" || !leaseExpired(job, now)) return false;
+        Object.assign(job, { status: "queued", nextRunAt: now, updatedAt: now, leaseUntil: null, workerId: null });
+        return true;
+    }
+}
+
+function createStore(backend = process.env.JOB_QUEUE_BACKEND || "firestore") {
+    if (backend === "memory") return new MemoryJobStore();
+    if (backend === "firestore") return new FirestoreJobStore();
+    throw new Error(`Unknown job queue backend: ${backend}`);
+}
+
+let store = createStore();
+let handlers = { execute: executeJob, fail: markReflectionFailed };
+let pollTimer = null;
+let sweepTimer = null;
+let draining = false;
+
+/**
+ * Swap the backing store (tests use new MemoryJobStore())
+ */
+export function setJobStore(newStore) {
+    store = newStore;
+}
+
+/**
+ * Swap how a job is run and how its reflection is marked failed
+ * (tests pass stubs so nothing reaches Firestore); omitted ones are kept
+ */
+export function setJobHandlers(overrides) {
+    handlers = { ...handlers, ...overrides };
+}
+
+/**
+ * Backoff before the next attempt: base * 2^(attempts - 1), capped
+ */
+export function retryDelay(attempts) {
+    return Math.min(BASE_DELAY_MS * 2 ** Math.max(attempts - 1, 0), MAX_DELAY_MS);
+}
+
+/**
+ * Run one job. Transcript jobs read the transcript from the reflection;
+ * audio jobs re-download the stored file unless it was already transcribed.
+ */
+async function executeJob(job) {
+    if (isGone(await getDeletion(job.userId))) {
+        return { success: false, error: "Account deleted", cancelled: true };
+    }
+
+    // The queue decides when a reflection is "failed" (dead-letter), not the pipeline
+    const markFailed = false;
+    const userRef = db.collection("users").doc(job.userId);
+    const doc = await userRef.collection("reflections").doc(job.docId).get();
+
+    if (!doc.exists) {
+        return { success: false, error: "Reflection not found", permanent: true };
+    }
+
+    const reflection = await openDocument(job.userId, "reflection", doc.data());
+    let result;
+
+    if (reflection.transcript) {
+        result = await analyzeTranscriptBackground(job.userId, job.docId, reflection.transcript, { markFailed });
+    } else if (job.type === "audio" && reflection.audioPath) {
+        const [buffer] = await storage.bucket().file(reflection.audioPath).download();
+        result = await processAudioReflection(job.userId, job.docId, buffer, reflection.audioMimeType, { markFailed });
+    } else {
+        return { success: false, error: "Reflection has no transcript or audio", permanent: true };
+    }
+
+    if (result.success) {
+        // Invalidate that week's report when a reflection is analyzed
+        await markWeekStale(job.userId, reflection.date);
+    }
+
+    return result;
+}
+
+async function runJob(job) {
+    const now = Date.now();
+    if (!(await store.claim(job.id, now))) return;
+
+    const attempts = (job.attempts || 0) + 1;
+
+    console.log(`[QUEUE] ▶️ Job ${job.id} (${job.type}) attempt ${attempts}/${job.maxAttempts}`);
+
+    // Renew the lease while the job runs so other instances leave it alone
+    const heartbeat = setInterval(() => {
+        store.update(job.id, { leaseUntil: Date.now() + LEASE_MS })
+            .catch(error => console.error(`[QUEUE] Lease renewal failed for ${job.id}:`, error.message));
+    }, LEASE_MS / 4);
+    heartbeat.unref();
+
+    let result;
+    try {
+        result = await handlers.execute(job);
+    } catch (error) {
+        result = { success: false, error: error.message };
+    } finally {
+        clearInterval(heartbeat);
+    }
+
+    // A purge deletes the user's jobs; one that was still running stops here
+    const finish = async (fields) => {
+        if (await store.update(job.id, { ...fields, attempts, leaseUntil: null, updatedAt: Date.now() })) return true;
+        console.log(`[QUEUE] 🗑️ Job ${job.id} was removed while running`);
+        return false;
+    };
+
+    if (result.cancelled) {
+        if (await finish({ status: "cancelled", lastError: result.error })) {
+            console.log(`[QUEUE] 🚫 Job ${job.id} cancelled: ${result.error}`);
+        }
+        return;
+    }
+
+    if (result.success) {
+        if (await finish({ status: "completed", lastError: null, completedAt: Date.now() })) {
+            console.log(`[QUEUE] ✅ Job ${job.id} completed`);
+        }
+        return;
+    }
+
+    if (attempts >= job.maxAttempts || result.permanent) {
+        if (!await finish({ status: "dead", lastError: result.error })) return;
+        await handlers.fail(job, result.error);
+        publishAnalysisEvent(job.userId, job.docId, "failed", { error: result.error, attempts });
+        console.error(`[QUEUE] 💀 Job ${job.id} moved to dead-letter: ${result.error}`);
+        return;
+    }
+
+    const delay = retryDelay(attempts);
+    if (!await finish({ status: "queued", lastError: result.error, nextRunAt: Date.now() + delay })) return;
+    publishAnalysisEvent(job.userId, job.docId, "queued", { attempts, retryInMs: delay });
+    console.warn(`[QUEUE] 🔁 Job ${job.id} failed (${result.error}), retrying in ${Math.round(delay / 1000)}s`);
+}
+
+async function markReflectionFailed(job, error) {
+    try {
+        await db.collection("users").doc(job.userId)
+            .collection("reflections").doc(job.docId)
+            .update({ analysisStatus: "failed", analysisError: error });
+    } catch (updateError) {
+        // The reflection may have been deleted
+        console.error(`[QUEUE] Failed to mark reflection ${job.docId} as failed:`, updateError.message);
+    }
+}
+
+/**
+ * Process every job that is due now
+ */
+export async function drainQueue() {
+    if (draining) return;
+    draining = true;
+    try {
+        let due;
+        do {
+            due = await store.findDue(Date.now(), BATCH_SIZE);
+            for (const job of due) {
+                await runJob(job);
+            }
+        } while (due.length === BATCH_SIZE);
+    } catch (error) {
+        console.error("[QUEUE] ❌ Drain error:", error.message);
+    } finally {
+        draining = false;
+    }
+}
+
+/**
+ * Enqueue an analysis job for a reflection and kick the worker
+ * type: "transcript" | "audio"
+ */
+export async function enqueueAnalysis(userId, docId, type = "transcript") {
+    const now = Date.now();
+    const job = {
+        id: crypto.randomUUID(),
+        userId,
+        docId,
+        type,
+        status: "queued",
+        attempts: 0,
+        maxAttempts: MAX_ATTEMPTS,
+        lastError: null,
+        nextRunAt: now,
+        createdAt: now,
+        updatedAt: now
+    };
+
+    await store.create(job);
+    publishAnalysisEvent(userId, docId, "queued", { attempts: 0 });
+    console.log(`[QUEUE] ➕ Enqueued ${type} job ${job.id} for doc=${docId}`);
+
+    // Don't block the request on the analysis
+    setImmediate(() => drainQueue());
+
+    return job;
+}
+
+/**
+ * Requeue jobs left "running" by a crashed or restarted worker, i.e. whose
+ * lease has expired. Jobs another instance is still renewing are left alone.
+ */
+export async function resumeInterruptedJobs(now = Date.now()) {
+    const running = await store.findByStatus("running");
+    let resumed = 0;
+    for (const job of running) {
+        if (leaseExpired(job, now) && await store.release(job.id, now)) resumed++;
+    }
+    if (resumed) {
+        console.log(`[QUEUE] ♻️ Resumed ${resumed} interrupted job(s)`);
+    }
+    return resumed;
+}
+
+/**
+ * Start the worker: resume interrupted jobs, then poll for due retries and
+ * sweep for expired leases once per lease period
+ */
+export async function startQueueWorker() {
+    if (pollTimer) return;
+
+    try {
+        await resumeInterruptedJobs();
+    } catch (error) {
+        console.error("[QUEUE] ❌ Failed to resume jobs:", error.message);
+    }
+
+    pollTimer = setInterval(drainQueue, POLL_INTERVAL_MS);
+    pollTimer.unref();
+    sweepTimer = setInterval(() => {
+        resumeInterruptedJobs().catch(error => console.error("[QUEUE] ❌ Lease sweep failed:", error.message));
+    }, LEASE_MS);
+    sweepTimer.unref();
+    drainQueue();
+}
+
+export function stopQueueWorker() {
+    clearInterval(pollTimer);
+    clearInterval(sweepTimer);
+    pollTimer = null;
+    sweepTimer = null;
+}
+
+export { FirestoreJobStore, MemoryJobStore };
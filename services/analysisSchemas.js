@@ -0,0 +1,282 @@
+/**
+ * AI OUTPUT SCHEMAS
+ * One schema per LLM operation. validateAnalysis() normalizes near-miss
+ * values (e.g. "Work-related" -> "work") and reports what could not be
+ * fixed, each with a reason code.
+ */
+
+export const THEMES = ["self", "relationships", "work", "growth", "health"];
+export const INTENSITIES = ["low", "medium", "high"];
+export const RISK_LEVELS = ["none", "low", "moderate", "high"];
+
+// Reason codes recorded for every validation failure
+export const REASON = {
+    PARSE_ERROR: "PARSE_ERROR",
+    INCOMPLETE_RESPONSE: "INCOMPLETE_RESPONSE",
+    NOT_AN_OBJECT: "NOT_AN_OBJECT",
+    MISSING_FIELD: "MISSING_FIELD",
+    INVALID_TYPE: "INVALID_TYPE",
+    INVALID_ENUM: "INVALID_ENUM",
+    EMPTY_VALUE: "EMPTY_VALUE"
+};
+
+const THEME_SYNONYMS = {
+    self: ["self", "personal", "identity", "selfreflection", "selfcare", "selfesteem", "me", "myself", "introspection", "mood"],
+    relationships: ["relationship", "relationships", "family", "friends", "friendship", "love", "romance", "partner", "social", "people", "connection"],
+    work: ["work", "job", "career", "school", "study", "studies", "academic", "academics", "office", "professional", "business", "productivity"],
+    growth: ["growth", "personalgrowth", "learning", "development", "personaldevelopment", "progress", "goals", "improvement", "change"],
+    health: ["health", "wellbeing", "wellness", "fitness", "sleep", "body", "physical", "mentalhealth", "exercise", "illness"]
+};
+
+const INTENSITY_SYNONYMS = {
+    low: ["low", "mild", "slight", "light", "minimal", "weak", "calm", "lowmedium"],
+    medium: ["medium", "moderate", "mid", "average", "mediumlow", "mediumhigh", "balanced"],
+    high: ["high", "strong", "intense", "severe", "extreme", "veryhigh", "elevated", "highmedium"]
+};
+
+const RISK_SYNONYMS = {
+    none: ["none", "no", "norisk", "safe", "minimal"],
+    low: ["low", "lowrisk", "mild"],
+    moderate: ["moderate", "medium", "moderaterisk", "elevated"],
+    high: ["high", "highrisk", "severe", "imminent", "critical"]
+};
+
+// Labels must be canonical English; common words a model returns in the
+// entry's language instead are mapped back (keys lowercase, accents kept)
+const LABEL_TRANSLATIONS = {
+    // Spanish / Portuguese / Italian
+    tristeza: "sadness", triste: "sad", alegría: "joy", alegria: "joy", feliz: "happy", felicidad: "happiness",
+    felicidade: "happiness", ansiedad: "anxiety", ansiedade: "anxiety", ansia: "anxiety", ansioso: "anxious", ansiosa: "anxious",
+    miedo: "fear", medo: "fear", paura: "fear", enojo: "anger", ira: "anger", raiva: "anger", rabbia: "anger",
+    calma: "calm", gratitud: "gratitude", gratidão: "gratitude", gratitudine: "gratitude", estrés: "stress", estresse: "stress",
+    frustración: "frustration", frustração: "frustration", esperanza: "hope", esperança: "hope", speranza: "hope",
+    soledad: "loneliness", solidão: "loneliness", solitudine: "loneliness", cansancio: "exhaustion", cansaço: "exhaustion",
+    orgullo: "pride", orgulho: "pride", amor: "love", amore: "love", felicità: "happiness", tristezza: "sadness",
+    trabajo: "work", trabalho: "work", lavoro: "work", familia: "relationships", família: "relationships", famiglia: "relationships",
+    relaciones: "relationships", relações: "relationships", relazioni: "relationships", salud: "health", saúde: "health", salute: "health",
+    crecimiento: "growth", crescimento: "growth", crescita: "growth", alta: "high", alto: "high", media: "medium", medio: "medium",
+    baja: "low", bajo: "low", baixa: "low", baixo: "low", bassa: "low", basso: "low",
+    // French
+    joie: "joy", peur: "fear", colère: "anger", stress: "stress", espoir: "hope", solitude: "loneliness", fatigue: "exhaustion",
+    fierté: "pride", gratitude: "gratitude", anxiété: "anxiety", travail: "work", santé: "health", croissance: "growth",
+    famille: "relationships", élevée: "high", moyenne: "medium", faible: "low",
+    // German
+    traurigkeit: "sadness", freude: "joy", angst: "fear", wut: "anger", ruhe: "calm", dankbarkeit: "gratitude",
+    hoffnung: "hope", einsamkeit: "loneliness", müdigkeit: "exhaustion", stolz: "pride", liebe: "love",
+    arbeit: "work", gesundheit: "health", wachstum: "growth", familie: "relationships", hoch: "high", mittel: "medium", niedrig: "low",
+    // Hindi
+    "खुशी": "happiness", "दुख": "sadness", "उदासी": "sadness", "चिंता": "anxiety", "डर": "fear", "गुस्सा": "anger",
+    "शांति": "calm", "तनाव": "stress", "आभार": "gratitude", "अकेलापन": "loneliness", "प्यार": "love", "उम्मीद": "hope",
+    "थकान": "exhaustion", "गर्व": "pride", "काम": "work", "स्वास्थ्य": "health", "परिवार": "relationships", "रिश्ते": "relationships",
+    "विकास": "growth", "उच्च": "high", "मध्यम": "medium", "निम्न": "low"
+};
+
+function translateLabel(value) {
+    const key = value.trim().toLowerCase().replace(/[.!]+$/, "");
+    return LABEL_TRANSLATIONS[key] || LABEL_TRANSLATIONS[key.normalize("NFD").replace(/[\u0300-\u036f]/g, "")] || value;
+}
+
+// A label with one of these is not guessed at ("not work related")
+const NEGATIONS = new Set(["not", "no", "non", "never", "without", "nothing", "isn", "isnt"]);
+
+function compact(value) {
+    return String(value).toLowerCase().replace(/[^a-z]/g, "");
+}
+
+/**
+ * Map a near-miss label onto an allowed enum value, or null
+ * "Work-related" -> "work", "Moderate" -> "medium"
+ */
+export function normalizeEnum(value, allowed, synonyms = {}) {
+    if (typeof value !== "string") return null;
+
+    value = translateLabel(value);
+    const key = compact(value);
+    if (!key) return null;
+    if (allowed.includes(key)) return key;
+
+    for (const [canonical, words] of Object.entries(synonyms)) {
+        if (words.includes(key)) return canonical;
+    }
+
+    // Fall back to whole words of the label, when they all point one way
+    const words = value.toLowerCase().split(/[^a-z]+/).filter(Boolean);
+    if (words.some(word => NEGATIONS.has(word))) return null;
+
+    const matches = new Set(words
+        .map(word => allowed.includes(word)
+            ? word
+            : Object.keys(synonyms).find(canonical => synonyms[canonical].includes(word)))
+        .filter(Boolean));
+    return matches.size === 1 ? [...matches][0] : null;
+}
+
+export const normalizeTheme = (value) => normalizeEnum(value, THEMES, THEME_SYNONYMS);
+export const normalizeIntensity = (value) => normalizeEnum(value, INTENSITIES, INTENSITY_SYNONYMS);
+export const normalizeRisk = (value) => normalizeEnum(value, RISK_LEVELS, RISK_SYNONYMS);
+
+// Field types: "text" (non-empty string), "label" (one lowercase English word),
+// "enum" (with normalize), "labelList" (array of labels), "textList" (array of sentences)
+const dailyFields = {
+    dailyInsight: { type: "text" },
+    primaryEmotion: { type: "label" },
+    secondaryEmotion: { type: "label" },
+    emotionalIntensity: { type: "enum", allowed: INTENSITIES, normalize: normalizeIntensity },
+    theme: { type: "enum", allowed: THEMES, normalize: normalizeTheme }
+};
+
+export const SCHEMAS = {
+    "text-analysis": dailyFields,
+    "voice-analysis": dailyFields,
+    "safety-check": {
+        risk: { type: "enum", allowed: RISK_LEVELS, normalize: normalizeRisk },
+        categories: { type: "textList", allowEmpty: true, optional: true }
+    },
+    "day-analysis": {
+        dayInReview: { type: "text" },
+        emotionalArc: { type: "text" },
+        reflectiveQuestion: { type: "text" }
+    },
+    "weekly-analysis": {
+        dominantEmotions: { type: "labelList" },
+        dominantThemes: { type: "labelList", allowed: THEMES, normalize: normalizeTheme },
+        emotionalPattern: { type: "text" },
+        weeklyInsight: { type: "text" },
+        reflectiveQuestion: { type: "text" }
+    }
+};
+
+const retrospectiveFields = {
+    narrative: { type: "text" },
+    dominantEmotions: { type: "labelList" },
+    dominantThemes: { type: "labelList", allowed: THEMES, normalize: normalizeTheme },
+    themeShifts: { type: "textList", allowEmpty: true },
+    turningPoints: { type: "textList", allowEmpty: true },
+    reflectiveQuestion: { type: "text" }
+};
+
+SCHEMAS["monthly-analysis"] = retrospectiveFields;
+SCHEMAS["yearly-analysis"] = retrospectiveFields;
+
+const LABEL_PATTERN = /^[a-z][a-z-]{1,23}$/;
+
+/**
+ * Single lowercase English word, or null for a phrase, a sentence or a
+ * word that couldn't be translated (so stats never mix languages)
+ */
+export function normalizeLabel(value) {
+    if (typeof value !== "string") return null;
+    const label = translateLabel(value).trim().toLowerCase().replace(/[.!]+$/, "");
+    return LABEL_PATTERN.test(label) ? label : null;
+}
+
+function toList(value) {
+    if (Array.isArray(value)) return value;
+    // "anxiety, joy" -> ["anxiety", "joy"]
+    if (typeof value === "string") return value.split(/[,;/]|\band\b/);
+    return null;
+}
+
+/**
+ * Validate and normalize parsed AI output against the operation's schema
+ * Returns { valid, data, errors: [{ field, reason, message }] }
+ * Unknown operations pass through untouched.
+ */
+export function validateAnalysis(operation, parsed) {
+    const schema = SCHEMAS[operation];
+    if (!schema) {
+        return { valid: true, data: parsed, errors: [] };
+    }
+
+    if (!parsed || typeof parsed !== "object" || Array.isArray(parsed)) {
+        return {
+            valid: false,
+            data: null,
+            errors: [{ field: null, reason: REASON.NOT_AN_OBJECT, message: "Response is not a JSON object" }]
+        };
+    }
+
+    const data = {};
+    const errors = [];
+
+    for (const [field, spec] of Object.entries(schema)) {
+        const value = parsed[field];
+
+        if (value === undefined || value === null) {
+            if (!spec.optional) {
+                errors.push({ field, reason: REASON.MISSING_FIELD, message: `${field} is required` });
+            }
+            continue;
+        }
+
+        if (spec.type === "text" || spec.type === "label") {
+            if (typeof value !== "string") {
+                errors.push({ field, reason: REASON.INVALID_TYPE, message: `${field} must be a string` });
+            } else if (!value.trim()) {
+                errors.push({ field, reason: REASON.EMPTY_VALUE, message: `${field} must not be empty` });
+            } else if (spec.type === "label" && !normalizeLabel(value)) {
+                errors.push({ field, reason: REASON.INVALID_ENUM, message: `${field} must be a single English word (got ${JSON.stringify(value)})` });
+            } else {
+                data[field] = spec.type === "label" ? normalizeLabel(value) : value.trim();
+            }
+        } else if (spec.type === "enum") {
+            const normalized = spec.normalize(value);
+            if (!normalized) {
+                errors.push({
+                    field,
+                    reason: REASON.INVALID_ENUM,
+                    message: `${field} must be one of: ${spec.allowed.join(", ")} (got ${JSON.stringify(value)})`
+                });
+            } else {
+                data[field] = normalized;
+            }
+        } else if (spec.type === "labelList") {
+            const list = toList(value);
+            if (!list) {
+                errors.push({ field, reason: REASON.INVALID_TYPE, message: `${field} must be an array of strings` });
+                continue;
+            }
+
+            let items = list
+                .filter(item => typeof item === "string" && item.trim())
+                .map(item => spec.normalize ? spec.normalize(item) : normalizeLabel(item))
+                .filter(Boolean);
+            items = [...new Set(items)];
+
+            if (!items.length) {
+                errors.push({
+                    field,
+                    reason: spec.allowed ? REASON.INVALID_ENUM : REASON.EMPTY_VALUE,
+                    message: spec.allowed
+                        ? `${field} must contain values from: ${spec.allowed.join(", ")}`
+                        : `${field} must not be empty`
+                });
+            } else {
+                data[field] = items;
+            }
+        } else if (spec.type === "textList") {
+            if (!Array.isArray(value)) {
+                errors.push({ field, reason: REASON.INVALID_TYPE, message: `${field} must be an array of strings` });
+                continue;
+            }
+
+            // Models sometimes return { period, description } objects - flatten them
+            const items = value
+                .map(item => typeof item === "string" ? item : item && typeof item === "object"
+                    ? Object.values(item).filter(v => typeof v === "string").join(": ")
+                    : "")
+                .map(item => item.trim())
+                .filter(Boolean);
+
+            if (!items.length && !spec.allowEmpty) {
+                errors.push({ field, reason: REASON.EMPTY_VALUE, message: `${field} must not be empty` });
+            } else {
+                data[field] = items;
+            }
+        }
+    }
+
+    return errors.length
+        ? { valid: false, data: null, errors }
+        : { valid: true, data, errors };
+}
@@ -0,0 +1,189 @@
+import { db } from "../firebase-admin.js";
+import { analyzeDay } from "../gemini.js";
+import { analyzeDayOffline } from "./llm/offlineProvider.js";
+import { countBy, topKeys, toMillis } from "./moodStats.js";
+import { localTime } from "./timezone.js";
+import { sealDocument, openDocument, openDocuments } from "./encryption.js";
+import { preferredLanguage, dominantLanguage, matchesPreference, DEFAULT_LANGUAGE } from "./language.js";
+import { withTimeout } from "./llm/index.js";
+
+/**
+ * DAY VIEW
+ * Every reflection for one calendar date, in the order written, plus a
+ * combined summary. The deterministic part (blended emotion, intensity
+ * range) is computed on each request; the optional LLM "day in review" is
+ * stored in users/{uid}/daySummaries/{date} and regenerated once a new or
+ * changed entry marks it stale.
+ */
+
+const GEMINI_TIMEOUT = 15000; // 15 seconds max
+const INTENSITY_SCORE = { low: 1, medium: 2, high: 3 };
+const INTENSITY_LABEL = { 1: "low", 2: "medium", 3: "high" };
+
+function summariesRef(userId) {
+    return db.collection("users").doc(userId).collection("daySummaries");
+}
+
+/**
+ * All reflections dated `date`, oldest first
+ * (sorted in memory so no composite index is needed)
+ */
+export async function fetchDayReflections(userId, date) {
+    const snapshot = await db
+        .collection("users")
+        .doc(userId)
+        .collection("reflections")
+        .where("date", "==", date)
+        .get();
+
+    const reflections = snapshot.docs
+        .map(doc => ({ id: doc.id, ...doc.data() }))
+        .sort((a, b) => toMillis(a.createdAt) - toMillis(b.createdAt) || a.id.localeCompare(b.id));
+    return openDocuments(userId, "reflection", reflections);
+}
+
+/**
+ * Primary emotions count double, secondary once
+ * -> { dominant, blend: [{ emotion, share }] }
+ */
+export function blendEmotions(reflections) {
+    const weights = {};
+    for (const r of reflections) {
+        if (r.primaryEmotion) weights[r.primaryEmotion] = (weights[r.primaryEmotion] || 0) + 2;
+        if (r.secondaryEmotion) weights[r.secondaryEmotion] = (weights[r.secondaryEmotion] || 0) + 1;
+    }
+
+    const total = Object.values(weights).reduce((a, b) => a + b, 0);
+    const blend = topKeys(weights, 3).map(emotion => ({
+        emotion,
+        share: Math.round((weights[emotion] / total) * 1000) / 1000
+    }));
+
+    return { dominant: blend[0]?.emotion || null, blend };
+}
+
+/**
+ * Lowest/highest intensity of the day and how it moved from first to last entry
+ */
+export function intensityRange(reflections) {
+    const scores = reflections.map(r => INTENSITY_SCORE[r.emotionalIntensity]).filter(Boolean);
+    if (!scores.length) {
+        return { min: null, max: null, first: null, last: null, trend: null };
+    }
+
+    const first = scores[0];
+    const last = scores[scores.length - 1];
+    return {
+        min: INTENSITY_LABEL[Math.min(...scores)],
+        max: INTENSITY_LABEL[Math.max(...scores)],
+        first: INTENSITY_LABEL[first],
+        last: INTENSITY_LABEL[last],
+        trend: scores.length < 2 ? null : last > first ? "rising" : last < first ? "easing" : "steady"
+    };
+}
+
+export function summarizeDay(reflections) {
+    const analyzed = reflections.filter(r => r.primaryEmotion);
+    return {
+        reflectionCount: reflections.length,
+        analyzedCount: analyzed.length,
+        pendingCount: reflections.filter(r => r.analysisStatus === "pending").length,
+        emotion: blendEmotions(analyzed),
+        intensity: intensityRange(analyzed),
+        themes: topKeys(countBy(analyzed.map(r => r.theme)), 2)
+    };
+}
+
+/**
+ * Compact, label-only entries for the day in review prompt
+ */
+function reviewEntries(reflections, timezone) {
+    return reflections
+        .filter(r => r.primaryEmotion)
+        .map(r => ({
+            time: r.createdAt ? localTime(timezone, new Date(toMillis(r.createdAt))).slice(0, 5).replace("-", ":") : null,
+            primaryEmotion: r.primaryEmotion,
+            secondaryEmotion: r.secondaryEmotion,
+            theme: r.theme,
+            emotionalIntensity: r.emotionalIntensity,
+            dailyInsight: r.dailyInsight
+        }));
+}
+
+/**
+ * Get (or generate) the day in review for `date`
+ * Returns { success, cached, review } - review is null when nothing is analyzed yet
+ */
+async function getDayReview(userId, date, reflections, { timezone, refresh }) {
+    const reviewRef = summariesRef(userId).doc(date);
+    const entries = reviewEntries(reflections, timezone);
+    const reflectionIds = reflections.filter(r => r.primaryEmotion).map(r => r.id);
+
+    if (!entries.length) {
+        return { success: true, cached: false, review: null };
+    }
+
+    const preferred = await preferredLanguage(userId);
+
+    if (!refresh) {
+        const existing = await reviewRef.get();
+        const data = existing.data();
+        // Also compare ids in case an entry finished analysis without a stale mark
+        if (existing.exists && !data.stale && data.reflectionIds.join() === reflectionIds.join()
+            && matchesPreference(data.language, preferred)) {
+            return { success: true, cached: true, review: await openDocument(userId, "daySummary", data) };
+        }
+    }
+
+    console.log(`🔄 Generating day in review ${date}`);
+
+    let analysis;
+    let language = preferred || dominantLanguage(reflections.map(r => r.language));
+    let synthetic = false;
+    try {
+        analysis = await withTimeout(analyzeDay(entries, userId, { language }), GEMINI_TIMEOUT, "Gemini timeout");
+        if (!analysis.success) throw new Error(analysis.error || "Day review failed");
+    } catch (err) {
+        console.log(`⚠️ ${err.message} - generating synthetic day review`);
+        analysis = { success: true, data: analyzeDayOffline(entries) };
+        language = DEFAULT_LANGUAGE; // the offline review is English
+        synthetic = true;
+    }
+
+    const review = {
+        date,
+        reflectionIds,
+        analysis: analysis.data,
+        language,
+        synthetic,
+        stale: false,
+        generatedAt: Date.now()
+    };
+
+    await reviewRef.set(await sealDocument(userId, "daySummary", review));
+    return { success: true, cached: false, review };
+}
+
+/**
+ * Everything for one day: ordered reflections, summary and (optionally) the review
+ */
+export async function getDayView(userId, date, { timezone = "UTC", review = false, refresh = false } = {}) {
+    const reflections = await fetchDayReflections(userId, date);
+
+    const day = {
+        date,
+        reflections,
+        summary: summarizeDay(reflections),
+        review: null
+    };
+
+    if (review && reflections.length) {
+        const result = await getDayReview(userId, date, reflections, { timezone, refresh });
+        if (!result.success) {
+            return { success: false, error: result.error };
+        }
+        day.review = result.review && { ...result.review, cached: result.cached };
+    }
+
+    return { success: true, day };
+}
@@ -0,0 +1,433 @@
+import crypto from "crypto";
+import { db } from "../firebase-admin.js";
+import { buildSearchTokens } from "./searchIndex.js";
+
+/**
+ * FIELD-LEVEL ENVELOPE ENCRYPTION
+ * Each user has data keys (AES-256) stored in `dataKeys/{uid}`, wrapped by
+ * a master key from configuration:
+ *
+ *   ENCRYPTION_MASTER_KEYS="k2:<base64 32 bytes>,k1:<base64 32 bytes>"
+ *
+ * The first master key wraps new data keys; the others only unwrap, so a
+ * master key is rotated by adding a new one in front and running the
+ * migration (which rewraps). A user's data key is rotated by adding a new
+ * version; older versions still decrypt until the migration re-encrypts.
+ *
+ * Encrypted values look like "enc:v1:<keyVersion>:<base64 iv|tag|ciphertext>"
+ * and are bound to the user id. Plaintext values pass through decryption
+ * untouched, so unmigrated documents keep working. Stored plaintext that
+ * itself starts with "enc:" is escaped as "enc:plain:<text>", so user text
+ * can never be mistaken for ciphertext. Labels stay plaintext;
+ * search tokens become HMACs under a separate per-user index key (a blind
+ * index), so exact-word search still works without revealing the words.
+ *
+ * With no master key configured, everything passes through unencrypted.
+ */
+
+const PREFIX = "enc:v1:";
+const MARKER = "enc:";
+const PLAIN_PREFIX = "enc:plain:";
+// The full shape, so older plaintext that merely starts with PREFIX still reads as text
+const CIPHERTEXT = /^enc:v1:\d+:[A-Za-z0-9+/]+={0,2}$/;
+const KEY_CACHE_MS = 10 * 60 * 1000;
+
+// Encrypted paths per document kind ("a.b" nests, "a[].b" maps over an array)
+export const ENCRYPTED_FIELDS = {
+    reflection: ["transcript", "dailyInsight", "editHistory[].transcript", "editHistory[].dailyInsight"],
+    weeklyReport: ["analysis.emotionalPattern", "analysis.weeklyInsight", "analysis.reflectiveQuestion"],
+    retrospective: ["analysis.narrative", "analysis.themeShifts", "analysis.turningPoints", "analysis.reflectiveQuestion"],
+    daySummary: ["analysis.dayInReview", "analysis.emotionalArc", "analysis.reflectiveQuestion"]
+};
+
+function loadMasterKeys() {
+    const raw = process.env.ENCRYPTION_MASTER_KEYS || "";
+    const keys = raw.split(",").map(s => s.trim()).filter(Boolean).map(entry => {
+        const [id, secret] = entry.split(":");
+        const key = Buffer.from(secret || "", "base64");
+        if (!id || key.length !== 32) {
+            throw new Error("ENCRYPTION_MASTER_KEYS entries must be <id>:<base64 of 32 bytes>");
+        }
+        return { id, key };
+    });
+
+    if (!keys.length) {
+        console.warn("⚠️ ENCRYPTION_MASTER_KEYS not set - journal content is stored unencrypted");
+    }
+    return keys;
+}
+
+const masterKeys = loadMasterKeys();
+const keyCache = new Map(); // uid -> { record, dataKeys: Map(version -> Buffer), indexKey, loadedAt }
+
+export function encryptionEnabled() {
+    return masterKeys.length > 0;
+}
+
+function activeMasterKey() {
+    return masterKeys[0];
+}
+
+function seal(key, plaintext, aad) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv("aes-256-gcm", key, iv);
+    cipher.setAAD(Buffer.from(aad));
+    const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+    return Buffer.concat([iv, cipher.getAuthTag(), ciphertext]).toString("base64");
+}
+
+function unseal(key, encoded, aad) {
+    const data = Buffer.from(encoded, "base64");
+    const decipher = crypto.createDecipheriv("aes-256-gcm", key, data.subarray(0, 12));
+    decipher.setAAD(Buffer.from(aad));
+    decipher.setAuthTag(data.subarray(12, 28));
+    return Buffer.concat([decipher.update(data.subarray(28)), decipher.final()]);
+}
+
+function wrapKey(key, userId) {
+    const master = activeMasterKey();
+    return { wrapped: seal(master.key, key, `dek:${userId}`), masterKeyId: master.id, createdAt: Date.now() };
+}
+
+function unwrapKey(entry, userId) {
+    const master = masterKeys.find(k => k.id === entry.masterKeyId);
+    if (!master) {
+        throw new Error(`Master key "${entry.masterKeyId}" is not configured`);
+    }
+    return unseal(master.key, entry.wrapped, `dek:${userId}`);
+}
+
+function newKeyRecord(userId) {
+    return {
+        userId,
+        activeVersion: 1,
+        keys: { 1: wrapKey(crypto.randomBytes(32), userId) },
+        indexKey: wrapKey(crypto.randomBytes(32), userId),
+        createdAt: Date.now()
+    };
+}
+
+/**
+ * Firestore backend - one `dataKeys/{uid}` document per user
+ * update() runs `change(record | null)` in a transaction; it returns
+ * { record } to write (omit to leave the document alone) and a `result`.
+ */
+class FirestoreKeyStore {
+    constructor(collection = db.collection("dataKeys")) {
+        this.collection = collection;
+    }
+
+    async update(userId, change) {
+        const ref = this.collection.doc(userId);
+        return db.runTransaction(async (tx) => {
+            const doc = await tx.get(ref);
+            const { record, result } = change(doc.exists ? doc.data() : null);
+            if (record) tx.set(ref, record);
+            return result;
+        });
+    }
+}
+
+/**
+ * In-memory backend - per process, for tests
+ */
+class MemoryKeyStore {
+    constructor() {
+        this.records = new Map();
+    }
+
+    async update(userId, change) {
+        const existing = this.records.get(userId);
+        const { record, result } = change(existing ? structuredClone(existing) : null);
+        if (record) this.records.set(userId, structuredClone(record));
+        return result;
+    }
+}
+
+let store = new FirestoreKeyStore();
+
+/**
+ * Swap the key store (tests use new MemoryKeyStore()); drops cached keys
+ */
+export function setKeyStore(newStore) {
+    store = newStore;
+    keyCache.clear();
+}
+
+/**
+ * Load (or create, transactionally) the user's keys, unwrapped and cached
+ * `refresh` skips the cache, e.g. for a key version rotated elsewhere
+ */
+async function userKeys(userId, { refresh = false } = {}) {
+    const cached = keyCache.get(userId);
+    if (!refresh && cached && cached.loadedAt + KEY_CACHE_MS > Date.now()) return cached;
+
+    const record = await store.update(userId, (existing) => {
+        if (existing) return { result: existing };
+        const created = newKeyRecord(userId);
+        return { record: created, result: created };
+    });
+
+    const entry = {
+        record,
+        dataKeys: new Map(Object.entries(record.keys).map(([version, wrapped]) => [Number(version), unwrapKey(wrapped, userId)])),
+        indexKey: unwrapKey(record.indexKey, userId),
+        loadedAt: Date.now()
+    };
+    keyCache.set(userId, entry);
+    return entry;
+}
+
+/**
+ * Drop the user's unwrapped keys from memory (after their dataKeys doc is deleted)
+ */
+export function forgetUserKeys(userId) {
+    keyCache.delete(userId);
+}
+
+export function isEncrypted(value) {
+    return typeof value === "string" && CIPHERTEXT.test(value);
+}
+
+function keyVersionOf(value) {
+    return Number(value.slice(PREFIX.length).split(":")[0]);
+}
+
+/**
+ * Encrypt a user-supplied string. Always encrypts when a master key is
+ * configured, whatever the text looks like; with encryption off, text that
+ * starts with the marker is escaped instead.
+ */
+export async function encryptText(userId, text) {
+    if (typeof text !== "string" || !text) return text;
+    if (!encryptionEnabled()) {
+        return text.startsWith(MARKER) ? `${PLAIN_PREFIX}${text}` : text;
+    }
+
+    const keys = await userKeys(userId);
+    const version = keys.record.activeVersion;
+    return `${PREFIX}${version}:${seal(keys.dataKeys.get(version), Buffer.from(text, "utf8"), userId)}`;
+}
+
+export async function decryptText(userId, value) {
+    if (typeof value === "string" && value.startsWith(PLAIN_PREFIX)) return value.slice(PLAIN_PREFIX.length);
+    if (!isEncrypted(value)) return value;
+    if (!encryptionEnabled()) {
+        throw new Error("Encrypted data found but ENCRYPTION_MASTER_KEYS is not set");
+    }
+
+    const version = keyVersionOf(value);
+    let key = (await userKeys(userId)).dataKeys.get(version);
+    if (!key) {
+        // Rotated by another process (the migration script) since we cached the keys
+        key = (await userKeys(userId, { refresh: true })).dataKeys.get(version);
+    }
+    if (!key) {
+        throw new Error(`Data key version ${version} not found for user`);
+    }
+    const encoded = value.slice(PREFIX.length + String(version).length + 1);
+    return unseal(key, encoded, userId).toString("utf8");
+}
+
+/**
+ * Apply `fn` to the string (or each string in an array) at every path
+ * Objects along a path are shallow-copied, so Timestamps and other values
+ * elsewhere in the document keep their type. Missing paths are skipped.
+ */
+async function mapPaths(obj, paths, fn) {
+    if (!obj || typeof obj !== "object") return obj;
+
+    const visit = async (target, parts) => {
+        if (!target || typeof target !== "object" || Array.isArray(target)) return target;
+        const [head, ...rest] = parts;
+
+        if (head.endsWith("[]")) {
+            const field = head.slice(0, -2);
+            if (!Array.isArray(target[field])) return target;
+            return { ...target, [field]: await Promise.all(target[field].map(item => visit(item, rest))) };
+        }
+
+        if (!(head in target)) return target;
+        if (rest.length) return { ...target, [head]: await visit(target[head], rest) };
+
+        const value = target[head];
+        if (typeof value === "string") {
+            return { ...target, [head]: await fn(value) };
+        }
+        if (Array.isArray(value)) {
+            return { ...target, [head]: await Promise.all(value.map(v => typeof v === "string" ? fn(v) : v)) };
+        }
+        return target;
+    };
+
+    let result = obj;
+    for (const path of paths) {
+        result = await visit(result, path.split("."));
+    }
+    return result;
+}
+
+/**
+ * Encrypt the sensitive fields of a document of `kind` (see ENCRYPTED_FIELDS)
+ * With encryption off this only escapes text that looks like ciphertext
+ */
+export async function sealDocument(userId, kind, data) {
+    return mapPaths(data, ENCRYPTED_FIELDS[kind], text => encryptText(userId, text));
+}
+
+export async function openDocument(userId, kind, data) {
+    return mapPaths(data, ENCRYPTED_FIELDS[kind], value => decryptText(userId, value));
+}
+
+export async function openDocuments(userId, kind, list) {
+    return Promise.all(list.map(data => openDocument(userId, kind, data)));
+}
+
+/**
+ * Blind-index form of search tokens (HMAC under the user's index key)
+ * Unchanged when encryption is off
+ */
+export async function indexTokens(userId, tokens) {
+    if (!encryptionEnabled() || !tokens.length) return tokens;
+
+    const { indexKey } = await userKeys(userId);
+    return tokens.map(token => crypto.createHmac("sha256", indexKey).update(token).digest("base64url").slice(0, 22));
+}
+
+/**
+ * `searchTokens` field to store for the given texts
+ */
+export async function searchTokensFor(userId, ...texts) {
+    return indexTokens(userId, buildSearchTokens(...texts));
+}
+
+/**
+ * Add a new data key version for the user; new writes use it
+ * Existing data keeps decrypting with the older versions until migrated.
+ */
+export async function rotateDataKey(userId) {
+    if (!encryptionEnabled()) throw new Error("Encryption is not configured");
+
+    const version = await store.update(userId, (existing) => {
+        const record = existing || newKeyRecord(userId);
+        const next = Math.max(...Object.keys(record.keys).map(Number)) + 1;
+        record.keys[next] = wrapKey(crypto.randomBytes(32), userId);
+        record.activeVersion = next;
+        return { record, result: next };
+    });
+
+    keyCache.delete(userId);
+    return version;
+}
+
+/**
+ * Rewrap the user's keys under the active master key if any were wrapped
+ * by an older one. Returns true when something was rewrapped.
+ */
+export async function rewrapUserKeys(userId) {
+    if (!encryptionEnabled()) return false;
+
+    const active = activeMasterKey().id;
+
+    const changed = await store.update(userId, (record) => {
+        if (!record) return { result: false };
+
+        const stale = [...Object.values(record.keys), record.indexKey].some(entry => entry.masterKeyId !== active);
+        if (!stale) return { result: false };
+
+        const rewrap = (entry) => entry.masterKeyId === active ? entry : wrapKey(unwrapKey(entry, userId), userId);
+        record.keys = Object.fromEntries(Object.entries(record.keys).map(([version, entry]) => [version, rewrap(entry)]));
+        record.indexKey = rewrap(record.indexKey);
+        return { record, result: true };
+    });
+
+    if (changed) keyCache.delete(userId);
+    return changed;
+}
+
+/**
+ * True when a document still needs (re-)encryption: plaintext sensitive
+ * fields, or ciphertext under an older data key version
+ */
+export async function needsReencryption(userId, kind, data) {
+    if (!encryptionEnabled()) return false;
+
+    const { record } = await userKeys(userId);
+    let stale = false;
+    await mapPaths(data, ENCRYPTED_FIELDS[kind], async (value) => {
+        if (value && (!isEncrypted(value) || keyVersionOf(value) !== record.activeVersion)) stale = true;
+        return value;
+    });
+    return stale;
+}
+
+const MIGRATION_BATCH = 200;
+
+// Collections under users/{uid} holding encrypted content
+const ENCRYPTED_COLLECTIONS = {
+    reflections: "reflection",
+    daySummaries: "daySummary",
+    weeklyReports: "weeklyReport",
+    retrospectives: "retrospective"
+};
+
+/**
+ * Migration: encrypt plaintext content (and re-encrypt content under an
+ * older data key) in all of a user's documents, rebuilding reflection
+ * search tokens as blind-index tokens. Safe to re-run.
+ * Returns { scanned, updated, byCollection }
+ */
+export async function reencryptUser(userId, { dryRun = false } = {}) {
+    if (!encryptionEnabled()) throw new Error("Encryption is not configured");
+
+    if (!dryRun) await rewrapUserKeys(userId);
+
+    const userRef = db.collection("users").doc(userId);
+    const result = { scanned: 0, updated: 0, byCollection: {} };
+
+    for (const [name, kind] of Object.entries(ENCRYPTED_COLLECTIONS)) {
+        // Top-level fields an update has to rewrite
+        const fields = [...new Set(ENCRYPTED_FIELDS[kind].map(path => path.split(/[.[]/)[0]))];
+        const ref = userRef.collection(name);
+        let updated = 0;
+        let last = null;
+
+        while (true) {
+            let query = ref.orderBy("__name__").limit(MIGRATION_BATCH);
+            if (last) query = query.startAfter(last);
+            const snapshot = await query.get();
+            if (snapshot.empty) break;
+
+            const batch = db.batch();
+            let writes = 0;
+
+            for (const doc of snapshot.docs) {
+                const data = doc.data();
+                if (!await needsReencryption(userId, kind, data)) continue;
+
+                const opened = await openDocument(userId, kind, data);
+                const sealed = await sealDocument(userId, kind, opened);
+                const update = Object.fromEntries(fields.filter(field => field in sealed).map(field => [field, sealed[field]]));
+                if (kind === "reflection") {
+                    update.searchTokens = await searchTokensFor(userId, opened.transcript, opened.dailyInsight);
+                }
+
+                batch.update(doc.ref, update);
+                writes++;
+            }
+
+            if (writes && !dryRun) await batch.commit();
+            updated += writes;
+            result.scanned += snapshot.size;
+            last = snapshot.docs[snapshot.docs.length - 1];
+            if (snapshot.size < MIGRATION_BATCH) break;
+        }
+
+        result.byCollection[name] = updated;
+        result.updated += updated;
+    }
+
+    return result;
+}
+
+export { FirestoreKeyStore, MemoryKeyStore };
@@ -0,0 +1,228 @@
+import { once } from "events";
+import { db } from "../firebase-admin.js";
+import { openDocument } from "./encryption.js";
+import { localTime } from "./timezone.js";
+
+/**
+ * PERSONAL DATA EXPORT
+ * Streams a user's journal as JSON, CSV or Markdown. Reflections are read
+ * in batches and written as they arrive, so memory stays flat no matter
+ * how long the history is.
+ */
+
+const BATCH_SIZE = 200;
+
+export const EXPORT_FORMATS = {
+    json: { contentType: "application/json; charset=utf-8", extension: "json" },
+    csv: { contentType: "text/csv; charset=utf-8", extension: "csv" },
+    markdown: { contentType: "text/markdown; charset=utf-8", extension: "md" }
+};
+
+const CSV_COLUMNS = [
+    "id", "date", "createdAt", "inputType", "language", "primaryEmotion", "secondaryEmotion",
+    "emotionalIntensity", "theme", "analysisStatus", "dailyInsight", "transcript", "audioPath"
+];
+
+// Internal fields that mean nothing outside the app
+const INTERNAL_FIELDS = ["searchTokens"];
+
+/**
+ * Firestore Timestamps/Dates -> ISO strings, recursively
+ */
+function plain(value) {
+    if (value === null || value === undefined) return value;
+    if (typeof value.toDate === "function") return value.toDate().toISOString();
+    if (value instanceof Date) return value.toISOString();
+    if (Array.isArray(value)) return value.map(plain);
+    if (typeof value === "object") {
+        return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, plain(v)]));
+    }
+    return value;
+}
+
+/**
+ * Yield documents of an ordered query in batches
+ */
+async function* iterate(query) {
+    let last = null;
+    while (true) {
+        const batchQuery = last ? query.startAfter(last) : query;
+        const snapshot = await batchQuery.limit(BATCH_SIZE).get();
+        for (const doc of snapshot.docs) {
+            yield doc;
+        }
+        if (snapshot.size < BATCH_SIZE) return;
+        last = snapshot.docs[snapshot.docs.length - 1];
+    }
+}
+
+async function* reflections(userId) {
+    // Document IDs start with the date and time, so they break ties within a day
+    const query = db.collection("users").doc(userId).collection("reflections").orderBy("date", "asc");
+    for await (const doc of iterate(query)) {
+        const data = plain(await openDocument(userId, "reflection", doc.data()));
+        INTERNAL_FIELDS.forEach(field => delete data[field]);
+        yield { id: doc.id, ...data };
+    }
+}
+
+async function* weeklyReports(userId) {
+    const query = db.collection("users").doc(userId).collection("weeklyReports").orderBy("week", "asc");
+    for await (const doc of iterate(query)) {
+        yield plain(await openDocument(userId, "weeklyReport", doc.data()));
+    }
+}
+
+async function loadProfile(userId) {
+    const doc = await db.collection("users").doc(userId).get();
+    const data = doc.data() || {};
+    return {
+        profile: { id: userId, name: data.name || null, email: data.email || null },
+        usage: plain({
+            apiRequestCount: data.apiRequestCount || 0,
+            apiUsage: data.apiUsage || { byDate: {}, byType: {} }
+        }),
+        progress: plain(data.progress || null)
+    };
+}
+
+/**
+ * Quote a CSV cell. Text a spreadsheet would run as a formula
+ * (= + - @, tab, CR) gets a leading apostrophe.
+ */
+export function csvCell(value) {
+    if (value === null || value === undefined) return "";
+    let str = String(value);
+    if (/^[=+\-@\t\r]/.test(str)) str = `'${str}`;
+    return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+/**
+ * One reflection as Markdown; the time is shown in the user's zone
+ */
+export function markdownReflection(r, timezone = "UTC") {
+    const time = r.createdAt ? localTime(timezone, new Date(r.createdAt)).slice(0, 5).replace("-", ":") : "";
+    const labels = [r.primaryEmotion, r.secondaryEmotion].filter(Boolean).join(", ");
+    const lines = [`### ${time ? `${time} · ` : ""}${r.inputType === "voice" ? "🎙️ Voice" : "✍️ Text"}`, ""];
+
+    if (r.transcript) lines.push(r.transcript.split("\n").map(l => `> ${l}`).join("\n"), "");
+    if (labels) lines.push(`**Emotions:** ${labels}  `);
+    if (r.emotionalIntensity) lines.push(`**Intensity:** ${r.emotionalIntensity}  `);
+    if (r.theme) lines.push(`**Theme:** ${r.theme}  `);
+    if (r.dailyInsight) lines.push("", `*${r.dailyInsight}*`);
+    lines.push("", "");
+    return lines.join("\n");
+}
+
+function markdownReport(report) {
+    const a = report.analysis || {};
+    return [
+        `### ${report.week} (${report.start} – ${report.end})`,
+        "",
+        a.weeklyInsight || "",
+        "",
+        `**Dominant emotions:** ${(a.dominantEmotions || []).join(", ")}  `,
+        `**Dominant themes:** ${(a.dominantThemes || []).join(", ")}  `,
+        a.reflectiveQuestion ? `**Question:** ${a.reflectiveQuestion}` : "",
+        "",
+        ""
+    ].join("\n");
+}
+
+/**
+ * Write to the response respecting backpressure
+ * Returns false once the client has gone away
+ */
+async function write(res, chunk) {
+    if (res.destroyed) return false;
+    if (!res.write(chunk)) {
+        await Promise.race([once(res, "drain"), once(res, "close")]);
+    }
+    return !res.destroyed;
+}
+
+async function streamJson(res, userId) {
+    const { profile, usage, progress } = await loadProfile(userId);
+    const header = JSON.stringify({ exportedAt: new Date().toISOString(), format: "mindmirror-export-v1", profile, usage, progress });
+
+    // Open the object and append the two streamed arrays to it
+    if (!await write(res, `${header.slice(0, -1)},"reflections":[`)) return;
+
+    let first = true;
+    for await (const reflection of reflections(userId)) {
+        if (!await write(res, `${first ? "" : ","}\n${JSON.stringify(reflection)}`)) return;
+        first = false;
+    }
+
+    if (!await write(res, `\n],"weeklyReports":[`)) return;
+
+    first = true;
+    for await (const report of weeklyReports(userId)) {
+        if (!await write(res, `${first ? "" : ","}\n${JSON.stringify(report)}`)) return;
+        first = false;
+    }
+
+    await write(res, "\n]}\n");
+}
+
+async function streamCsv(res, userId) {
+    // BOM so spreadsheet apps detect UTF-8
+    if (!await write(res, `\uFEFF${CSV_COLUMNS.join(",")}\r\n`)) return;
+
+    for await (const reflection of reflections(userId)) {
+        const row = CSV_COLUMNS.map(column => csvCell(reflection[column])).join(",");
+        if (!await write(res, `${row}\r\n`)) return;
+    }
+}
+
+async function streamMarkdown(res, userId, timezone) {
+    const { profile, usage, progress } = await loadProfile(userId);
+
+    if (!await write(res, `# MindMirror Journal${profile.name ? ` — ${profile.name}` : ""}\n\n_Exported ${new Date().toISOString()}_\n\n## Reflections\n\n`)) return;
+
+    let currentDate = null;
+    for await (const reflection of reflections(userId)) {
+        let chunk = "";
+        if (reflection.date !== currentDate) {
+            currentDate = reflection.date;
+            chunk += `## ${currentDate}\n\n`;
+        }
+        chunk += markdownReflection(reflection, timezone);
+        if (!await write(res, chunk)) return;
+    }
+
+    if (!await write(res, "## Weekly reports\n\n")) return;
+    for await (const report of weeklyReports(userId)) {
+        if (!await write(res, markdownReport(report))) return;
+    }
+
+    const stats = [
+        "## Usage",
+        "",
+        `- AI requests: ${usage.apiRequestCount}`,
+        progress ? `- Reflections: ${progress.totalReflections || 0}` : null,
+        progress ? `- Longest streak: ${progress.longestStreak || 0} days` : null,
+        ""
+    ].filter(line => line !== null);
+    await write(res, `${stats.join("\n")}\n`);
+}
+
+/**
+ * Stream the export for `format` into an Express response
+ * Headers are set here; errors after the first byte end the stream early.
+ * `timezone` sets the times shown in Markdown (timestamps elsewhere stay ISO).
+ */
+export async function streamExport(res, userId, format, { timezone = "UTC" } = {}) {
+    const { contentType, extension } = EXPORT_FORMATS[format];
+    const filename = `mindmirror-${new Date().toISOString().split("T")[0]}.${extension}`;
+
+    res.setHeader("Content-Type", contentType);
+    res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
+    res.setHeader("Cache-Control", "no-store");
+
+    if (format === "json") await streamJson(res, userId);
+    else if (format === "csv") await streamCsv(res, userId);
+    else await streamMarkdown(res, userId, timezone);
+
+    res.end();
+}
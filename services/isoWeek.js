@@ -0,0 +1,70 @@
+/**
+ * ISO-8601 WEEK HELPERS
+ * Weeks run Monday-Sunday and are keyed like "2026-W42".
+ * All functions work on "YYYY-MM-DD" date strings (calendar dates, no time zone).
+ */
+
+const WEEK_PATTERN = /^(\d{4})-W(\d{2})$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function parseDate(dateStr) {
+    const [y, m, d] = dateStr.split("-").map(Number);
+    return new Date(Date.UTC(y, m - 1, d));
+}
+
+function formatDate(date) {
+    return date.toISOString().split("T")[0];
+}
+
+/**
+ * "2026-10-14" -> "2026-W42"
+ */
+export function isoWeekOf(dateStr) {
+    const date = parseDate(dateStr);
+    // Thursday of this week decides the ISO year
+    const dayNum = date.getUTCDay() || 7;
+    date.setUTCDate(date.getUTCDate() + 4 - dayNum);
+    const yearStart = new Date(Date.UTC(date.getUTCFullYear(), 0, 1));
+    const week = Math.ceil(((date - yearStart) / DAY_MS + 1) / 7);
+    return `${date.getUTCFullYear()}-W${String(week).padStart(2, "0")}`;
+}
+
+export function isValidWeek(week) {
+    const match = WEEK_PATTERN.exec(week || "");
+    if (!match) return false;
+    const weekNum = Number(match[2]);
+    // Round-trip catches W53 in years that only have 52 weeks
+    return weekNum >= 1 && weekNum <= 53 && isoWeekOf(weekRange(week).start) === week;
+}
+
+/**
+ * "2026-W42" -> { start: "2026-10-12", end: "2026-10-18" } (Monday..Sunday, inclusive)
+ */
+export function weekRange(week) {
+    const match = WEEK_PATTERN.exec(week);
+    if (!match) {
+        throw new Error(`Invalid ISO week: ${week}`);
+    }
+    const year = Number(match[1]);
+    const weekNum = Number(match[2]);
+
+    // Jan 4th is always in week 1
+    const jan4 = new Date(Date.UTC(year, 0, 4));
+    const monday = new Date(jan4.getTime() - ((jan4.getUTCDay() || 7) - 1) * DAY_MS);
+    const start = new Date(monday.getTime() + (weekNum - 1) * 7 * DAY_MS);
+    const end = new Date(start.getTime() + 6 * DAY_MS);
+
+    return { start: formatDate(start), end: formatDate(end) };
+}
+
+/**
+ * "2026-W01" -> "2025-W52" (or W53)
+ */
+export function previousWeek(week) {
+    const { start } = weekRange(week);
+    return isoWeekOf(formatDate(new Date(parseDate(start).getTime() - DAY_MS)));
+}
+
+export function currentWeek(today = formatDate(new Date())) {
+    return isoWeekOf(today);
+}
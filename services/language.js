@@ -0,0 +1,149 @@
+import { db } from "../firebase-admin.js";
+
+/**
+ * LANGUAGE DETECTION & PREFERENCE
+ * Each reflection stores the `language` it was written in (ISO 639-1, or
+ * "und" when too short to tell). Insights and reports are written in the
+ * user's `preferredLanguage` when set, otherwise in the entry's language.
+ * Emotion and theme labels are always the canonical English values, so
+ * stats work across languages.
+ *
+ * Detection is local and cheap: the writing system decides most
+ * languages, and Latin-script text is scored on common function words.
+ */
+
+export const SUPPORTED_LANGUAGES = {
+    en: "English",
+    es: "Spanish",
+    fr: "French",
+    de: "German",
+    pt: "Portuguese",
+    it: "Italian",
+    nl: "Dutch",
+    hi: "Hindi",
+    bn: "Bengali",
+    ta: "Tamil",
+    ar: "Arabic",
+    ru: "Russian",
+    ja: "Japanese",
+    ko: "Korean",
+    zh: "Chinese"
+};
+
+export const DEFAULT_LANGUAGE = "en";
+export const UNDETERMINED = "und";
+
+const MIN_LETTERS = 12;
+
+// Checked in order; kana before Han so Japanese isn't read as Chinese
+const SCRIPTS = [
+    { language: "ja", pattern: /[぀-ヿ]/gu },
+    { language: "ko", pattern: /[가-힯]/gu },
+    { language: "zh", pattern: /\p{Script=Han}/gu },
+    { language: "hi", pattern: /\p{Script=Devanagari}/gu },
+    { language: "bn", pattern: /\p{Script=Bengali}/gu },
+    { language: "ta", pattern: /\p{Script=Tamil}/gu },
+    { language: "ar", pattern: /\p{Script=Arabic}/gu },
+    { language: "ru", pattern: /\p{Script=Cyrillic}/gu }
+];
+
+const STOPWORDS = {
+    en: ["the", "and", "i", "to", "was", "is", "it", "of", "my", "that", "in", "me", "but", "with", "today", "feel", "felt", "not", "have", "so"],
+    es: ["el", "la", "que", "y", "de", "en", "los", "me", "mi", "es", "por", "con", "pero", "muy", "hoy", "estoy", "siento", "una", "las", "fue"],
+    fr: ["le", "la", "je", "et", "les", "des", "est", "que", "pas", "une", "pour", "mais", "avec", "suis", "aujourd", "très", "mon", "ma", "ai", "du"],
+    de: ["ich", "und", "die", "der", "das", "nicht", "ist", "mit", "ein", "eine", "mich", "heute", "aber", "sehr", "war", "habe", "auf", "zu", "mir", "den"],
+    pt: ["o", "a", "que", "e", "de", "não", "eu", "um", "uma", "com", "muito", "hoje", "estou", "mas", "foi", "meu", "minha", "para", "os", "sinto"],
+    it: ["il", "la", "che", "e", "di", "non", "sono", "un", "una", "mi", "oggi", "molto", "ma", "con", "per", "ho", "mio", "mia", "era", "gli"],
+    nl: ["ik", "de", "het", "een", "en", "niet", "van", "is", "dat", "met", "mij", "vandaag", "maar", "heel", "was", "voel", "op", "te", "mijn", "zijn"]
+};
+
+const STOPWORD_SETS = Object.fromEntries(Object.entries(STOPWORDS).map(([code, words]) => [code, new Set(words)]));
+
+export function isSupportedLanguage(code) {
+    return typeof code === "string" && Object.hasOwn(SUPPORTED_LANGUAGES, code);
+}
+
+export function languageName(code) {
+    return SUPPORTED_LANGUAGES[code] || SUPPORTED_LANGUAGES[DEFAULT_LANGUAGE];
+}
+
+/**
+ * Detect the language of a text
+ * Returns { language, confidence } - language is "und" for short or unclear text
+ */
+export function detectLanguage(text) {
+    const letters = (text || "").match(/\p{L}/gu) || [];
+    if (letters.length < MIN_LETTERS) {
+        return { language: UNDETERMINED, confidence: 0 };
+    }
+
+    for (const { language, pattern } of SCRIPTS) {
+        const count = (text.match(pattern) || []).length;
+        if (count / letters.length >= 0.3) {
+            return { language, confidence: Math.min(1, count / letters.length + 0.2) };
+        }
+    }
+
+    const words = text.toLowerCase().match(/\p{L}+/gu) || [];
+    const scores = Object.entries(STOPWORD_SETS)
+        .map(([language, set]) => [language, words.filter(word => set.has(word)).length])
+        .sort((a, b) => b[1] - a[1]);
+
+    const [[best, top], [, second]] = scores;
+    if (!top) {
+        return { language: UNDETERMINED, confidence: 0 };
+    }
+
+    // How clearly the winner beats the runner-up
+    return { language: best, confidence: Math.round(((top - second) / top) * 100) / 100 };
+}
+
+/**
+ * The user's chosen language for insights, or null when unset
+ */
+export async function preferredLanguage(userId) {
+    if (!userId) return null;
+    try {
+        const user = (await db.collection("users").doc(userId).get()).data() || {};
+        return isSupportedLanguage(user.preferredLanguage) ? user.preferredLanguage : null;
+    } catch (error) {
+        console.error("LANGUAGE PREFERENCE ERROR:", error.message);
+        return null;
+    }
+}
+
+/**
+ * Most common supported language among detected codes (default English)
+ */
+export function dominantLanguage(codes) {
+    const counts = {};
+    codes.filter(isSupportedLanguage).forEach(code => { counts[code] = (counts[code] || 0) + 1; });
+    const ranked = Object.entries(counts).sort((a, b) => b[1] - a[1]);
+    return ranked.length ? ranked[0][0] : DEFAULT_LANGUAGE;
+}
+
+/**
+ * Language to write an entry's insight in: the preference, else the entry's own
+ */
+export async function outputLanguage(userId, detected) {
+    return await preferredLanguage(userId) || dominantLanguage([detected]);
+}
+
+/**
+ * Store (or clear, with null) the user's preferred language
+ */
+export async function setPreferredLanguage(userId, code) {
+    if (code !== null && !isSupportedLanguage(code)) {
+        return { error: `language must be one of: ${Object.keys(SUPPORTED_LANGUAGES).join(", ")}` };
+    }
+    await db.collection("users").doc(userId).set({ preferredLanguage: code }, { merge: true });
+    return { preferredLanguage: code };
+}
+
+/**
+ * Whether a stored report can be reused under the user's current
+ * preference (reports from before languages were tracked are English)
+ */
+export function matchesPreference(storedLanguage, preferred) {
+    return !preferred || (storedLanguage || DEFAULT_LANGUAGE) === preferred;
+}
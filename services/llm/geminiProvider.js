@@ -0,0 +1,46 @@
+import { GoogleGenerativeAI } from "@google/generative-ai";
+
+/**
+ * GEMINI PROVIDER
+ * Uses the Google Generative AI SDK. The API key is only required when a
+ * request is actually made, so the server can boot without it.
+ */
+export function createGeminiProvider({ apiKey = process.env.GEMINI_API_KEY } = {}) {
+    let genAI = null;
+
+    function client() {
+        if (!apiKey) {
+            throw new Error("GEMINI_API_KEY is missing in environment variables");
+        }
+        if (!genAI) {
+            genAI = new GoogleGenerativeAI(apiKey);
+        }
+        return genAI;
+    }
+
+    return {
+        name: "gemini",
+        supportsAudio: true,
+
+        async generate({ prompt, content, parts, model, temperature, maxOutputTokens }) {
+            // With separate user content, our template becomes the system instruction
+            const generativeModel = client().getGenerativeModel({
+                model,
+                ...(content !== undefined && { systemInstruction: prompt }),
+                generationConfig: { temperature, maxOutputTokens }
+            });
+
+            const result = await generativeModel.generateContent(parts || (content !== undefined ? content : prompt));
+            const usage = result.response.usageMetadata || {};
+
+            return {
+                text: result.response.text(),
+                usage: {
+                    promptTokens: usage.promptTokenCount || 0,
+                    outputTokens: usage.candidatesTokenCount || 0,
+                    totalTokens: usage.totalTokenCount || 0
+                }
+            };
+        }
+    };
+}
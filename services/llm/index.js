@@ -0,0 +1,100 @@
+import dotenv from "dotenv";
+import { createGeminiProvider } from "./geminiProvider.js";
+import { createOpenAIProvider } from "./openaiProvider.js";
+import { createOfflineProvider } from "./offlineProvider.js";
+
+dotenv.config();
+
+/**
+ * LLM PROVIDERS
+ * Every provider implements:
+ *   generate({ operation, prompt, content, parts, input, model, temperature, maxOutputTokens, json })
+ *     -> Promise<{ text, usage: { promptTokens, outputTokens, totalTokens } }>
+ * `prompt` holds our instructions; `content` (when given) is the delimited
+ * user data and must be sent as a separate part/message.
+ *
+ * LLM_PROVIDER selects one: gemini (default) | openai | offline
+ */
+const factories = {
+    gemini: createGeminiProvider,
+    openai: createOpenAIProvider,
+    offline: createOfflineProvider
+};
+
+/**
+ * Default model + generation options per provider and operation.
+ * Override any model with LLM_MODEL, or per operation with
+ * LLM_MODEL_<OPERATION> (e.g. LLM_MODEL_WEEKLY_ANALYSIS).
+ */
+const DEFAULT_MODELS = {
+    gemini: "gemini-2.5-flash",
+    openai: "gpt-4o-mini",
+    offline: "rules-v1"
+};
+
+const OPERATION_OPTIONS = {
+    "text-analysis": { temperature: 0.3, maxOutputTokens: 2000, json: true },
+    "voice-analysis": { temperature: 0.3, maxOutputTokens: 2000, json: true },
+    "safety-check": { temperature: 0, maxOutputTokens: 300, json: true },
+    "day-analysis": { temperature: 0.4, maxOutputTokens: 1500, json: true },
+    "weekly-analysis": { temperature: 0.4, maxOutputTokens: 2000, json: true },
+    "monthly-analysis": { temperature: 0.4, maxOutputTokens: 3000, json: true },
+    "yearly-analysis": { temperature: 0.4, maxOutputTokens: 4000, json: true },
+    "voice-transcription": { temperature: 0, maxOutputTokens: 8000, json: false }
+};
+
+const FALLBACK_OPTIONS = { temperature: 0.3, maxOutputTokens: 2000, json: true };
+
+let provider = null;
+
+export function getProvider() {
+    if (!provider) {
+        const name = process.env.LLM_PROVIDER || "gemini";
+        const factory = factories[name];
+        if (!factory) {
+            throw new Error(`Unknown LLM provider: ${name}`);
+        }
+        provider = factory();
+        console.log(`🤖 LLM provider: ${provider.name}`);
+    }
+    return provider;
+}
+
+/**
+ * Replace the active provider (tests, or a custom implementation)
+ */
+export function setProvider(newProvider) {
+    provider = newProvider;
+}
+
+/**
+ * Resolve model name and generation options for an operation
+ */
+export function getOperationConfig(operation, providerName = getProvider().name) {
+    const envKey = `LLM_MODEL_${operation.toUpperCase().replace(/-/g, "_")}`;
+    const options = OPERATION_OPTIONS[operation] || FALLBACK_OPTIONS;
+
+    return {
+        ...options,
+        model: process.env[envKey] || process.env.LLM_MODEL || DEFAULT_MODELS[providerName]
+    };
+}
+
+/**
+ * Race an LLM call against a timeout. The timer is cleared however the
+ * race ends, so a fast response doesn't leave it pending.
+ */
+export async function withTimeout(promise, ms, message = "LLM timeout") {
+    let timer;
+    const timeout = new Promise((_, reject) => {
+        timer = setTimeout(() => reject(new Error(message)), ms);
+    });
+
+    try {
+        return await Promise.race([promise, timeout]);
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+export { createGeminiProvider, createOpenAIProvider, createOfflineProvider };
@@ -0,0 +1,210 @@
+/**
+ * OFFLINE PROVIDER
+ * Deterministic, rule-based stand-in for an LLM - same input, same output.
+ * Used for tests, demos and running the server without any API key.
+ * It reads the structured `input` passed alongside each prompt rather than
+ * parsing the prompt text.
+ */
+
+import { detectCrisisLanguage } from "../safety.js";
+
+const EMOTION_KEYWORDS = {
+    joy: ["happy", "joy", "glad", "excited", "great", "wonderful", "love", "grateful", "delighted", "fun"],
+    sadness: ["sad", "down", "lonely", "cry", "cried", "miss", "lost", "empty", "hopeless", "grief"],
+    anxiety: ["anxious", "worried", "nervous", "stress", "stressed", "overwhelmed", "panic", "afraid", "scared", "deadline"],
+    anger: ["angry", "mad", "furious", "annoyed", "irritated", "frustrated", "unfair", "hate"],
+    calm: ["calm", "peaceful", "relaxed", "rested", "quiet", "content", "okay", "fine", "steady"],
+    gratitude: ["thankful", "grateful", "appreciate", "blessed", "thanks"],
+    pride: ["proud", "accomplished", "achieved", "finished", "won", "succeeded"],
+    tiredness: ["tired", "exhausted", "drained", "sleepy", "burnt", "burned", "fatigue"]
+};
+
+const THEME_KEYWORDS = {
+    work: ["work", "job", "boss", "office", "meeting", "project", "deadline", "career", "colleague", "client"],
+    relationships: ["friend", "family", "partner", "mom", "dad", "mother", "father", "sister", "brother", "wife", "husband", "boyfriend", "girlfriend", "love"],
+    health: ["sleep", "gym", "run", "exercise", "sick", "doctor", "health", "ate", "food", "body", "headache"],
+    growth: ["learn", "learned", "grow", "goal", "improve", "progress", "habit", "practice", "read", "course"],
+    self: []
+};
+
+const INTENSIFIERS = ["very", "so", "really", "extremely", "incredibly", "totally", "completely", "never", "always"];
+
+const INSIGHTS = {
+    joy: "There is a warmth running through what you shared today. It seems these moments of lightness matter to you.",
+    sadness: "Some heaviness comes through in your words today. Noticing it and putting it into words is its own quiet kind of care.",
+    anxiety: "A sense of pressure seems to be sitting with you right now. You are paying attention to what feels uncertain.",
+    anger: "Something today seems to have felt unfair or frustrating. Your reaction points to something you value.",
+    calm: "Your reflection carries a steady, settled quality. There seems to be some room to breathe today.",
+    gratitude: "Appreciation stands out in what you shared. You seem to be noticing what supports you.",
+    pride: "There is a sense of accomplishment in your words. You took time to recognise your own effort.",
+    tiredness: "Your energy seems stretched thin today. You are noticing how much you have been carrying.",
+    neutral: "You took a moment to pause and reflect today. Even ordinary days say something about what you notice."
+};
+
+function tokenize(text) {
+    return (text || "").toLowerCase().match(/[a-z']+/g) || [];
+}
+
+function rank(tokens, keywordMap) {
+    const scores = Object.entries(keywordMap).map(([label, keywords]) => [
+        label,
+        tokens.filter(t => keywords.includes(t)).length
+    ]);
+    // Stable sort keeps declaration order for ties -> deterministic
+    return scores.filter(([, score]) => score > 0).sort((a, b) => b[1] - a[1]);
+}
+
+/**
+ * Rule-based analysis of a single transcript
+ */
+export function analyzeTranscriptOffline(transcript) {
+    const tokens = tokenize(transcript);
+    const emotions = rank(tokens, EMOTION_KEYWORDS);
+    const themes = rank(tokens, THEME_KEYWORDS);
+
+    const primaryEmotion = emotions[0]?.[0] || "neutral";
+    const secondaryEmotion = emotions[1]?.[0] || (primaryEmotion === "calm" ? "neutral" : "calm");
+
+    const emotionHits = emotions.reduce((sum, [, score]) => sum + score, 0);
+    const intensifierHits = tokens.filter(t => INTENSIFIERS.includes(t)).length
+        + ((transcript || "").match(/!/g) || []).length;
+    const score = emotionHits + intensifierHits;
+    const emotionalIntensity = score >= 5 ? "high" : score >= 2 ? "medium" : "low";
+
+    return {
+        dailyInsight: INSIGHTS[primaryEmotion],
+        primaryEmotion,
+        secondaryEmotion,
+        emotionalIntensity,
+        theme: themes[0]?.[0] || "self"
+    };
+}
+
+function topCounts(values, n) {
+    const counts = {};
+    values.filter(Boolean).forEach(v => counts[v] = (counts[v] || 0) + 1);
+    return Object.entries(counts)
+        .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+        .slice(0, n)
+        .map(([v]) => v);
+}
+
+/**
+ * Rule-based day in review from the day's entries (in order)
+ */
+export function analyzeDayOffline(entries = []) {
+    const emotions = entries.map(e => e.primaryEmotion).filter(Boolean);
+    const themes = topCounts(entries.map(e => e.theme), 2);
+    const first = emotions[0];
+    const last = emotions[emotions.length - 1];
+
+    return {
+        dayInReview: `You checked in ${entries.length} time${entries.length === 1 ? "" : "s"}${themes.length ? `, mostly around ${themes.join(" and ")}` : ""}.`,
+        emotionalArc: !first
+            ? "There is not enough analyzed detail yet to trace how the day felt."
+            : first === last
+                ? `${first} stayed with you through the day.`
+                : `The day started with ${first} and ended closer to ${last}.`,
+        reflectiveQuestion: "Looking back on this day, which moment would you like to remember?"
+    };
+}
+
+/**
+ * Rule-based weekly summary from reflection labels
+ */
+export function analyzeWeeklyOffline(reflections = []) {
+    const dominantEmotions = topCounts(reflections.map(r => r.primaryEmotion), 2);
+    const dominantThemes = topCounts(reflections.map(r => r.theme), 2);
+    const highCount = reflections.filter(r => r.emotionalIntensity === "high").length;
+
+    return {
+        dominantEmotions: dominantEmotions.length ? dominantEmotions : ["neutral"],
+        dominantThemes: dominantThemes.length ? dominantThemes : ["self"],
+        emotionalPattern: highCount > reflections.length / 2
+            ? "Many of your reflections carried strong feelings."
+            : "Your reflections moved at a fairly even emotional pace.",
+        weeklyInsight: `You reflected ${reflections.length} times, returning most often to ${dominantThemes.join(" and ") || "yourself"}. ${dominantEmotions[0] ? `${dominantEmotions[0]} showed up more than any other feeling.` : ""}`.trim(),
+        reflectiveQuestion: "What would you like to explore more deeply in your next reflection?"
+    };
+}
+
+/**
+ * Rule-based retrospective from chunk summaries (weeks of a month, months of a year)
+ */
+export function analyzeRetrospectiveOffline(periodType, chunks = []) {
+    const emotionTotals = {};
+    const themeTotals = {};
+    chunks.forEach(chunk => {
+        Object.entries(chunk.emotionCounts || {}).forEach(([e, n]) => emotionTotals[e] = (emotionTotals[e] || 0) + n);
+        Object.entries(chunk.themeCounts || {}).forEach(([t, n]) => themeTotals[t] = (themeTotals[t] || 0) + n);
+    });
+
+    const rankKeys = (counts, n) => Object.entries(counts)
+        .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+        .slice(0, n)
+        .map(([k]) => k);
+
+    const dominantEmotions = rankKeys(emotionTotals, 3);
+    const dominantThemes = rankKeys(themeTotals, 2);
+    const total = chunks.reduce((sum, c) => sum + (c.reflectionCount || 0), 0);
+    const unit = periodType === "year" ? "month" : "week";
+
+    const themeShifts = [];
+    const turningPoints = [];
+    for (let i = 1; i < chunks.length; i++) {
+        const prevTheme = rankKeys(chunks[i - 1].themeCounts || {}, 1)[0];
+        const theme = rankKeys(chunks[i].themeCounts || {}, 1)[0];
+        if (prevTheme && theme && prevTheme !== theme) {
+            themeShifts.push(`Focus moved from ${prevTheme} to ${theme} in ${chunks[i].key}.`);
+        }
+
+        const prevEmotion = rankKeys(chunks[i - 1].emotionCounts || {}, 1)[0];
+        const emotion = rankKeys(chunks[i].emotionCounts || {}, 1)[0];
+        if (prevEmotion && emotion && prevEmotion !== emotion) {
+            turningPoints.push(`${chunks[i].key}: ${emotion} took the place of ${prevEmotion}.`);
+        }
+    }
+
+    return {
+        narrative: `Across ${chunks.length} ${unit}${chunks.length === 1 ? "" : "s"} you reflected ${total} times. ${dominantThemes.length ? `Your attention returned most often to ${dominantThemes.join(" and ")}.` : ""} ${dominantEmotions[0] ? `${dominantEmotions[0]} was the feeling that appeared most.` : ""}`.replace(/\s+/g, " ").trim(),
+        dominantEmotions: dominantEmotions.length ? dominantEmotions : ["neutral"],
+        dominantThemes: dominantThemes.length ? dominantThemes : ["self"],
+        themeShifts,
+        turningPoints,
+        reflectiveQuestion: `Looking back over this ${periodType}, what feels most different now?`
+    };
+}
+
+export function createOfflineProvider() {
+    return {
+        name: "offline",
+        supportsAudio: false,
+
+        async generate({ operation, input = {}, parts }) {
+            if (parts) {
+                throw new Error("Offline provider does not support multimodal input");
+            }
+
+            let data;
+            if (operation === "safety-check") {
+                const { level, categories } = detectCrisisLanguage(input.transcript);
+                data = { risk: level, categories };
+            } else if (operation === "day-analysis") {
+                data = analyzeDayOffline(input.entries);
+            } else if (operation === "weekly-analysis") {
+                data = analyzeWeeklyOffline(input.reflections);
+            } else if (operation === "monthly-analysis" || operation === "yearly-analysis") {
+                data = analyzeRetrospectiveOffline(input.periodType, input.chunks);
+            } else if (operation === "text-analysis" || operation === "voice-analysis") {
+                data = analyzeTranscriptOffline(input.transcript);
+            } else {
+                throw new Error(`Offline provider has no rules for operation: ${operation}`);
+            }
+
+            return {
+                text: JSON.stringify(data),
+                usage: { promptTokens: 0, outputTokens: 0, totalTokens: 0 }
+            };
+        }
+    };
+}
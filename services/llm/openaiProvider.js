@@ -0,0 +1,64 @@
+/**
+ * OPENAI-COMPATIBLE PROVIDER
+ * Talks to any /v1/chat/completions server (OpenAI, Ollama, LM Studio,
+ * vLLM, llama.cpp...). Point LLM_BASE_URL at a local server to run offline.
+ */
+export function createOpenAIProvider({
+    baseUrl = process.env.LLM_BASE_URL || "https://api.openai.com/v1",
+    apiKey = process.env.LLM_API_KEY || process.env.OPENAI_API_KEY,
+    timeoutMs = parseInt(process.env.LLM_TIMEOUT_MS) || 60000
+} = {}) {
+    const endpoint = `${baseUrl.replace(/\/+$/, "")}/chat/completions`;
+
+    return {
+        name: "openai",
+        supportsAudio: false,
+
+        async generate({ prompt, content, parts, model, temperature, maxOutputTokens, json }) {
+            if (parts) {
+                throw new Error("OpenAI-compatible provider does not support multimodal input");
+            }
+
+            const headers = { "Content-Type": "application/json" };
+            if (apiKey) {
+                headers.Authorization = `Bearer ${apiKey}`;
+            }
+
+            const body = {
+                model,
+                messages: content !== undefined
+                    ? [{ role: "system", content: prompt }, { role: "user", content }]
+                    : [{ role: "user", content: prompt }],
+                temperature,
+                max_tokens: maxOutputTokens
+            };
+            if (json) {
+                body.response_format = { type: "json_object" };
+            }
+
+            const response = await fetch(endpoint, {
+                method: "POST",
+                headers,
+                body: JSON.stringify(body),
+                signal: AbortSignal.timeout(timeoutMs)
+            });
+
+            if (!response.ok) {
+                const errorText = await response.text().catch(() => "");
+                throw new Error(`LLM request failed (${response.status}): ${errorText.slice(0, 200)}`);
+            }
+
+            const data = await response.json();
+            const usage = data.usage || {};
+
+            return {
+                text: data.choices?.[0]?.message?.content || "",
+                usage: {
+                    promptTokens: usage.prompt_tokens || 0,
+                    outputTokens: usage.completion_tokens || 0,
+                    totalTokens: usage.total_tokens || 0
+                }
+            };
+        }
+    };
+}
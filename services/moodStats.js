@@ -0,0 +1,163 @@
+import { db } from "../firebase-admin.js";
+import { localHour } from "./timezone.js";
+
+/**
+ * MOOD STATISTICS
+ * Deterministic analytics over reflection labels - no LLM involved,
+ * so it is cheap, instant and testable.
+ */
+
+export const MAX_WINDOW_DAYS = 366;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const INTENSITY_SCORE = { low: 1, medium: 2, high: 3 };
+const WEEKDAYS = ["monday", "tuesday", "wednesday", "thursday", "friday", "saturday", "sunday"];
+
+export function toMillis(value) {
+    if (!value) return 0;
+    if (typeof value.toMillis === "function") return value.toMillis();
+    return new Date(value).getTime();
+}
+
+export function countBy(values) {
+    const counts = {};
+    values.filter(Boolean).forEach(v => counts[v] = (counts[v] || 0) + 1);
+    return counts;
+}
+
+/**
+ * Keys of `counts` sorted by frequency (ties alphabetically)
+ */
+export function topKeys(counts, n) {
+    return Object.entries(counts)
+        .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+        .slice(0, n)
+        .map(([key]) => key);
+}
+
+/**
+ * { label: count } -> [{ label, count, share }] sorted by count
+ */
+function frequencies(counts, total) {
+    return Object.entries(counts)
+        .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+        .map(([label, count]) => ({ label, count, share: total ? Math.round((count / total) * 1000) / 1000 : 0 }));
+}
+
+function timeOfDay(hour) {
+    if (hour >= 5 && hour < 12) return "morning";
+    if (hour >= 12 && hour < 17) return "afternoon";
+    if (hour >= 17 && hour < 22) return "evening";
+    return "night";
+}
+
+function weekdayOf(dateStr) {
+    const [y, m, d] = dateStr.split("-").map(Number);
+    const day = new Date(Date.UTC(y, m - 1, d)).getUTCDay();
+    return WEEKDAYS[(day + 6) % 7];
+}
+
+/**
+ * Compute mood statistics for a list of reflections
+ * `bucket` groups intensity over time by "day" or "week" (Monday start);
+ * time of day is read in the user's `timezone`
+ */
+export function computeMoodStats(reflections, { bucket = "day", timezone = "UTC" } = {}) {
+    const total = reflections.length;
+    const withLabels = reflections.filter(r => r.primaryEmotion);
+
+    // Intensity over time
+    const buckets = new Map();
+    for (const r of reflections) {
+        if (!r.date || !INTENSITY_SCORE[r.emotionalIntensity]) continue;
+        let key = r.date;
+        if (bucket === "week") {
+            const [y, m, d] = r.date.split("-").map(Number);
+            const date = new Date(Date.UTC(y, m - 1, d));
+            date.setUTCDate(date.getUTCDate() - ((date.getUTCDay() + 6) % 7));
+            key = date.toISOString().split("T")[0];
+        }
+        if (!buckets.has(key)) buckets.set(key, { period: key, low: 0, medium: 0, high: 0, total: 0, scoreSum: 0 });
+        const entry = buckets.get(key);
+        entry[r.emotionalIntensity]++;
+        entry.total++;
+        entry.scoreSum += INTENSITY_SCORE[r.emotionalIntensity];
+    }
+
+    const intensityOverTime = [...buckets.values()]
+        .sort((a, b) => a.period.localeCompare(b.period))
+        .map(({ scoreSum, ...entry }) => ({
+            ...entry,
+            averageIntensity: Math.round((scoreSum / entry.total) * 100) / 100
+        }));
+
+    // Day-of-week and time-of-day patterns
+    const dayOfWeek = Object.fromEntries(WEEKDAYS.map(day => [day, 0]));
+    const timeOfDayCounts = { morning: 0, afternoon: 0, evening: 0, night: 0 };
+    for (const r of reflections) {
+        if (r.date) dayOfWeek[weekdayOf(r.date)]++;
+        if (r.createdAt) timeOfDayCounts[timeOfDay(localHour(timezone, new Date(toMillis(r.createdAt))))]++;
+    }
+
+    const voice = reflections.filter(r => r.inputType === "voice").length;
+    const text = reflections.filter(r => r.inputType === "text").length;
+
+    return {
+        totalReflections: total,
+        analyzedReflections: withLabels.length,
+        activeDays: new Set(reflections.map(r => r.date).filter(Boolean)).size,
+        emotions: {
+            primary: frequencies(countBy(reflections.map(r => r.primaryEmotion)), withLabels.length),
+            secondary: frequencies(countBy(reflections.map(r => r.secondaryEmotion)), withLabels.length)
+        },
+        themes: frequencies(countBy(reflections.map(r => r.theme)), withLabels.length),
+        intensity: {
+            distribution: {
+                low: reflections.filter(r => r.emotionalIntensity === "low").length,
+                medium: reflections.filter(r => r.emotionalIntensity === "medium").length,
+                high: reflections.filter(r => r.emotionalIntensity === "high").length
+            },
+            bucket,
+            overTime: intensityOverTime
+        },
+        dayOfWeek,
+        timeOfDay: timeOfDayCounts,
+        inputTypes: {
+            voice,
+            text,
+            voiceRatio: voice + text ? Math.round((voice / (voice + text)) * 1000) / 1000 : null
+        }
+    };
+}
+
+/**
+ * Label fields only, for reflections created inside [from, to]
+ */
+export async function fetchMoodData(userId, from, to) {
+    const snapshot = await db
+        .collection("users")
+        .doc(userId)
+        .collection("reflections")
+        .where("createdAt", ">=", from)
+        .where("createdAt", "<=", to)
+        .select("date", "createdAt", "inputType", "primaryEmotion", "secondaryEmotion", "theme", "emotionalIntensity")
+        .get();
+
+    return snapshot.docs.map(doc => doc.data());
+}
+
+/**
+ * Resolve the stats window from ?days= or ?from=&to= (Dates already parsed)
+ * Returns { from, to } or { error }
+ */
+export function resolveWindow({ days, from, to }, now = new Date()) {
+    const end = to || now;
+    const start = from || new Date(end.getTime() - (parseInt(days) || 30) * DAY_MS);
+
+    if (start > end) {
+        return { error: "from must be before to" };
+    }
+    if ((end - start) / DAY_MS > MAX_WINDOW_DAYS) {
+        return { error: `Window cannot exceed ${MAX_WINDOW_DAYS} days` };
+    }
+    return { from: start, to: end };
+}
@@ -0,0 +1,61 @@
+import { dayBounds, isValidDate } from "./timezone.js";
+
+/**
+ * CURSOR PAGINATION
+ * Cursors are opaque base64url tokens wrapping the last document's id and
+ * createdAt (ms). Clients pass `nextCursor` back unchanged.
+ */
+
+export const DEFAULT_PAGE_SIZE = 30;
+export const MAX_PAGE_SIZE = 100;
+
+export function encodeCursor(doc) {
+    const createdAt = doc.get("createdAt");
+    const millis = typeof createdAt?.toMillis === "function"
+        ? createdAt.toMillis()
+        : new Date(createdAt).getTime();
+
+    return Buffer.from(JSON.stringify({ id: doc.id, t: millis })).toString("base64url");
+}
+
+/**
+ * Returns { id, createdAt: Date } or null if the cursor is malformed
+ */
+export function decodeCursor(cursor) {
+    try {
+        const { id, t } = JSON.parse(Buffer.from(cursor, "base64url").toString("utf8"));
+        if (typeof id !== "string" || !Number.isFinite(t)) return null;
+        return { id, createdAt: new Date(t) };
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Clamp ?limit= to 1..MAX_PAGE_SIZE
+ */
+export function parsePageSize(value, fallback = DEFAULT_PAGE_SIZE) {
+    const size = parseInt(value);
+    if (!Number.isFinite(size) || size < 1) return fallback;
+    return Math.min(size, MAX_PAGE_SIZE);
+}
+
+/**
+ * Parse a from/to query value: "2026-10-01" or a full ISO timestamp.
+ * Bare dates cover the whole day in `timezone` (`to` is inclusive).
+ * Returns a Date, undefined when absent, or null when invalid (including
+ * impossible dates like 2026-02-30 and repeated params).
+ */
+export function parseDateBound(value, { endOfDay = false, timezone = "UTC" } = {}) {
+    if (value === undefined || value === "") return undefined;
+    if (typeof value !== "string") return null;
+
+    if (/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+        if (!isValidDate(value)) return null;
+        const { start, end } = dayBounds(value, timezone);
+        return endOfDay ? end : start;
+    }
+
+    const date = new Date(value);
+    return isNaN(date) ? null : date;
+}
@@ -0,0 +1,179 @@
+import { db } from "../firebase-admin.js";
+import { isoWeekOf, previousWeek } from "./isoWeek.js";
+import { localDate } from "./timezone.js";
+
+/**
+ * JOURNALING PROGRESS
+ * Streaks, weekly goals and milestone badges, kept in the `progress` field
+ * of the user document and updated in a transaction on every new reflection.
+ * Dates are the reflection's calendar `date` (YYYY-MM-DD) in the user's time zone.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_GOAL = { reflectionsPerWeek: 4 };
+
+export const MILESTONES = [
+    { id: "first-reflection", title: "First reflection", test: p => p.totalReflections >= 1 },
+    { id: "reflections-10", title: "10 reflections", test: p => p.totalReflections >= 10 },
+    { id: "reflections-50", title: "50 reflections", test: p => p.totalReflections >= 50 },
+    { id: "reflections-100", title: "100 reflections", test: p => p.totalReflections >= 100 },
+    { id: "reflections-365", title: "365 reflections", test: p => p.totalReflections >= 365 },
+    { id: "streak-3", title: "3-day streak", test: p => p.longestStreak >= 3 },
+    { id: "streak-7", title: "7-day streak", test: p => p.longestStreak >= 7 },
+    { id: "streak-30", title: "30-day streak", test: p => p.longestStreak >= 30 },
+    { id: "streak-100", title: "100-day streak", test: p => p.longestStreak >= 100 },
+    { id: "goal-met", title: "Weekly goal reached", test: p => p.weeksGoalMet >= 1 },
+    { id: "goal-streak-4", title: "Weekly goal 4 weeks running", test: p => p.longestGoalStreak >= 4 }
+];
+
+function daysBetween(a, b) {
+    return Math.round((Date.parse(`${b}T00:00:00Z`) - Date.parse(`${a}T00:00:00Z`)) / DAY_MS);
+}
+
+function emptyProgress() {
+    return {
+        totalReflections: 0,
+        currentStreak: 0,
+        longestStreak: 0,
+        lastReflectionDate: null,
+        goal: { ...DEFAULT_GOAL },
+        goalWeek: null,
+        goalWeekCount: 0,
+        weeksGoalMet: 0,
+        goalStreak: 0,
+        longestGoalStreak: 0,
+        lastGoalMetWeek: null,
+        milestones: []
+    };
+}
+
+/**
+ * Pure update: progress after a reflection dated `date`
+ * Returns { progress, newMilestones }
+ */
+export function applyReflection(previous, date, now = Date.now()) {
+    const p = { ...emptyProgress(), ...previous };
+    p.totalReflections += 1;
+
+    // Daily streak - backdated entries count toward totals but not the streak
+    if (!p.lastReflectionDate) {
+        p.currentStreak = 1;
+        p.lastReflectionDate = date;
+    } else {
+        const gap = daysBetween(p.lastReflectionDate, date);
+        if (gap === 1) {
+            p.currentStreak += 1;
+            p.lastReflectionDate = date;
+        } else if (gap > 1) {
+            p.currentStreak = 1;
+            p.lastReflectionDate = date;
+        }
+    }
+    p.longestStreak = Math.max(p.longestStreak, p.currentStreak);
+
+    // Weekly goal
+    const week = isoWeekOf(date);
+    if (week === p.goalWeek) {
+        p.goalWeekCount += 1;
+    } else if (!p.goalWeek || week > p.goalWeek) {
+        p.goalWeek = week;
+        p.goalWeekCount = 1;
+    }
+
+    // >= so a goal lowered mid-week below the count is met on the next entry
+    if (week === p.goalWeek && p.goalWeekCount >= p.goal.reflectionsPerWeek && p.lastGoalMetWeek !== week) {
+        p.weeksGoalMet += 1;
+        p.goalStreak = p.lastGoalMetWeek === previousWeek(week) ? p.goalStreak + 1 : 1;
+        p.longestGoalStreak = Math.max(p.longestGoalStreak, p.goalStreak);
+        p.lastGoalMetWeek = week;
+    }
+
+    // Milestones
+    const earned = new Set(p.milestones.map(m => m.id));
+    const newMilestones = MILESTONES
+        .filter(m => !earned.has(m.id) && m.test(p))
+        .map(({ id, title }) => ({ id, title, awardedAt: now }));
+    p.milestones = [...p.milestones, ...newMilestones];
+
+    return { progress: p, newMilestones };
+}
+
+/**
+ * Read-time view: a streak is broken once a full day passes without a reflection
+ */
+export function describeProgress(stored, today) {
+    const p = { ...emptyProgress(), ...stored };
+    const gap = p.lastReflectionDate ? daysBetween(p.lastReflectionDate, today) : null;
+    const currentWeek = isoWeekOf(today);
+    const weekCount = p.goalWeek === currentWeek ? p.goalWeekCount : 0;
+
+    return {
+        today,
+        totalReflections: p.totalReflections,
+        currentStreak: gap !== null && gap <= 1 ? p.currentStreak : 0,
+        longestStreak: p.longestStreak,
+        lastReflectionDate: p.lastReflectionDate,
+        reflectedToday: gap === 0,
+        goal: {
+            ...p.goal,
+            week: currentWeek,
+            count: weekCount,
+            remaining: Math.max(p.goal.reflectionsPerWeek - weekCount, 0),
+            met: weekCount >= p.goal.reflectionsPerWeek
+        },
+        weeksGoalMet: p.weeksGoalMet,
+        goalStreak: p.lastGoalMetWeek === currentWeek || p.lastGoalMetWeek === previousWeek(currentWeek)
+            ? p.goalStreak
+            : 0,
+        longestGoalStreak: p.longestGoalStreak,
+        milestones: p.milestones,
+        nextMilestones: MILESTONES
+            .filter(m => !p.milestones.some(earned => earned.id === m.id))
+            .slice(0, 3)
+            .map(({ id, title }) => ({ id, title }))
+    };
+}
+
+/**
+ * Record a saved reflection (transactional) and return the updated progress
+ */
+export async function recordReflection(userId, date, timezone = "UTC") {
+    const userRef = db.collection("users").doc(userId);
+
+    const { progress, newMilestones } = await db.runTransaction(async (tx) => {
+        const doc = await tx.get(userRef);
+        const result = applyReflection(doc.data()?.progress, date);
+        tx.set(userRef, { progress: result.progress }, { merge: true });
+        return result;
+    });
+
+    if (newMilestones.length) {
+        console.log(`🏅 Milestones for ${userId}: ${newMilestones.map(m => m.id).join(", ")}`);
+    }
+
+    return { ...describeProgress(progress, localDate(timezone)), newMilestones };
+}
+
+/**
+ * Progress without recording anything
+ */
+export async function getProgress(userId, timezone = "UTC") {
+    const doc = await db.collection("users").doc(userId).get();
+    return describeProgress(doc.data()?.progress, localDate(timezone));
+}
+
+/**
+ * Update the user's goal (currently reflections per week, 1-21)
+ */
+export async function setGoal(userId, { reflectionsPerWeek }) {
+    const target = parseInt(reflectionsPerWeek);
+    if (!Number.isInteger(target) || target < 1 || target > 21) {
+        return { error: "reflectionsPerWeek must be a whole number from 1 to 21" };
+    }
+
+    await db.collection("users").doc(userId).set({
+        progress: { goal: { reflectionsPerWeek: target } }
+    }, { merge: true });
+
+    return { goal: { reflectionsPerWeek: target } };
+}
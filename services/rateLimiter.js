@@ -0,0 +1,139 @@
+import { db } from "../firebase-admin.js";
+
+/**
+ * RATE LIMITS AND DAILY AI QUOTA
+ * Fixed-window counters keyed like "user:<uid>" or "ip:<address>", kept in
+ * memory (single instance, default) or in Firestore `rateLimits` (shared
+ * across instances). RATE_LIMIT_BACKEND selects one: memory | firestore
+ *
+ * The daily quota caps LLM calls per user per UTC day, by the user's
+ * `tier` field (free when unset). It reads the same apiUsage.byDate
+ * counter that every LLM call already increments.
+ */
+
+const WINDOW_MS = parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 60 * 1000;
+
+export const RATE_LIMITS = {
+    user: parseInt(process.env.RATE_LIMIT_PER_USER) || 20,
+    ip: parseInt(process.env.RATE_LIMIT_PER_IP) || 60
+};
+
+// LLM calls per UTC day; override with LLM_DAILY_QUOTA_<TIER>
+export const DAILY_QUOTAS = {
+    free: parseInt(process.env.LLM_DAILY_QUOTA_FREE) || 50,
+    plus: parseInt(process.env.LLM_DAILY_QUOTA_PLUS) || 300,
+    unlimited: Infinity
+};
+
+/**
+ * Firestore backend - one document per key and window in `rateLimits`
+ * Documents carry `expiresAt` so a Firestore TTL policy can clean them up.
+ */
+class FirestoreLimitStore {
+    constructor(collection = db.collection("rateLimits")) {
+        this.collection = collection;
+    }
+
+    async hit(key, windowMs, now) {
+        const windowStart = now - (now % windowMs);
+        const ref = this.collection.doc(`${key.replace(/\//g, "_")}_${windowStart}`);
+
+        const count = await db.runTransaction(async (tx) => {
+            const doc = await tx.get(ref);
+            const next = (doc.data()?.count || 0) + 1;
+            tx.set(ref, { key, count: next, windowStart, expiresAt: new Date(windowStart + windowMs) });
+            return next;
+        });
+
+        return { count, resetAt: windowStart + windowMs };
+    }
+}
+
+/**
+ * In-memory backend - per process, for single instances and tests
+ */
+class MemoryLimitStore {
+    constructor() {
+        this.windows = new Map();
+    }
+
+    async hit(key, windowMs, now) {
+        const windowStart = now - (now % windowMs);
+        let entry = this.windows.get(key);
+
+        if (!entry || entry.windowStart !== windowStart) {
+            entry = { windowStart, count: 0 };
+            this.windows.set(key, entry);
+            this.prune(now, windowMs);
+        }
+
+        entry.count++;
+        return { count: entry.count, resetAt: windowStart + windowMs };
+    }
+
+    prune(now, windowMs) {
+        for (const [key, entry] of this.windows) {
+            if (entry.windowStart + windowMs <= now) this.windows.delete(key);
+        }
+    }
+}
+
+function createStore(backend = process.env.RATE_LIMIT_BACKEND || "memory") {
+    if (backend === "memory") return new MemoryLimitStore();
+    if (backend === "firestore") return new FirestoreLimitStore();
+    throw new Error(`Unknown rate limit backend: ${backend}`);
+}
+
+let store = createStore();
+
+/**
+ * Swap the backing store (tests use new MemoryLimitStore())
+ */
+export function setLimitStore(newStore) {
+    store = newStore;
+}
+
+/**
+ * Count one request against `key`
+ * Returns { allowed, limit, remaining, retryAfter (seconds) }
+ */
+export async function consume(key, limit, now = Date.now()) {
+    const { count, resetAt } = await store.hit(key, WINDOW_MS, now);
+    return {
+        allowed: count <= limit,
+        limit,
+        remaining: Math.max(limit - count, 0),
+        retryAfter: Math.max(Math.ceil((resetAt - now) / 1000), 1)
+    };
+}
+
+/**
+ * The daily quota for a user document's data (tier and apiUsage.byDate)
+ * Returns { allowed, tier, quota, used, retryAfter (seconds until UTC midnight) }
+ */
+export function dailyQuotaFor(data = {}, now = new Date()) {
+    const tier = DAILY_QUOTAS[data.tier] !== undefined ? data.tier : "free";
+    const quota = DAILY_QUOTAS[tier];
+    const today = now.toISOString().split("T")[0];
+    const used = data.apiUsage?.byDate?.[today] || 0;
+
+    const midnight = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1);
+
+    return {
+        allowed: used < quota,
+        tier,
+        quota,
+        used,
+        retryAfter: Math.max(Math.ceil((midnight - now.getTime()) / 1000), 1)
+    };
+}
+
+/**
+ * Check the user's LLM calls today against their tier's quota
+ */
+export async function checkDailyQuota(userId, now = new Date()) {
+    const doc = await db.collection("users").doc(userId).get();
+    return dailyQuotaFor(doc.data() || {}, now);
+}
+
+export { FirestoreLimitStore, MemoryLimitStore };
@@ -0,0 +1,204 @@
+import { db } from "../firebase-admin.js";
+
+/**
+ * PII REDACTION
+ * Journal text is redacted before a prompt is built, so names, emails,
+ * phone numbers, card numbers and street addresses never reach the model.
+ * Each distinct value gets a numbered placeholder ("[PERSON_1]",
+ * "[EMAIL_1]") that is stable within one call, and placeholders in the
+ * model's output are swapped back afterwards.
+ *
+ * Detection is heuristic: structured values (emails, numbers, addresses)
+ * by pattern, people by honorifics and cue words ("my friend Sam", "told
+ * Priya"). Once a name is found, its other mentions are redacted too.
+ *
+ * On by default; users opt out with `privacy.redactPII: false`.
+ */
+
+// Capitalized words the cue patterns pick up that aren't anyone's name
+const NOT_NAMES = new Set([
+    "January", "February", "March", "April", "May", "June", "July", "August", "September", "October", "November", "December",
+    "Monday", "Tuesday", "Wednesday", "Thursday", "Friday", "Saturday", "Sunday", "Today", "Tomorrow", "Yesterday",
+    "Mom", "Mum", "Dad", "Mother", "Father", "Grandma", "Grandpa", "God", "Everyone"
+]);
+
+const RELATIONS = [
+    "friend", "best friend", "boss", "manager", "brother", "sister", "mom", "mum", "mother", "dad", "father",
+    "partner", "wife", "husband", "girlfriend", "boyfriend", "son", "daughter", "colleague", "coworker",
+    "therapist", "doctor", "roommate", "flatmate", "neighbor", "neighbour", "cousin", "aunt", "uncle", "teacher"
+];
+
+const HONORIFICS = ["Mr", "Mrs", "Ms", "Miss", "Dr", "Prof"];
+const CUES = ["with", "told", "met", "texted", "called", "named", "asked", "saw", "messaged", "hugged"];
+
+// One or two capitalized words, not an honorific (those have their own pattern)
+const NAME = `(?!(?:${HONORIFICS.join("|")})\\b)[A-Z][a-z'\\-]+(?:\\s+[A-Z][a-z'\\-]+)?`;
+
+// "my" also matches "My" at the start of a sentence
+const anyCase = words => words.map(w => `[${w[0].toUpperCase()}${w[0]}]${w.slice(1)}`).join("|");
+
+// Cues stay lowercase: a capitalized cue starts a sentence, where the next
+// capitalized word is usually not a name ("With Work piling up", "Saw Netflix")
+const PERSON_PATTERNS = [
+    new RegExp(`\\b(?:${HONORIFICS.join("|")})\\.?\\s+(${NAME})`, "g"),
+    new RegExp(`\\b(?:${anyCase(["my", "our", "his", "her", "their"])})\\s+(?:${RELATIONS.join("|")}),?\\s+(${NAME})`, "g"),
+    new RegExp(`\\b(?:${CUES.join("|")})\\s+(${NAME})`, "g")
+];
+
+const EMAIL_PATTERN = /\b[\w.+-]+@[\w-]+(?:\.[\w-]+)+\b/g;
+const NUMBER_PATTERN = /(?<![\w@])\+?(?:\(\d{1,4}\)[\s.-]?)?\d[\d\s().-]{5,}\d(?![\w@])/g;
+const ADDRESS_PATTERN = /\b\d{1,5}\s+(?:[A-Z][\w'-]*\s+){1,3}(?:Street|St|Avenue|Ave|Road|Rd|Boulevard|Blvd|Lane|Ln|Drive|Dr|Court|Ct|Way|Place|Pl|Terrace|Close|Crescent)\b/g;
+const DATE_LIKE = /^(?:\d{4}\s*[-/.]\s*\d{1,2}\s*[-/.]\s*\d{1,2}|\d{1,2}\s*[-/.]\s*\d{1,2}\s*[-/.]\s*\d{2,4})$/;
+const YEAR_RANGE = /^(?:19|20)\d{2}\s*[-/]\s*(?:19|20)\d{2}$/;
+
+const PLACEHOLDER = /\[(PERSON|EMAIL|PHONE|CARD|ADDRESS)_(\d+)\]/g;
+
+function luhn(digits) {
+    let sum = 0;
+    for (let i = 0; i < digits.length; i++) {
+        let d = Number(digits[digits.length - 1 - i]);
+        if (i % 2 === 1) {
+            d *= 2;
+            if (d > 9) d -= 9;
+        }
+        sum += d;
+    }
+    return sum % 10 === 0;
+}
+
+/**
+ * Phone, card or nothing for a run of digits
+ */
+function classifyNumber(value) {
+    if (DATE_LIKE.test(value) || YEAR_RANGE.test(value)) return null;
+
+    const digits = value.replace(/\D/g, "");
+    if (digits.length >= 13 && digits.length <= 19 && luhn(digits)) return "CARD";
+    if (digits.length >= 7 && digits.length <= 15) return "PHONE";
+    return null;
+}
+
+function escapeRegExp(value) {
+    return value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * One redactor per LLM call: placeholders stay consistent across every
+ * text it redacts, so restore() works on output that mixes them.
+ * A disabled redactor passes everything through.
+ */
+export function createRedactor({ enabled = true } = {}) {
+    const byValue = new Map();   // "TYPE:value" -> placeholder
+    const byPlaceholder = new Map();
+    const counters = {};
+    const people = new Set();    // names found so far, redacted in every later text too
+
+    const placeholderFor = (type, value) => {
+        const key = `${type}:${value}`;
+        if (!byValue.has(key)) {
+            counters[type] = (counters[type] || 0) + 1;
+            const placeholder = `[${type}_${counters[type]}]`;
+            byValue.set(key, placeholder);
+            byPlaceholder.set(placeholder, value);
+        }
+        return byValue.get(key);
+    };
+
+    const redactText = (text) => {
+        if (!enabled || typeof text !== "string" || !text) return text;
+
+        // A placeholder the user typed is redacted like any other value, so
+        // restore() gives back their literal text rather than someone's name
+        let result = text
+            .replace(PLACEHOLDER, (match, type) => placeholderFor(type, match))
+            .replace(EMAIL_PATTERN, match => placeholderFor("EMAIL", match))
+            .replace(ADDRESS_PATTERN, match => placeholderFor("ADDRESS", match.trim()))
+            .replace(NUMBER_PATTERN, match => {
+                const type = classifyNumber(match);
+                return type ? placeholderFor(type, match) : match;
+            });
+
+        const names = new Set(people);
+        for (const pattern of PERSON_PATTERNS) {
+            for (const match of result.matchAll(pattern)) {
+                // Also drops a day picked up as a surname ("with Sam Monday")
+                const words = match[1].split(/\s+/).filter(word => !NOT_NAMES.has(word));
+                if (words.length) names.add(words.join(" "));
+            }
+        }
+        names.forEach(name => people.add(name));
+
+        // Longest first so "Sam Lee" is replaced before "Sam"
+        for (const name of [...names].sort((a, b) => b.length - a.length)) {
+            result = result.replace(new RegExp(`\\b${escapeRegExp(name)}\\b`, "g"), () => placeholderFor("PERSON", name));
+        }
+        for (const name of names) {
+            const first = name.split(/\s+/)[0];
+            if (first !== name && !byValue.has(`PERSON:${first}`)) {
+                result = result.replace(new RegExp(`\\b${escapeRegExp(first)}\\b(?!\\s+[A-Z])`, "g"), () => placeholderFor("PERSON", first));
+            }
+        }
+
+        return result;
+    };
+
+    const restoreText = (text) => text.replace(PLACEHOLDER, match => byPlaceholder.get(match) ?? match);
+
+    const deep = (value, fn) => {
+        if (typeof value === "string") return fn(value);
+        if (Array.isArray(value)) return value.map(item => deep(item, fn));
+        if (value && typeof value === "object") {
+            return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, deep(v, fn)]));
+        }
+        return value;
+    };
+
+    return {
+        enabled,
+        redact: redactText,
+        /**
+         * Redact the named string fields of each object in a list
+         */
+        redactFields: (list, fields) => list.map(item => ({
+            ...item,
+            ...Object.fromEntries(fields.filter(field => typeof item[field] === "string").map(field => [field, redactText(item[field])]))
+        })),
+        /**
+         * Put original values back into every string of the model's output
+         */
+        restore: (value) => enabled ? deep(value, restoreText) : value,
+        get count() {
+            return byPlaceholder.size;
+        }
+    };
+}
+
+/**
+ * Whether the user has redaction on (the default)
+ */
+export async function redactionEnabled(userId) {
+    if (!userId) return true;
+    try {
+        const user = (await db.collection("users").doc(userId).get()).data() || {};
+        return user.privacy?.redactPII !== false;
+    } catch (error) {
+        // Fail closed: redact if the setting can't be read
+        console.error("REDACTION SETTING ERROR:", error.message);
+        return true;
+    }
+}
+
+export async function redactorFor(userId) {
+    return createRedactor({ enabled: await redactionEnabled(userId) });
+}
+
+/**
+ * Store the user's redaction preference
+ */
+export async function setRedactionPreference(userId, redactPII) {
+    if (typeof redactPII !== "boolean") {
+        return { error: "redactPII must be true or false" };
+    }
+    await db.collection("users").doc(userId).set({ privacy: { redactPII } }, { merge: true });
+    return { privacy: { redactPII } };
+}
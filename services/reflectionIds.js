@@ -0,0 +1,14 @@
+import crypto from "crypto";
+import { localTime } from "./timezone.js";
+
+/**
+ * REFLECTION DOCUMENT IDS
+ * "2026-01-18_11-30-45-123_9f2c1a" - date and local time (with ms) keep IDs
+ * readable and sorted by time within a day; the random suffix makes two
+ * saves in the same millisecond land in different documents.
+ */
+export function newReflectionId(dateStr, timezone = "UTC", now = new Date()) {
+    const millis = String(now.getMilliseconds()).padStart(3, "0");
+    const suffix = crypto.randomBytes(3).toString("hex");
+    return `${dateStr}_${localTime(timezone, now)}-${millis}_${suffix}`;
+}
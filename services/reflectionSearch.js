@@ -0,0 +1,124 @@
+import { db } from "../firebase-admin.js";
+import { tokenize, highlight } from "./searchIndex.js";
+import { normalizeTheme, normalizeIntensity } from "./analysisSchemas.js";
+import { indexTokens, openDocuments } from "./encryption.js";
+
+/**
+ * REFLECTION SEARCH
+ * One filter is pushed down to Firestore (a query term via `array-contains-any`,
+ * else a label equality) so no composite indexes are needed; every other
+ * filter is applied in memory over at most MAX_SCAN documents.
+ *
+ * With encryption on, stored tokens are blind-index HMACs; each term is
+ * matched in both forms so entries not yet migrated are still found.
+ */
+
+const MAX_SCAN = 500;
+
+function toMillis(value) {
+    if (!value) return 0;
+    if (typeof value.toMillis === "function") return value.toMillis();
+    return new Date(value).getTime();
+}
+
+const FILTER_PARAMS = ["q", "primaryEmotion", "secondaryEmotion", "theme", "emotionalIntensity", "inputType"];
+
+/**
+ * Normalize raw query params into search filters
+ * Returns { filters } or { error }
+ */
+export function parseSearchFilters(query) {
+    // A repeated param (?theme=a&theme=b) arrives as an array
+    const repeated = FILTER_PARAMS.find(name => query[name] !== undefined && typeof query[name] !== "string");
+    if (repeated) return { error: `${repeated} must be given once, as text` };
+
+    const filters = {
+        primaryEmotion: query.primaryEmotion?.trim().toLowerCase() || null,
+        secondaryEmotion: query.secondaryEmotion?.trim().toLowerCase() || null,
+        theme: null,
+        emotionalIntensity: null,
+        inputType: query.inputType || null,
+        terms: [...new Set(tokenize(query.q || ""))]
+    };
+
+    if (query.theme) {
+        filters.theme = normalizeTheme(query.theme);
+        if (!filters.theme) return { error: "Unknown theme" };
+    }
+    if (query.emotionalIntensity) {
+        filters.emotionalIntensity = normalizeIntensity(query.emotionalIntensity);
+        if (!filters.emotionalIntensity) return { error: "emotionalIntensity must be low, medium or high" };
+    }
+    if (filters.inputType && !["text", "voice"].includes(filters.inputType)) {
+        return { error: "inputType must be text or voice" };
+    }
+    if (query.q && !filters.terms.length) {
+        return { error: "Search text has no searchable words" };
+    }
+
+    return { filters };
+}
+
+function matches(reflection, filters, termForms, from, to) {
+    if (filters.primaryEmotion && reflection.primaryEmotion?.toLowerCase() !== filters.primaryEmotion) return false;
+    if (filters.secondaryEmotion && reflection.secondaryEmotion?.toLowerCase() !== filters.secondaryEmotion) return false;
+    if (filters.theme && reflection.theme !== filters.theme) return false;
+    if (filters.emotionalIntensity && reflection.emotionalIntensity !== filters.emotionalIntensity) return false;
+    if (filters.inputType && reflection.inputType !== filters.inputType) return false;
+
+    const createdAt = toMillis(reflection.createdAt);
+    if (from && createdAt < from.getTime()) return false;
+    if (to && createdAt > to.getTime()) return false;
+
+    const tokens = reflection.searchTokens || [];
+    return termForms.every(forms => forms.some(form => tokens.includes(form)));
+}
+
+/**
+ * Search a user's reflections
+ * Returns { results, truncated } - results newest first, with highlighted snippets
+ */
+export async function searchReflections(userId, filters, { from, to, limit }) {
+    let query = db.collection("users").doc(userId).collection("reflections");
+
+    const blindTerms = await indexTokens(userId, filters.terms);
+    const termForms = filters.terms.map((term, i) => [...new Set([term, blindTerms[i]])]);
+
+    if (filters.terms.length) {
+        query = query.where("searchTokens", "array-contains-any", termForms[0]);
+    } else if (filters.theme) {
+        query = query.where("theme", "==", filters.theme);
+    } else if (filters.emotionalIntensity) {
+        query = query.where("emotionalIntensity", "==", filters.emotionalIntensity);
+    } else if (filters.inputType) {
+        query = query.where("inputType", "==", filters.inputType);
+    } else {
+        query = query.orderBy("createdAt", "desc");
+        if (from) query = query.where("createdAt", ">=", from);
+        if (to) query = query.where("createdAt", "<=", to);
+    }
+
+    const snapshot = await query.limit(MAX_SCAN).get();
+
+    const found = snapshot.docs
+        .map(doc => ({ id: doc.id, ...doc.data() }))
+        .filter(reflection => matches(reflection, filters, termForms, from, to))
+        .sort((a, b) => toMillis(b.createdAt) - toMillis(a.createdAt))
+        .slice(0, limit);
+
+    const results = (await openDocuments(userId, "reflection", found))
+        .map(({ searchTokens, ...reflection }) => ({
+            ...reflection,
+            highlights: filters.terms.length
+                ? {
+                    transcript: highlight(reflection.transcript, filters.terms),
+                    dailyInsight: highlight(reflection.dailyInsight, filters.terms)
+                }
+                : undefined
+        }));
+
+    return {
+        results,
+        truncated: snapshot.size >= MAX_SCAN
+    };
+}
@@ -0,0 +1,222 @@
+import { db } from "../firebase-admin.js";
+import { analyzeRetrospective } from "../gemini.js";
+import { isoWeekOf } from "./isoWeek.js";
+import { summarizeWeek } from "./weeklyReports.js";
+import { analyzeRetrospectiveOffline } from "./llm/offlineProvider.js";
+import { sealDocument, openDocument, openDocuments } from "./encryption.js";
+import { preferredLanguage, dominantLanguage, matchesPreference, DEFAULT_LANGUAGE } from "./language.js";
+import { withTimeout } from "./llm/index.js";
+
+/**
+ * MONTHLY & YEARLY RETROSPECTIVES
+ * Hierarchical: a month is summarized from its weeks (stored weekly report
+ * when fresh, otherwise label stats for that chunk of reflections) and a
+ * year from its months. The LLM never sees raw transcripts here.
+ *
+ * Stored in users/{uid}/retrospectives/{"2026-10" | "2026"} and reused
+ * until a reflection in the period changes (see markWeekStale).
+ */
+
+const MIN_REFLECTIONS = 3;
+const MIN_MONTHS = 2;
+const GEMINI_TIMEOUT = 30000; // 30 seconds max
+
+const MONTH_PATTERN = /^\d{4}-(0[1-9]|1[0-2])$/;
+const YEAR_PATTERN = /^\d{4}$/;
+
+export const isValidMonth = (month) => MONTH_PATTERN.test(month || "");
+export const isValidYear = (year) => YEAR_PATTERN.test(year || "");
+
+function userRef(userId) {
+    return db.collection("users").doc(userId);
+}
+
+function monthRange(month) {
+    const [y, m] = month.split("-").map(Number);
+    const lastDay = new Date(Date.UTC(y, m, 0)).getUTCDate();
+    return { start: `${month}-01`, end: `${month}-${String(lastDay).padStart(2, "0")}` };
+}
+
+function yearRange(year) {
+    return { start: `${year}-01-01`, end: `${year}-12-31` };
+}
+
+/**
+ * Label-only reflections for a date range - transcripts are not loaded
+ */
+async function fetchReflectionLabels(userId, { start, end }) {
+    const snapshot = await userRef(userId)
+        .collection("reflections")
+        .where("date", ">=", start)
+        .where("date", "<=", end)
+        .select("date", "primaryEmotion", "secondaryEmotion", "theme", "emotionalIntensity", "language")
+        .get();
+
+    return snapshot.docs
+        .map(doc => ({ id: doc.id, ...doc.data() }))
+        .sort((a, b) => a.date.localeCompare(b.date));
+}
+
+function groupBy(reflections, keyFn) {
+    const groups = new Map();
+    reflections.forEach(r => {
+        const key = keyFn(r.date);
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(r);
+    });
+    return groups;
+}
+
+/**
+ * Fresh stored reports keyed by id (weekly reports or monthly retrospectives)
+ */
+async function fetchFreshDocs(userId, collectionName, ids) {
+    if (!ids.length) return {};
+    const refs = ids.map(id => userRef(userId).collection(collectionName).doc(id));
+    const docs = await db.getAll(...refs);
+    const kind = collectionName === "weeklyReports" ? "weeklyReport" : "retrospective";
+    const fresh = {};
+    for (const doc of docs) {
+        if (doc.exists && !doc.data().stale) {
+            fresh[doc.id] = await openDocument(userId, kind, doc.data());
+        }
+    }
+    return fresh;
+}
+
+/**
+ * One compact summary per chunk: label stats plus, when a stored report
+ * exists for it, that report's written insight
+ */
+function buildChunk(key, reflections, stored, insightField) {
+    const stats = summarizeWeek(reflections);
+    const chunk = {
+        key,
+        reflectionCount: stats.reflectionCount,
+        activeDays: stats.activeDays,
+        emotionCounts: stats.emotionCounts,
+        themeCounts: stats.themeCounts,
+        averageIntensity: stats.averageIntensity
+    };
+
+    if (stored) {
+        const analysis = stored.analysis || {};
+        chunk.insight = analysis[insightField] || null;
+        chunk.dominantEmotions = analysis.dominantEmotions || [];
+        chunk.dominantThemes = analysis.dominantThemes || [];
+    }
+    return chunk;
+}
+
+async function buildChunks(userId, periodType, key) {
+    if (periodType === "month") {
+        const reflections = await fetchReflectionLabels(userId, monthRange(key));
+        const byWeek = groupBy(reflections, isoWeekOf);
+        const stored = await fetchFreshDocs(userId, "weeklyReports", [...byWeek.keys()]);
+
+        return {
+            reflections,
+            chunks: [...byWeek.entries()].map(([week, items]) =>
+                buildChunk(week, items, stored[week], "weeklyInsight"))
+        };
+    }
+
+    const reflections = await fetchReflectionLabels(userId, yearRange(key));
+    const byMonth = groupBy(reflections, date => date.slice(0, 7));
+    const stored = await fetchFreshDocs(userId, "retrospectives", [...byMonth.keys()]);
+
+    return {
+        reflections,
+        chunks: [...byMonth.entries()].map(([month, items]) =>
+            buildChunk(month, items, stored[month], "narrative"))
+    };
+}
+
+/**
+ * Get (or generate) a monthly ("2026-10") or yearly ("2026") retrospective
+ * Returns { success, hasEnoughData, cached, retrospective }
+ */
+export async function getRetrospective(userId, periodType, key, { refresh = false } = {}) {
+    const ref = userRef(userId).collection("retrospectives").doc(key);
+    const preferred = await preferredLanguage(userId);
+
+    if (!refresh) {
+        const existing = await ref.get();
+        if (existing.exists && !existing.data().stale && matchesPreference(existing.data().language, preferred)) {
+            console.log(`✅ Cached ${periodType} retrospective ${key}`);
+            return { success: true, hasEnoughData: true, cached: true, retrospective: await openDocument(userId, "retrospective", existing.data()) };
+        }
+    }
+
+    const { reflections, chunks } = await buildChunks(userId, periodType, key);
+    const range = periodType === "month" ? monthRange(key) : yearRange(key);
+
+    const enough = periodType === "month"
+        ? reflections.length >= MIN_REFLECTIONS
+        : chunks.length >= MIN_MONTHS;
+
+    if (!enough) {
+        return {
+            success: true,
+            hasEnoughData: false,
+            cached: false,
+            retrospective: { period: key, periodType, ...range, reflectionCount: reflections.length }
+        };
+    }
+
+    console.log(`🔄 Generating ${periodType} retrospective ${key} from ${chunks.length} chunk(s)`);
+
+    // Try analysis with timeout, fallback to rule-based narrative if it fails
+    let analysis;
+    let language = preferred || dominantLanguage(reflections.map(r => r.language));
+    let synthetic = false;
+    try {
+        analysis = await withTimeout(
+            analyzeRetrospective(periodType, chunks, userId, { language }),
+            GEMINI_TIMEOUT,
+            "Gemini timeout"
+        );
+        if (!analysis.success) throw new Error(analysis.error || "Retrospective failed");
+    } catch (err) {
+        console.log(`⚠️ ${err.message} - generating synthetic retrospective`);
+        analysis = { success: true, data: analyzeRetrospectiveOffline(periodType, chunks) };
+        language = DEFAULT_LANGUAGE; // the rule-based narrative is English
+        synthetic = true;
+    }
+
+    const retrospective = {
+        period: key,
+        periodType,
+        ...range,
+        reflectionCount: reflections.length,
+        stats: summarizeWeek(reflections),
+        chunks: chunks.map(({ key: chunkKey, reflectionCount, averageIntensity }) =>
+            ({ key: chunkKey, reflectionCount, averageIntensity })),
+        analysis: analysis.data,
+        language,
+        synthetic,
+        stale: false,
+        generatedAt: Date.now()
+    };
+
+    await ref.set(await sealDocument(userId, "retrospective", retrospective));
+    console.log(`💾 Saved ${periodType} retrospective ${key}`);
+
+    return { success: true, hasEnoughData: true, cached: false, retrospective };
+}
+
+/**
+ * Stored retrospectives of one type, newest first
+ */
+export async function listRetrospectives(userId, periodType, { limit = 12 } = {}) {
+    const snapshot = await userRef(userId)
+        .collection("retrospectives")
+        .where("periodType", "==", periodType)
+        .get();
+
+    const retrospectives = snapshot.docs
+        .map(doc => doc.data())
+        .sort((a, b) => b.period.localeCompare(a.period))
+        .slice(0, limit);
+    return openDocuments(userId, "retrospective", retrospectives);
+}
@@ -0,0 +1,173 @@
+import { db } from "../firebase-admin.js";
+
+/**
+ * CRISIS LANGUAGE SAFETY LAYER
+ * Every transcript is screened before the reflective insight is shown:
+ *  1. a deterministic phrase/pattern layer (this file) - instant, no LLM
+ *  2. an LLM "safety-check" classification (gemini.js assessSafety)
+ * Explicit phrases always flag - at "moderate" when the LLM reads the entry
+ * as benign, never unflagged; softer ones need the LLM to agree, or count
+ * on their own when the LLM check is unavailable.
+ *
+ * Flagged reflections get a `safety` block with helplines for the user's
+ * country and a supportive message in place of the usual insight. Each
+ * flag is logged to `safetyEvents` with ids and rule names only - never
+ * the journal text.
+ */
+
+// High: explicit statements of suicidal intent or self-harm
+// Moderate: hopelessness that warrants a second look
+const PATTERNS = [
+    { id: "kill-myself", level: "high", category: "suicidal_ideation", pattern: /\b(kill|killing|hang|hanging|shoot|shooting)\s+my\s?self\b/i },
+    { id: "end-my-life", level: "high", category: "suicidal_ideation", pattern: /\b(end|ending|take|taking)\s+my\s+(own\s+)?life\b/i },
+    { id: "feel-suicidal", level: "high", category: "suicidal_ideation", pattern: /\b(i'?m|i\s+am|feel(ing)?|felt)\s+(so\s+|really\s+)?suicidal\b/i },
+    // First person only, and not "want to die of embarrassment" / "going to die if..."
+    { id: "want-to-die", level: "high", category: "suicidal_ideation", pattern: /\bi\s+(just\s+|really\s+|honestly\s+|actually\s+)?(want\s+to|wanna)\s+die\b(?!\s+(of|from|laughing|inside))|\bi('?m|\s+am)\s+ready\s+to\s+die\b/i },
+    { id: "better-off-dead", level: "high", category: "suicidal_ideation", pattern: /\bbetter\s+off\s+(dead|without\s+me)\b/i },
+    { id: "no-reason-to-live", level: "high", category: "suicidal_ideation", pattern: /\b(no|nothing\s+to)\s+(reason\s+to\s+)?live\s+for\b|\bno\s+reason\s+to\s+live\b/i },
+    { id: "self-harm", level: "high", category: "self_harm", pattern: /\b(hurt|hurting|harm|harming|cut|cutting|burn|burning)\s+my\s?self\b|\bself[-\s]?harm/i },
+    { id: "overdose", level: "high", category: "self_harm", pattern: /\b(i\s+(could|should|might|will|would|want\s+to|wanna|took|take)|i'?ll|i'?d|i'?m\s+(going\s+to|gonna|thinking\s+(about|of))|thinking\s+(about|of))\s+(taking\s+|take\s+)?(an\s+)?overdos(e|ing)\b/i },
+    { id: "suicide-mention", level: "moderate", category: "suicidal_ideation", pattern: /\bsuicid(e|al)\b/i },
+    { id: "overdose-mention", level: "moderate", category: "self_harm", pattern: /\boverdos(e|ed|es|ing)\b/i },
+    { id: "cant-go-on", level: "moderate", category: "hopelessness", pattern: /\b(can'?t|cannot)\s+(go\s+on|keep\s+going|do\s+this\s+anymore|take\s+it\s+anymore)\b/i },
+    { id: "disappear", level: "moderate", category: "hopelessness", pattern: /\b(want|wish)\s+(to|i\s+could)\s+(disappear|vanish|not\s+exist|not\s+wake\s+up)\b/i },
+    { id: "no-point", level: "moderate", category: "hopelessness", pattern: /\b(no|what'?s\s+the)\s+point\s+(in\s+)?(living|anymore|of\s+anything)\b/i },
+    { id: "burden", level: "moderate", category: "hopelessness", pattern: /\b(i'?m|i\s+am|feel\s+like)\s+(just\s+)?(a|such\s+a)\s+burden\b/i }
+];
+
+const HELPLINES = {
+    US: [{ name: "988 Suicide & Crisis Lifeline", phone: "988", text: "988", url: "https://988lifeline.org" }],
+    CA: [{ name: "9-8-8 Suicide Crisis Helpline", phone: "988", text: "988", url: "https://988.ca" }],
+    GB: [{ name: "Samaritans", phone: "116 123", url: "https://www.samaritans.org" }, { name: "Shout", text: "85258", url: "https://giveusashout.org" }],
+    IE: [{ name: "Samaritans", phone: "116 123", url: "https://www.samaritans.ie" }],
+    IN: [{ name: "Tele-MANAS", phone: "14416", url: "https://telemanas.mohfw.gov.in" }, { name: "KIRAN", phone: "1800-599-0019" }],
+    AU: [{ name: "Lifeline", phone: "13 11 14", text: "0477 13 11 14", url: "https://www.lifeline.org.au" }],
+    NZ: [{ name: "Need to Talk?", phone: "1737", text: "1737", url: "https://1737.org.nz" }],
+    DE: [{ name: "TelefonSeelsorge", phone: "0800 111 0 111", url: "https://www.telefonseelsorge.de" }],
+    FR: [{ name: "3114 Numéro national de prévention du suicide", phone: "3114", url: "https://3114.fr" }]
+};
+
+const INTERNATIONAL = { name: "Find A Helpline", url: "https://findahelpline.com" };
+
+// Fallback when no country is known
+const TIMEZONE_COUNTRIES = {
+    "Asia/Kolkata": "IN", "Asia/Calcutta": "IN",
+    "Europe/London": "GB", "Europe/Dublin": "IE", "Europe/Berlin": "DE", "Europe/Paris": "FR",
+    "Australia/Sydney": "AU", "Australia/Melbourne": "AU", "Australia/Brisbane": "AU", "Australia/Perth": "AU", "Australia/Adelaide": "AU",
+    "Pacific/Auckland": "NZ",
+    "America/New_York": "US", "America/Chicago": "US", "America/Denver": "US", "America/Los_Angeles": "US", "America/Phoenix": "US", "America/Anchorage": "US", "Pacific/Honolulu": "US",
+    "America/Toronto": "CA", "America/Vancouver": "CA", "America/Edmonton": "CA", "America/Winnipeg": "CA", "America/Halifax": "CA"
+};
+
+// Shown in place of the insight, in the language the insight would have been written in
+const SAFETY_INSIGHTS = {
+    en: "It sounds like you're carrying something really heavy right now, and it took courage to write it down. You don't have to hold this alone - the people at the lines below are there to listen, any time of day.",
+    es: "Parece que estás cargando con algo muy pesado en este momento, y hizo falta valor para escribirlo. No tienes que sostener esto sin apoyo: las personas de las líneas de abajo están ahí para escucharte, a cualquier hora del día.",
+    fr: "On dirait que tu portes quelque chose de très lourd en ce moment, et il a fallu du courage pour l'écrire. Tu n'as pas à traverser cela sans soutien : les personnes des lignes ci-dessous sont là pour t'écouter, à toute heure.",
+    de: "Es klingt, als würdest du gerade etwas sehr Schweres mit dir tragen, und es hat Mut gekostet, es aufzuschreiben. Damit musst du nicht allein bleiben - die Menschen bei den Nummern unten hören dir zu, zu jeder Tageszeit.",
+    pt: "Parece que você está carregando algo muito pesado agora, e foi preciso coragem para escrever isso. Você não precisa enfrentar isso sem apoio - as pessoas nas linhas abaixo estão aqui para ouvir, a qualquer hora do dia.",
+    it: "Sembra che tu stia portando qualcosa di molto pesante in questo momento, e ci è voluto coraggio per scriverlo. Non devi affrontarlo senza aiuto: le persone ai numeri qui sotto sono pronte ad ascoltarti, a qualsiasi ora del giorno.",
+    nl: "Het klinkt alsof je op dit moment iets heel zwaars met je meedraagt, en het vroeg moed om het op te schrijven. Je hoeft dit niet alleen te dragen - de mensen bij de nummers hieronder zijn er om te luisteren, op elk moment van de dag.",
+    hi: "ऐसा लगता है कि आप इस समय कुछ बहुत भारी बोझ उठा रहे हैं, और इसे लिखने के लिए हिम्मत चाहिए थी। आपको यह अकेले नहीं सहना है - नीचे दी गई हेल्पलाइन पर लोग दिन के किसी भी समय आपकी बात सुनने के लिए मौजूद हैं।",
+    bn: "মনে হচ্ছে আপনি এখন খুব ভারী কিছু বয়ে বেড়াচ্ছেন, আর এটা লিখে ফেলতে সাহস লেগেছে। আপনাকে এটা একা বইতে হবে না - নিচের হেল্পলাইনের মানুষেরা দিনের যেকোনো সময় আপনার কথা শোনার জন্য আছেন।",
+    ta: "நீங்கள் இப்போது மிகவும் கனமான ஒன்றைச் சுமந்துகொண்டிருப்பதுபோல் தெரிகிறது, அதை எழுதுவதற்கு தைரியம் தேவைப்பட்டது. இதை நீங்கள் தனியாகச் சுமக்க வேண்டியதில்லை - கீழே உள்ள உதவி எண்களில் இருப்பவர்கள் எந்த நேரத்திலும் உங்களைக் கேட்கத் தயாராக இருக்கிறார்கள்.",
+    ar: "يبدو أنك تحمل شيئًا ثقيلًا جدًا الآن، وقد تطلّب الأمر شجاعة لتكتبه. لا داعي لأن تحمل هذا وحدك - الأشخاص على الخطوط أدناه موجودون للاستماع إليك في أي وقت من اليوم.",
+    ru: "Похоже, сейчас вам очень тяжело, и нужна была смелость, чтобы это написать. Вам не нужно справляться с этим в одиночку - люди на линиях ниже готовы выслушать вас в любое время суток.",
+    ja: "今、とても重いものを抱えているように感じられます。それを書き出すには勇気が必要だったはずです。ひとりで抱え込まなくて大丈夫です。下の相談窓口の人たちは、いつでもあなたの話を聞いてくれます。",
+    ko: "지금 아주 무거운 마음을 안고 계신 것 같아요. 그것을 글로 적는 데 용기가 필요했을 거예요. 혼자 감당하지 않아도 괜찮아요. 아래 상담 전화의 사람들이 언제든 이야기를 들어 줄 거예요.",
+    zh: "听起来你现在正背负着很沉重的东西，能把它写下来需要勇气。你不必独自承受这一切——下面这些热线的工作人员随时都愿意倾听你。"
+};
+
+/**
+ * The supportive message for a flagged entry, in `language` (English when
+ * there is no translation)
+ */
+export function safetyInsight(language) {
+    return Object.hasOwn(SAFETY_INSIGHTS, language) ? SAFETY_INSIGHTS[language] : SAFETY_INSIGHTS.en;
+}
+
+/**
+ * Deterministic layer
+ * Returns { level: "none" | "moderate" | "high", categories, ruleIds }
+ */
+export function detectCrisisLanguage(text) {
+    const matches = PATTERNS.filter(rule => rule.pattern.test(text || ""));
+    const level = matches.some(m => m.level === "high") ? "high" : matches.length ? "moderate" : "none";
+
+    return {
+        level,
+        categories: [...new Set(matches.map(m => m.category))],
+        ruleIds: matches.map(m => m.id)
+    };
+}
+
+/**
+ * Combine the pattern result with the LLM risk (null when the check failed)
+ * Returns { flagged, level, source }
+ */
+export function combineSafetySignals(patterns, llmRisk) {
+    if (patterns.level === "high") {
+        // The LLM can lower an explicit phrase it found benign, but never unflag it
+        if (llmRisk === "none") {
+            return { flagged: true, level: "moderate", source: "pattern" };
+        }
+        return { flagged: true, level: "high", source: llmRisk === "high" ? "both" : "pattern" };
+    }
+
+    if (llmRisk === "high" || llmRisk === "moderate") {
+        return { flagged: true, level: llmRisk, source: patterns.level === "none" ? "llm" : "both" };
+    }
+
+    // No LLM verdict: err on the side of showing resources
+    if (patterns.level === "moderate" && llmRisk === null) {
+        return { flagged: true, level: "moderate", source: "pattern" };
+    }
+
+    return { flagged: false, level: "none", source: null };
+}
+
+export function countryFor({ country, timezone } = {}) {
+    const code = typeof country === "string" ? country.toUpperCase() : null;
+    if (code && /^[A-Z]{2}$/.test(code)) return code;
+    return TIMEZONE_COUNTRIES[timezone] || null;
+}
+
+/**
+ * The `safety` block stored on a flagged reflection
+ */
+export function buildSafetyBlock(level, { country, timezone } = {}) {
+    const code = countryFor({ country, timezone });
+    const local = HELPLINES[code] || [];
+
+    return {
+        flagged: true,
+        level,
+        message: local.length
+            ? "If you're thinking about harming yourself, please reach out now. If you are in immediate danger, call your local emergency number."
+            : "If you're thinking about harming yourself, please reach out to a local crisis line now. If you are in immediate danger, call your local emergency number.",
+        country: code,
+        resources: [...local, INTERNATIONAL]
+    };
+}
+
+/**
+ * Record a flag for human review - ids, levels and rule names only
+ */
+export async function logSafetyEvent(userId, docId, { level, source, categories, ruleIds, llmRisk }) {
+    try {
+        await db.collection("safetyEvents").add({
+            userId,
+            docId,
+            level,
+            source,
+            categories,
+            ruleIds,
+            llmRisk: llmRisk ?? null,
+            reviewed: false,
+            timestamp: Date.now()
+        });
+        console.warn(`🛟 Safety flag (${level}, ${source}) for user=${userId} doc=${docId}`);
+    } catch (err) {
+        console.error("Failed to log safety event:", err.message);
+    }
+}
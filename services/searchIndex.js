@@ -0,0 +1,108 @@
+/**
+ * KEYWORD SEARCH INDEX
+ * Firestore has no full-text search, so each reflection carries a
+ * `searchTokens` array (normalized, lightly stemmed, de-duplicated words
+ * from the transcript and insight). Queries use `array-contains` on one
+ * term and match the rest in memory.
+ */
+
+const MAX_TOKENS = 300;
+const SNIPPET_RADIUS = 60;
+
+const STOPWORDS = new Set([
+    "a", "an", "the", "and", "or", "but", "if", "then", "so", "of", "to", "in", "on", "at", "by",
+    "for", "with", "about", "from", "as", "is", "am", "are", "was", "were", "be", "been", "being",
+    "it", "its", "this", "that", "these", "those", "i", "me", "my", "we", "our", "you", "your",
+    "he", "she", "they", "them", "his", "her", "their", "do", "did", "does", "have", "has", "had",
+    "not", "no", "just", "very", "really", "too", "can", "could", "would", "should", "will",
+    "what", "which", "who", "when", "where", "how", "all", "some", "there", "here", "up", "out"
+]);
+
+/**
+ * Light suffix stemming so "worried" finds "worrying" and "meetings" finds "meeting"
+ */
+function stem(word) {
+    // Plurals first, so "meetings" -> "meeting" -> "meet"
+    if (word.length > 4 && word.endsWith("ies")) return word.slice(0, -3) + "y";
+    if (word.length > 3 && word.endsWith("s") && !word.endsWith("ss")) word = word.slice(0, -1);
+
+    if (word.length > 5 && word.endsWith("ing")) return word.slice(0, -3);
+    if (word.length > 4 && word.endsWith("ied")) return word.slice(0, -3) + "y";
+    if (word.length > 4 && word.endsWith("ed")) return word.slice(0, -2);
+    return word;
+}
+
+function normalizeWord(word) {
+    return word
+        .normalize("NFKD")
+        .replace(/[\u0300-\u036f]/g, "")
+        .toLowerCase()
+        .replace(/'s$/, "")
+        .replace(/'/g, "");
+}
+
+/**
+ * Words with their positions in the original text
+ */
+function words(text) {
+    const result = [];
+    const pattern = /[\p{L}\p{N}']+/gu;
+    let match;
+    while ((match = pattern.exec(text || "")) !== null) {
+        const normalized = normalizeWord(match[0]);
+        if (normalized.length >= 2 && !STOPWORDS.has(normalized)) {
+            result.push({ token: stem(normalized), start: match.index, end: match.index + match[0].length });
+        }
+    }
+    return result;
+}
+
+export function tokenize(text) {
+    return words(text).map(w => w.token);
+}
+
+/**
+ * Index field stored on each reflection
+ */
+export function buildSearchTokens(...texts) {
+    const tokens = new Set();
+    for (const text of texts) {
+        for (const token of tokenize(text)) {
+            tokens.add(token);
+            if (tokens.size >= MAX_TOKENS) return [...tokens];
+        }
+    }
+    return [...tokens];
+}
+
+/**
+ * Snippets around each query term match in `text`
+ * Returns [{ snippet, highlights: [[start, end], ...] }] with offsets into the snippet
+ */
+export function highlight(text, queryTokens) {
+    if (!text || !queryTokens.length) return [];
+
+    const hits = words(text).filter(w => queryTokens.includes(w.token));
+    const snippets = [];
+    let lastEnd = -1;
+
+    for (const hit of hits) {
+        if (hit.start < lastEnd) continue; // already inside the previous snippet
+
+        const from = Math.max(0, hit.start - SNIPPET_RADIUS);
+        const to = Math.min(text.length, hit.end + SNIPPET_RADIUS);
+        const prefix = from > 0 ? "…" : "";
+        const suffix = to < text.length ? "…" : "";
+        const body = text.slice(from, to);
+
+        const highlights = hits
+            .filter(h => h.start >= from && h.end <= to)
+            .map(h => [h.start - from + prefix.length, h.end - from + prefix.length]);
+
+        snippets.push({ snippet: `${prefix}${body}${suffix}`, highlights });
+        lastEnd = to;
+
+        if (snippets.length >= 3) break;
+    }
+    return snippets;
+}
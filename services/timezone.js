@@ -0,0 +1,193 @@
+import { db } from "../firebase-admin.js";
+
+/**
+ * PER-USER TIME ZONES
+ * All calendar bucketing (reflection `date`, document IDs, "today",
+ * weekly windows, streaks) happens in the user's IANA time zone.
+ * The zone comes from the client (body/query `timezone` or the
+ * `X-Timezone` header) and is remembered on the user document.
+ */
+
+export const DEFAULT_TIMEZONE = "UTC";
+
+const formatters = new Map();
+
+function formatter(timezone) {
+    if (!formatters.has(timezone)) {
+        formatters.set(timezone, new Intl.DateTimeFormat("en-CA", {
+            timeZone: timezone,
+            hourCycle: "h23",
+            year: "numeric",
+            month: "2-digit",
+            day: "2-digit",
+            hour: "2-digit",
+            minute: "2-digit",
+            second: "2-digit"
+        }));
+    }
+    return formatters.get(timezone);
+}
+
+function wallClock(timezone, instant) {
+    const parts = {};
+    for (const { type, value } of formatter(timezone).formatToParts(instant)) {
+        parts[type] = value;
+    }
+    return parts;
+}
+
+export function isValidTimezone(timezone) {
+    if (typeof timezone !== "string" || !timezone) return false;
+    try {
+        new Intl.DateTimeFormat("en-US", { timeZone: timezone });
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * A real calendar date written as YYYY-MM-DD (rejects 2024-02-30)
+ */
+export function isValidDate(value) {
+    if (typeof value !== "string" || !/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+    const [y, m, d] = value.split("-").map(Number);
+    const date = new Date(Date.UTC(y, m - 1, d));
+    return date.getUTCFullYear() === y && date.getUTCMonth() === m - 1 && date.getUTCDate() === d;
+}
+
+/**
+ * Calendar date (YYYY-MM-DD) for an instant in an IANA time zone
+ */
+export function localDate(timezone = DEFAULT_TIMEZONE, instant = new Date()) {
+    const p = wallClock(timezone, instant);
+    return `${p.year}-${p.month}-${p.day}`;
+}
+
+/**
+ * Wall-clock time as HH-MM-SS (used in document IDs)
+ */
+export function localTime(timezone = DEFAULT_TIMEZONE, instant = new Date()) {
+    const p = wallClock(timezone, instant);
+    return `${p.hour}-${p.minute}-${p.second}`;
+}
+
+export function localHour(timezone = DEFAULT_TIMEZONE, instant = new Date()) {
+    return Number(wallClock(timezone, instant).hour);
+}
+
+/**
+ * Offset of `timezone` from UTC at `instant`, in ms
+ */
+function offsetAt(timezone, instant) {
+    const p = wallClock(timezone, new Date(instant));
+    const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+    return asUtc - Math.floor(instant / 1000) * 1000;
+}
+
+/**
+ * First and last instant of a local calendar day
+ * "2026-10-14" in Asia/Kolkata -> 2026-10-13T18:30:00Z .. 2026-10-14T18:29:59.999Z
+ */
+export function dayBounds(dateStr, timezone = DEFAULT_TIMEZONE) {
+    const [y, m, d] = dateStr.split("-").map(Number);
+
+    const startOf = (year, month, day) => {
+        const guess = Date.UTC(year, month - 1, day);
+        // Re-check once so a DST change on that day is handled
+        const first = guess - offsetAt(timezone, guess);
+        return guess - offsetAt(timezone, first);
+    };
+
+    const start = startOf(y, m, d);
+    const next = new Date(Date.UTC(y, m - 1, d + 1));
+    const end = startOf(next.getUTCFullYear(), next.getUTCMonth() + 1, next.getUTCDate()) - 1;
+
+    return { start: new Date(start), end: new Date(end) };
+}
+
+/**
+ * Pick the time zone for a request: a valid client-supplied zone wins (and
+ * is saved for next time), then the stored zone, then UTC.
+ */
+export async function resolveTimezone(userId, requested) {
+    const userRef = db.collection("users").doc(userId);
+
+    if (isValidTimezone(requested)) {
+        const doc = await userRef.get();
+        if (doc.data()?.timezone !== requested) {
+            await userRef.set({ timezone: requested }, { merge: true });
+        }
+        return requested;
+    }
+
+    const doc = await userRef.get();
+    const stored = doc.data()?.timezone;
+    return isValidTimezone(stored) ? stored : DEFAULT_TIMEZONE;
+}
+
+/**
+ * Time zone sent with a request, if any
+ */
+export function requestedTimezone(req) {
+    return req.body?.timezone || req.query?.timezone || req.headers["x-timezone"];
+}
+
+/**
+ * MIGRATION: recompute `date` on existing reflections from `createdAt`
+ * in the given zone. Reflections whose date the client chose
+ * (`dateExplicit`) keep it. Returns counts and the affected dates (old and
+ * new) so callers can invalidate reports for them.
+ *
+ * Streaks and weekly goal counts in `progress` are NOT recomputed: they
+ * were credited as entries arrived and stay as they were.
+ */
+export async function recomputeReflectionDates(userId, timezone, { dryRun = false } = {}) {
+    const reflectionsRef = db.collection("users").doc(userId).collection("reflections");
+    const dates = new Set();
+    let changed = 0;
+    let scanned = 0;
+    let skipped = 0;
+    let last = null;
+
+    while (true) {
+        let query = reflectionsRef.orderBy("createdAt").select("date", "createdAt", "dateExplicit").limit(400);
+        if (last) query = query.startAfter(last);
+
+        const snapshot = await query.get();
+        if (snapshot.empty) break;
+
+        const batch = db.batch();
+        let pending = 0;
+
+        for (const doc of snapshot.docs) {
+            scanned++;
+            const { date, createdAt, dateExplicit } = doc.data();
+            if (!createdAt) continue;
+            if (dateExplicit) {
+                skipped++;
+                continue;
+            }
+
+            const instant = typeof createdAt.toDate === "function" ? createdAt.toDate() : new Date(createdAt);
+            const newDate = localDate(timezone, instant);
+
+            if (newDate !== date) {
+                changed++;
+                if (date) dates.add(date);
+                dates.add(newDate);
+                if (!dryRun) {
+                    batch.update(doc.ref, { date: newDate });
+                    pending++;
+                }
+            }
+        }
+
+        if (pending) await batch.commit();
+        if (snapshot.size < 400) break;
+        last = snapshot.docs[snapshot.docs.length - 1];
+    }
+
+    console.log(`🕐 Date migration for ${userId} (${timezone}): ${changed}/${scanned} changed, ${skipped} backdated kept${dryRun ? " [dry run]" : ""}`);
+    return { scanned, changed, skipped, dates: [...dates].sort(), dryRun };
+}
@@ -0,0 +1,81 @@
+import { db } from "../firebase-admin.js";
+import { transcribeAudio, analyzeTranscriptBackground } from "../gemini.js";
+import { encryptText, searchTokensFor } from "./encryption.js";
+import { publishAnalysisEvent } from "./analysisEvents.js";
+
+/**
+ * TRANSCRIBERS
+ * Each transcriber implements: transcribe(buffer, mimeType, userId) -> Promise<string>
+ * Select with TRANSCRIBER env var; "gemini" is the default.
+ */
+const transcribers = {
+    gemini: {
+        name: "gemini",
+        transcribe: (buffer, mimeType, userId) => transcribeAudio(buffer, mimeType, userId)
+    }
+};
+
+/**
+ * Register an additional transcriber (e.g. Whisper, a local model or a test stub)
+ */
+export function registerTranscriber(name, transcriber) {
+    if (typeof transcriber?.transcribe !== "function") {
+        throw new Error(`Transcriber "${name}" must implement transcribe()`);
+    }
+    transcribers[name] = { name, ...transcriber };
+}
+
+/**
+ * Get the configured transcriber
+ */
+export function getTranscriber(name = process.env.TRANSCRIBER || "gemini") {
+    const transcriber = transcribers[name];
+    if (!transcriber) {
+        throw new Error(`Unknown transcriber: ${name}`);
+    }
+    return transcriber;
+}
+
+/**
+ * BACKGROUND AUDIO PIPELINE
+ * Transcribes stored audio, writes the transcript onto the reflection and
+ * hands off to the same analysis used by /save-transcript
+ */
+export async function processAudioReflection(userId, docId, buffer, mimeType, { markFailed = true } = {}) {
+    const docRef = db.collection("users").doc(userId).collection("reflections").doc(docId);
+
+    let transcript;
+    try {
+        publishAnalysisEvent(userId, docId, "analyzing", { stage: "transcription" });
+        const transcriber = getTranscriber();
+        console.log(`[AUDIO] Transcribing doc=${docId} with ${transcriber.name}`);
+        transcript = (await transcriber.transcribe(buffer, mimeType, userId) || "").trim();
+
+        if (!transcript) {
+            // Retrying the same audio won't find speech either
+            throw Object.assign(new Error("No speech detected in audio"), { permanent: true });
+        }
+
+        await docRef.update({
+            transcript: await encryptText(userId, transcript),
+            searchTokens: await searchTokensFor(userId, transcript)
+        });
+    } catch (error) {
+        console.error(`[AUDIO] ❌ Transcription failed for doc=${docId}:`, error.message);
+        if (!markFailed) {
+            return { success: false, error: error.message, permanent: error.permanent === true };
+        }
+        try {
+            await docRef.update({
+                analysisStatus: "failed",
+                analysisError: `Transcription failed: ${error.message}`
+            });
+        } catch (updateError) {
+            console.error("[AUDIO] Failed to update error status:", updateError);
+        }
+        publishAnalysisEvent(userId, docId, "failed", { error: `Transcription failed: ${error.message}` });
+        return { success: false, error: error.message };
+    }
+
+    return analyzeTranscriptBackground(userId, docId, transcript, { markFailed });
+}
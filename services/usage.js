@@ -0,0 +1,201 @@
+import admin, { db } from "../firebase-admin.js";
+import { decodeCursor, encodeCursor } from "./pagination.js";
+import { getDeletion, isGone } from "./accountDeletion.js";
+
+/**
+ * LLM USAGE ACCOUNTING
+ * Each call is one document in users/{uid}/usage (tokens, latency, model,
+ * estimated cost). The totals on the user document (apiRequestCount,
+ * apiUsage.byDate / byType) are bumped with FieldValue.increment in the
+ * same transaction, so concurrent analyses never lose a count. The
+ * transaction also reads the account's deletion state, so a call that
+ * finishes during or after a purge never recreates users/{uid}.
+ */
+
+const { FieldValue } = admin.firestore;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_COST_SCAN = 5000;
+
+// USD per 1M tokens; LLM_PRICE_INPUT_PER_M / LLM_PRICE_OUTPUT_PER_M override
+// for models not listed here
+const PRICING = {
+    "gemini-2.5-flash": { input: 0.30, output: 2.50 },
+    "gemini-2.5-flash-lite": { input: 0.10, output: 0.40 },
+    "gemini-2.5-pro": { input: 1.25, output: 10.00 },
+    "gpt-4o-mini": { input: 0.15, output: 0.60 },
+    "gpt-4o": { input: 2.50, output: 10.00 },
+    "rules-v1": { input: 0, output: 0 }
+};
+
+function usageRef(userId) {
+    return db.collection("users").doc(userId).collection("usage");
+}
+
+/**
+ * Coarse bucket kept in apiUsage.byType (text | voice | weekly | other)
+ */
+export function operationType(operation) {
+    return operation.includes('text') ? 'text' :
+        operation.includes('voice') ? 'voice' :
+        operation.includes('weekly') ? 'weekly' : 'other';
+}
+
+export function estimateCost(model, { promptTokens = 0, outputTokens = 0 } = {}) {
+    const envInput = parseFloat(process.env.LLM_PRICE_INPUT_PER_M);
+    const envOutput = parseFloat(process.env.LLM_PRICE_OUTPUT_PER_M);
+    const price = PRICING[model] || {
+        input: Number.isFinite(envInput) ? envInput : 0,
+        output: Number.isFinite(envOutput) ? envOutput : 0
+    };
+
+    // Round to micro-dollars so sums stay readable
+    return Math.round(((promptTokens * price.input + outputTokens * price.output) / 1e6) * 1e6) / 1e6;
+}
+
+/**
+ * The writes for one LLM call: the usage log entry and the increments
+ * merged into the user document
+ */
+export function usageWrites(now, { operation, details = '', provider, model, usage = {}, latencyMs, success = true }) {
+    const today = now.toISOString().split('T')[0];
+    const promptTokens = usage.promptTokens || 0;
+    const outputTokens = usage.outputTokens || 0;
+    const estimatedCost = estimateCost(model, { promptTokens, outputTokens });
+
+    return {
+        log: {
+            createdAt: now,
+            timestamp: now.getTime(),
+            date: today,
+            operation,
+            details,
+            provider: provider || null,
+            model: model || null,
+            promptTokens,
+            outputTokens,
+            totalTokens: usage.totalTokens || promptTokens + outputTokens,
+            latencyMs: latencyMs ?? null,
+            estimatedCost,
+            success
+        },
+        totals: {
+            apiRequestCount: FieldValue.increment(1),
+            apiUsage: {
+                byDate: { [today]: FieldValue.increment(1) },
+                byType: { [operationType(operation)]: FieldValue.increment(1) },
+                tokens: FieldValue.increment(promptTokens + outputTokens),
+                estimatedCost: FieldValue.increment(estimatedCost),
+                lastUpdated: now.getTime()
+            }
+        }
+    };
+}
+
+/**
+ * Record one LLM call. Never throws - accounting must not fail an analysis.
+ * Skipped for accounts being purged.
+ */
+export async function recordUsage(userId, call) {
+    if (!userId) return;
+
+    try {
+        const { log, totals } = usageWrites(new Date(), call);
+
+        const userRef = db.collection("users").doc(userId);
+        const logRef = usageRef(userId).doc();
+
+        const recorded = await db.runTransaction(async (tx) => {
+            if (isGone(await getDeletion(userId, tx))) return false;
+
+            tx.set(logRef, log);
+            tx.set(userRef, totals, { merge: true });
+            return true;
+        });
+
+        if (!recorded) {
+            console.log(`📊 Usage not recorded for ${userId}: account is being deleted`);
+            return;
+        }
+        console.log(`📊 API call | Operation: ${log.operation} | Tokens: ${log.promptTokens}+${log.outputTokens} | ${log.latencyMs}ms`);
+    } catch (err) {
+        console.error("Failed to record API usage:", err.message);
+    }
+}
+
+/**
+ * Usage log, newest first, cursor-paginated like /reflections
+ * Returns { logs, nextCursor } or { error } for a malformed cursor
+ */
+export async function listUsageLogs(userId, { limit = 30, cursor } = {}) {
+    const ref = usageRef(userId);
+    let query = ref.orderBy("createdAt", "desc");
+
+    if (cursor) {
+        const decoded = decodeCursor(cursor);
+        if (!decoded) return { error: "Invalid cursor" };
+
+        const cursorDoc = await ref.doc(decoded.id).get();
+        query = cursorDoc.exists ? query.startAfter(cursorDoc) : query.startAfter(decoded.createdAt);
+    }
+
+    const snapshot = await query.limit(limit + 1).get();
+    const docs = snapshot.docs.slice(0, limit);
+
+    return {
+        logs: docs.map(doc => {
+            const { createdAt, ...data } = doc.data();
+            return { id: doc.id, ...data };
+        }),
+        nextCursor: snapshot.docs.length > limit ? encodeCursor(docs[docs.length - 1]) : null
+    };
+}
+
+function addTo(totals, key, log) {
+    const entry = totals[key] || (totals[key] = { calls: 0, promptTokens: 0, outputTokens: 0, estimatedCost: 0 });
+    entry.calls++;
+    entry.promptTokens += log.promptTokens || 0;
+    entry.outputTokens += log.outputTokens || 0;
+    entry.estimatedCost = Math.round((entry.estimatedCost + (log.estimatedCost || 0)) * 1e6) / 1e6;
+}
+
+/**
+ * Sum usage log entries overall, per UTC day and per operation
+ */
+export function aggregateCosts(logs) {
+    const overall = {};
+    const byDate = {};
+    const byOperation = {};
+
+    for (const log of logs) {
+        addTo(overall, "total", log);
+        addTo(byDate, log.date, log);
+        addTo(byOperation, log.operation, log);
+    }
+
+    return {
+        total: overall.total || { calls: 0, promptTokens: 0, outputTokens: 0, estimatedCost: 0 },
+        byDate,
+        byOperation
+    };
+}
+
+/**
+ * Estimated cost per UTC day and per operation over the last `days` days
+ */
+export async function summarizeCosts(userId, { days = 30 } = {}, now = Date.now()) {
+    const from = new Date(now - days * DAY_MS);
+    const snapshot = await usageRef(userId)
+        .where("createdAt", ">=", from)
+        .orderBy("createdAt", "desc")
+        .select("date", "operation", "promptTokens", "outputTokens", "estimatedCost")
+        .limit(MAX_COST_SCAN)
+        .get();
+
+    return {
+        currency: "USD",
+        days,
+        from: from.toISOString(),
+        truncated: snapshot.size === MAX_COST_SCAN,
+        ...aggregateCosts(snapshot.docs.map(doc => doc.data()))
+    };
+}
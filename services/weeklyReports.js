@@ -0,0 +1,223 @@
+import { db } from "../firebase-admin.js";
+import { analyzeWeeklyPatterns } from "../gemini.js";
+import { isoWeekOf, weekRange, previousWeek } from "./isoWeek.js";
+import { countBy, topKeys, toMillis } from "./moodStats.js";
+import { sealDocument, openDocument, openDocuments } from "./encryption.js";
+import { preferredLanguage, dominantLanguage, matchesPreference, DEFAULT_LANGUAGE } from "./language.js";
+import { withTimeout } from "./llm/index.js";
+
+/**
+ * WEEKLY REPORTS
+ * One report per ISO week in users/{uid}/weeklyReports/{week}.
+ * A report is reused until a reflection in that week is added, edited or
+ * deleted, which marks it stale.
+ */
+
+const MIN_REFLECTIONS = 3;
+const GEMINI_TIMEOUT = 15000; // 15 seconds max
+const INTENSITY_SCORE = { low: 1, medium: 2, high: 3 };
+
+function reportsRef(userId) {
+    return db.collection("users").doc(userId).collection("weeklyReports");
+}
+
+/**
+ * Reflections whose `date` falls inside the ISO week, oldest first
+ */
+export async function fetchWeekReflections(userId, week) {
+    const { start, end } = weekRange(week);
+    const snapshot = await db
+        .collection("users")
+        .doc(userId)
+        .collection("reflections")
+        .where("date", ">=", start)
+        .where("date", "<=", end)
+        .get();
+
+    return snapshot.docs
+        .map(doc => ({ id: doc.id, ...doc.data() }))
+        .sort((a, b) => a.date.localeCompare(b.date) || toMillis(a.createdAt) - toMillis(b.createdAt));
+}
+
+/**
+ * Deterministic label statistics for a set of reflections
+ */
+export function summarizeWeek(reflections) {
+    const scored = reflections
+        .map(r => INTENSITY_SCORE[r.emotionalIntensity])
+        .filter(Boolean);
+
+    return {
+        reflectionCount: reflections.length,
+        activeDays: new Set(reflections.map(r => r.date)).size,
+        emotionCounts: countBy(reflections.map(r => r.primaryEmotion)),
+        themeCounts: countBy(reflections.map(r => r.theme)),
+        averageIntensity: scored.length
+            ? Math.round((scored.reduce((a, b) => a + b, 0) / scored.length) * 100) / 100
+            : null
+    };
+}
+
+/**
+ * Week-over-week comparison between two summarizeWeek() results
+ */
+export function compareWeeks(current, previous, previousWeekKey) {
+    const currentEmotions = Object.keys(current.emotionCounts);
+    const previousEmotions = Object.keys(previous.emotionCounts);
+    const currentThemes = Object.keys(current.themeCounts);
+    const previousThemes = Object.keys(previous.themeCounts);
+
+    let intensityTrend = null;
+    if (current.averageIntensity !== null && previous.averageIntensity !== null) {
+        const diff = current.averageIntensity - previous.averageIntensity;
+        intensityTrend = diff > 0.25 ? "rising" : diff < -0.25 ? "easing" : "steady";
+    }
+
+    return {
+        previousWeek: previousWeekKey,
+        hasPreviousData: previous.reflectionCount > 0,
+        reflectionCountChange: current.reflectionCount - previous.reflectionCount,
+        activeDaysChange: current.activeDays - previous.activeDays,
+        averageIntensity: current.averageIntensity,
+        previousAverageIntensity: previous.averageIntensity,
+        intensityTrend,
+        newEmotions: currentEmotions.filter(e => !previousEmotions.includes(e)),
+        fadedEmotions: previousEmotions.filter(e => !currentEmotions.includes(e)),
+        newThemes: currentThemes.filter(t => !previousThemes.includes(t)),
+        fadedThemes: previousThemes.filter(t => !currentThemes.includes(t)),
+        previousDominantEmotions: topKeys(previous.emotionCounts, 2),
+        previousDominantThemes: topKeys(previous.themeCounts, 2)
+    };
+}
+
+/**
+ * Synthetic analysis from reflection labels (used when Gemini times out)
+ */
+export function buildSyntheticAnalysis(reflections) {
+    const stats = summarizeWeek(reflections);
+    const sortedEmotions = topKeys(stats.emotionCounts, 2);
+    const sortedThemes = topKeys(stats.themeCounts, 2);
+
+    return {
+        dominantEmotions: sortedEmotions.length ? sortedEmotions : ['neutral'],
+        dominantThemes: sortedThemes.length ? sortedThemes : ['self'],
+        emotionalPattern: "Your reflections show a consistent pattern of self-awareness.",
+        weeklyInsight: `This week you've reflected ${reflections.length} times, exploring themes of ${sortedThemes.join(' and ') || 'personal growth'}.`,
+        reflectiveQuestion: "What would you like to explore more deeply in your next reflection?"
+    };
+}
+
+/**
+ * Mark the weekly report covering `dateStr` - and the day in review, monthly
+ * and yearly retrospectives containing it - as stale so they are regenerated
+ * on next request
+ */
+export async function markWeekStale(userId, dateStr) {
+    if (!userId || !dateStr) return;
+
+    const userRef = db.collection("users").doc(userId);
+    const targets = [
+        reportsRef(userId).doc(isoWeekOf(dateStr)),
+        userRef.collection("daySummaries").doc(dateStr),
+        userRef.collection("retrospectives").doc(dateStr.slice(0, 7)),
+        userRef.collection("retrospectives").doc(dateStr.slice(0, 4))
+    ];
+
+    await Promise.all(targets.map(async (ref) => {
+        try {
+            await ref.update({ stale: true });
+        } catch (err) {
+            // NOT_FOUND just means no report exists for that period yet
+            if (err.code !== 5) {
+                console.error("Failed to mark report stale:", err.message);
+            }
+        }
+    }));
+}
+
+/**
+ * Get (or generate) the report for an ISO week
+ * Returns { success, hasEnoughData, cached, report }
+ */
+export async function getWeeklyReport(userId, week, { refresh = false } = {}) {
+    const reportRef = reportsRef(userId).doc(week);
+    const preferred = await preferredLanguage(userId);
+
+    if (!refresh) {
+        const existing = await reportRef.get();
+        // A report written before the user changed language is regenerated
+        if (existing.exists && !existing.data().stale && matchesPreference(existing.data().language, preferred)) {
+            console.log(`✅ Cached weekly report ${week}`);
+            return { success: true, hasEnoughData: true, cached: true, report: await openDocument(userId, "weeklyReport", existing.data()) };
+        }
+    }
+
+    const prevWeek = previousWeek(week);
+    const [reflections, previousReflections] = await Promise.all([
+        fetchWeekReflections(userId, week),
+        fetchWeekReflections(userId, prevWeek)
+    ]);
+
+    if (reflections.length < MIN_REFLECTIONS) {
+        return {
+            success: true,
+            hasEnoughData: false,
+            cached: false,
+            report: { week, ...weekRange(week), reflectionCount: reflections.length }
+        };
+    }
+
+    console.log(`🔄 Generating weekly report ${week}`);
+
+    // Try analysis with timeout, fallback to synthetic if it fails
+    let analysis;
+    let language = preferred || dominantLanguage(reflections.map(r => r.language));
+    let synthetic = false;
+    try {
+        analysis = await withTimeout(
+            analyzeWeeklyPatterns(reflections, userId, { language }),
+            GEMINI_TIMEOUT,
+            "Gemini timeout"
+        );
+        // A provider that fails fast gets the same fallback as one that hangs
+        if (!analysis.success) throw new Error(analysis.error || "Weekly analysis failed");
+    } catch (err) {
+        console.log(`⚠️ ${err.message} - generating synthetic analysis`);
+        analysis = { success: true, data: buildSyntheticAnalysis(reflections) };
+        language = DEFAULT_LANGUAGE; // synthetic text is English
+        synthetic = true;
+    }
+
+    const stats = summarizeWeek(reflections);
+    const report = {
+        week,
+        ...weekRange(week),
+        reflectionCount: reflections.length,
+        reflectionIds: reflections.map(r => r.id),
+        stats,
+        comparison: compareWeeks(stats, summarizeWeek(previousReflections), prevWeek),
+        analysis: analysis.data,
+        language,
+        synthetic,
+        stale: false,
+        generatedAt: Date.now()
+    };
+
+    await reportRef.set(await sealDocument(userId, "weeklyReport", report));
+    console.log(`💾 Saved weekly report ${week}`);
+
+    return { success: true, hasEnoughData: true, cached: false, report };
+}
+
+/**
+ * Past reports, newest week first. `before` is an ISO week key (exclusive).
+ */
+export async function listWeeklyReports(userId, { limit = 12, before } = {}) {
+    let query = reportsRef(userId).orderBy("week", "desc");
+    if (before) {
+        query = query.where("week", "<", before);
+    }
+
+    const snapshot = await query.limit(limit).get();
+    return openDocuments(userId, "weeklyReport", snapshot.docs.map(doc => doc.data()));
+}
@@ -0,0 +1,84 @@
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+
+process.env.AUTH_MODE = "test";
+process.env.AUTH_TEST_SECRET = "test-secret";
+
+const { MemoryAccountStore, setAccountStore, getDeletion, isClosed, isGone } = await import("../services/accountDeletion.js");
+const { requireOpenAccount } = await import("../middleware/auth.js");
+
+let accounts;
+
+beforeEach(() => {
+    accounts = new MemoryAccountStore();
+    setAccountStore(accounts);
+});
+
+function mockRes() {
+    return {
+        statusCode: 200,
+        body: null,
+        status(code) { this.statusCode = code; return this; },
+        json(body) { this.body = body; return this; }
+    };
+}
+
+async function run(uid) {
+    const res = mockRes();
+    let nextCalled = false;
+    await requireOpenAccount({ user: { uid } }, res, () => { nextCalled = true; });
+    return { res, nextCalled };
+}
+
+test("isClosed covers every deletion stage, isGone only the purge", () => {
+    assert.deepEqual(
+        [null, { status: "pending" }, { status: "purging" }, { status: "purged" }].map(d => [isClosed(d), isGone(d)]),
+        [[false, false], [true, false], [true, true], [true, true]]
+    );
+    // A cancelled deletion is stored as null
+    assert.equal(isClosed(undefined), false);
+});
+
+test("requireOpenAccount lets an active account through", async () => {
+    const { res, nextCalled } = await run("user-1");
+
+    assert.equal(nextCalled, true);
+    assert.equal(res.statusCode, 200);
+});
+
+test("requireOpenAccount refuses an account in its grace period", async () => {
+    accounts.deletions.set("user-1", { status: "pending", purgeAfter: 1700000000000, deleteAuthUser: false });
+    const { res, nextCalled } = await run("user-1");
+
+    assert.equal(nextCalled, false);
+    assert.equal(res.statusCode, 403);
+    assert.deepEqual(res.body, {
+        success: false,
+        error: "Account is scheduled for deletion",
+        deletion: { status: "pending", purgeAfter: 1700000000000 }
+    });
+});
+
+test("requireOpenAccount refuses purging and purged accounts", async () => {
+    accounts.deletions.set("user-1", { status: "purging" });
+    accounts.deletions.set("user-2", { status: "purged", purgedAt: 1 });
+
+    for (const uid of ["user-1", "user-2"]) {
+        const { res, nextCalled } = await run(uid);
+        assert.equal(nextCalled, false);
+        assert.equal(res.statusCode, 403);
+        assert.equal(res.body.deletion.purgeAfter, null);
+    }
+});
+
+test("requireOpenAccount lets the request through when the lookup fails", async () => {
+    setAccountStore({ deletionOf: async () => { throw new Error("unavailable"); } });
+    const { nextCalled } = await run("user-1");
+    assert.equal(nextCalled, true);
+});
+
+test("getDeletion reads from the configured store", async () => {
+    accounts.deletions.set("user-1", { status: "pending" });
+    assert.deepEqual(await getDeletion("user-1"), { status: "pending" });
+    assert.equal(await getDeletion("user-2"), null);
+});
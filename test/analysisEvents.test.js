@@ -0,0 +1,159 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { EventEmitter } from "events";
+
+process.env.SSE_HEARTBEAT_MS = "20";
+
+const { publishAnalysisEvent, eventsSince, latestEventId, streamAnalysisEvents } = await import("../services/analysisEvents.js");
+
+// Each test uses its own reflection so histories don't mix
+let docCount = 0;
+const nextDoc = () => `doc-${++docCount}`;
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+function mockRes() {
+    return {
+        statusCode: 200,
+        body: null,
+        headers: {},
+        writes: [],
+        headersSent: false,
+        writableEnded: false,
+        status(code) { this.statusCode = code; return this; },
+        set(headers) { Object.assign(this.headers, headers); return this; },
+        json(body) { this.body = body; this.headersSent = true; this.writableEnded = true; return this; },
+        flushHeaders() { this.headersSent = true; },
+        write(chunk) { this.writes.push(chunk); },
+        end() { this.writableEnded = true; },
+        // The events sent so far, parsed
+        get events() {
+            return this.writes.filter(chunk => chunk.startsWith("id: ")).map(chunk => JSON.parse(chunk.split("data: ")[1]));
+        }
+    };
+}
+
+/**
+ * Open a stream; `stored` plays the reflection document's status
+ */
+async function open(docId, { lastEventId, stored = { status: "queued" } } = {}) {
+    const req = new EventEmitter();
+    const res = mockRes();
+    const loadStatus = async (id) => {
+        const current = typeof stored === "function" ? stored() : stored;
+        return current && { id, docId, ...current };
+    };
+    await streamAnalysisEvents(req, res, { userId: "user-1", docId, lastEventId, loadStatus });
+    return { req, res };
+}
+
+test("eventsSince returns the missed events", () => {
+    const docId = nextDoc();
+    for (const status of ["queued", "analyzing", "completed"]) publishAnalysisEvent("user-1", docId, status);
+
+    assert.deepEqual(eventsSince("user-1", docId, 1).map(event => event.status), ["analyzing", "completed"]);
+    assert.deepEqual(eventsSince("user-1", docId, 3), []);
+    assert.equal(latestEventId("user-1", docId), 3);
+});
+
+test("eventsSince is null when the buffer can't cover the gap", () => {
+    const docId = nextDoc();
+    assert.equal(eventsSince("user-1", docId, 0), null);
+
+    publishAnalysisEvent("user-1", docId, "queued");
+    // An id from before a restart
+    assert.equal(eventsSince("user-1", docId, 7), null);
+
+    // Events that fell out of the 20-event buffer
+    for (let i = 0; i < 25; i++) publishAnalysisEvent("user-1", docId, "analyzing");
+    assert.equal(eventsSince("user-1", docId, 2), null);
+    assert.equal(eventsSince("user-1", docId, 6).length, 20);
+});
+
+test("events are kept per user and reflection", () => {
+    const docId = nextDoc();
+    publishAnalysisEvent("user-1", docId, "queued");
+
+    assert.equal(latestEventId("user-2", docId), 0);
+    assert.equal(eventsSince("user-2", docId, 0), null);
+});
+
+test("a new stream starts from the stored status, then follows live events", async () => {
+    const docId = nextDoc();
+    const { res } = await open(docId);
+
+    assert.equal(res.headers["Content-Type"], "text/event-stream");
+    assert.deepEqual(res.events.map(event => [event.id, event.status]), [[0, "queued"]]);
+
+    publishAnalysisEvent("user-1", docId, "analyzing");
+    publishAnalysisEvent("user-1", docId, "completed", { analysis: { primaryEmotion: "calm" } });
+
+    assert.deepEqual(res.events.map(event => event.status), ["queued", "analyzing", "completed"]);
+    assert.equal(res.events[2].analysis.primaryEmotion, "calm");
+    assert.equal(res.writableEnded, true);
+});
+
+test("a reconnect with Last-Event-ID replays only the missed events", async () => {
+    const docId = nextDoc();
+    for (const status of ["queued", "analyzing", "completed"]) publishAnalysisEvent("user-1", docId, status);
+
+    const { res } = await open(docId, { lastEventId: 1, stored: { status: "completed" } });
+
+    assert.deepEqual(res.events.map(event => [event.id, event.status]), [[2, "analyzing"], [3, "completed"]]);
+    assert.equal(res.writableEnded, true);
+});
+
+test("a reconnect that missed nothing gets the stored status", async () => {
+    const docId = nextDoc();
+    publishAnalysisEvent("user-1", docId, "queued");
+    publishAnalysisEvent("user-1", docId, "analyzing");
+
+    const { req, res } = await open(docId, { lastEventId: 2, stored: { status: "queued" } });
+    assert.deepEqual(res.events.map(event => [event.id, event.status]), [[2, "queued"]]);
+    assert.equal(res.writableEnded, false);
+    req.emit("close");
+
+    // Already finished: the stored status ends the stream at once
+    const done = await open(docId, { lastEventId: 2, stored: { status: "completed" } });
+    assert.deepEqual(done.res.events.map(event => event.status), ["completed"]);
+    assert.equal(done.res.writableEnded, true);
+});
+
+test("a missing reflection is a 404", async () => {
+    const { res } = await open(nextDoc(), { stored: null });
+    assert.equal(res.statusCode, 404);
+    assert.equal(res.body.success, false);
+});
+
+test("heartbeats stop and events are no longer sent once the client leaves", async () => {
+    const docId = nextDoc();
+    const { req, res } = await open(docId);
+
+    await wait(50);
+    assert.ok(res.writes.includes(": heartbeat\n\n"));
+
+    req.emit("close");
+    const written = res.writes.length;
+    publishAnalysisEvent("user-1", docId, "analyzing");
+    await wait(50);
+
+    assert.equal(res.writes.length, written);
+});
+
+test("a job finished on another instance ends the stream on the next heartbeat", async () => {
+    const docId = nextDoc();
+    let stored = { status: "queued" };
+    const { res } = await open(docId, { stored: () => stored });
+
+    // No event is published here: the job ran elsewhere
+    stored = { status: "failed", error: "Gemini 503" };
+    await wait(50);
+
+    assert.deepEqual(res.events.map(event => event.status), ["queued", "failed"]);
+    assert.equal(res.events[1].error, "Gemini 503");
+    assert.equal(res.writableEnded, true);
+
+    const written = res.writes.length;
+    await wait(50);
+    assert.equal(res.writes.length, written);
+});
@@ -0,0 +1,177 @@
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+
+process.env.JOB_QUEUE_BACKEND = "memory";
+process.env.ANALYSIS_RETRY_BASE_MS = "1000";
+process.env.ANALYSIS_LEASE_MS = "60000";
+
+const { MemoryJobStore, setJobStore, setJobHandlers, drainQueue, retryDelay, resumeInterruptedJobs } = await import("../services/analysisQueue.js");
+
+let store;
+let failed;
+
+beforeEach(() => {
+    store = new MemoryJobStore();
+    failed = [];
+    setJobStore(store);
+    setJobHandlers({ fail: async (job, error) => { failed.push([job.docId, error]); } });
+});
+
+function addJob(overrides = {}) {
+    const now = Date.now();
+    return store.create({
+        id: `job-${store.jobs.size + 1}`,
+        userId: "user-1",
+        docId: "doc-1",
+        type: "transcript",
+        status: "queued",
+        attempts: 0,
+        maxAttempts: 3,
+        lastError: null,
+        nextRunAt: now,
+        createdAt: now,
+        updatedAt: now,
+        ...overrides
+    });
+}
+
+// Make a queued retry due now, as if its backoff had passed
+function fastForward(id) {
+    store.jobs.get(id).nextRunAt = Date.now();
+}
+
+test("retryDelay doubles from the base and is capped", () => {
+    assert.equal(retryDelay(1), 1000);
+    assert.equal(retryDelay(2), 2000);
+    assert.equal(retryDelay(4), 8000);
+    assert.equal(retryDelay(30), 15 * 60 * 1000);
+});
+
+test("a failing job is retried with backoff, then completes", async () => {
+    const results = [{ success: false, error: "Gemini 503" }, { success: true }];
+    setJobHandlers({ execute: async () => results.shift() });
+    await addJob();
+
+    const before = Date.now();
+    await drainQueue();
+    let job = store.jobs.get("job-1");
+    assert.equal(job.status, "queued");
+    assert.equal(job.attempts, 1);
+    assert.equal(job.lastError, "Gemini 503");
+    assert.equal(job.leaseUntil, null);
+    assert.ok(job.nextRunAt >= before + 1000);
+
+    // Not due yet: nothing runs
+    await drainQueue();
+    assert.equal(store.jobs.get("job-1").attempts, 1);
+
+    fastForward("job-1");
+    await drainQueue();
+    job = store.jobs.get("job-1");
+    assert.equal(job.status, "completed");
+    assert.equal(job.attempts, 2);
+    assert.equal(job.lastError, null);
+    assert.deepEqual(failed, []);
+});
+
+test("a job that keeps failing is dead-lettered after maxAttempts", async () => {
+    let runs = 0;
+    setJobHandlers({ execute: async () => { runs++; throw new Error("timeout"); } });
+    await addJob();
+
+    for (let i = 0; i < 3; i++) {
+        fastForward("job-1");
+        await drainQueue();
+    }
+
+    const job = store.jobs.get("job-1");
+    assert.equal(job.status, "dead");
+    assert.equal(job.attempts, 3);
+    assert.equal(runs, 3);
+    assert.deepEqual(failed, [["doc-1", "timeout"]]);
+
+    // Dead jobs never run again
+    await drainQueue();
+    assert.equal(runs, 3);
+});
+
+test("a permanent failure is dead-lettered without retrying", async () => {
+    setJobHandlers({ execute: async () => ({ success: false, error: "No speech detected in audio", permanent: true }) });
+    await addJob({ type: "audio" });
+
+    await drainQueue();
+
+    assert.equal(store.jobs.get("job-1").status, "dead");
+    assert.equal(store.jobs.get("job-1").attempts, 1);
+    assert.deepEqual(failed, [["doc-1", "No speech detected in audio"]]);
+});
+
+test("a job for a deleted account is cancelled, not dead-lettered", async () => {
+    setJobHandlers({ execute: async () => ({ success: false, error: "Account deleted", cancelled: true }) });
+    await addJob();
+
+    await drainQueue();
+
+    assert.equal(store.jobs.get("job-1").status, "cancelled");
+    assert.equal(store.jobs.get("job-1").lastError, "Account deleted");
+    assert.deepEqual(failed, []);
+});
+
+test("a job removed by a purge while it runs stops quietly", async () => {
+    setJobHandlers({
+        execute: async (job) => {
+            if (job.docId === "doc-2") return { success: true };
+            store.jobs.delete(job.id);
+            return { success: false, error: "Reflection not found", permanent: true };
+        }
+    });
+    await addJob();
+    await addJob({ docId: "doc-2" });
+
+    await drainQueue();
+
+    assert.equal(store.jobs.has("job-1"), false);
+    assert.deepEqual(failed, []);
+    // The rest of the batch still runs
+    assert.equal(store.jobs.get("job-2").status, "completed");
+});
+
+test("a running job holds a lease", async () => {
+    let seen;
+    setJobHandlers({ execute: async (job) => { seen = { ...store.jobs.get(job.id) }; return { success: true }; } });
+    await addJob();
+
+    const before = Date.now();
+    await drainQueue();
+
+    assert.equal(seen.status, "running");
+    assert.ok(seen.leaseUntil >= before + 60000);
+    assert.ok(seen.workerId);
+    assert.equal(store.jobs.get("job-1").leaseUntil, null);
+});
+
+test("resumeInterruptedJobs requeues only jobs whose lease has expired", async () => {
+    const now = Date.now();
+    await addJob({ status: "running", leaseUntil: now - 1 });                   // crashed worker
+    await addJob({ status: "running", leaseUntil: now + 30000 });               // another instance, still working
+    await addJob({ status: "running", updatedAt: now - 120000 });               // claimed before leases, long ago
+    await addJob({ status: "running", updatedAt: now });                        // claimed before leases, just now
+    await addJob({ status: "completed" });
+
+    assert.equal(await resumeInterruptedJobs(now), 2);
+    assert.deepEqual([...store.jobs.values()].map(job => job.status), ["queued", "running", "queued", "running", "completed"]);
+    assert.equal(store.jobs.get("job-1").nextRunAt, now);
+    assert.equal(store.jobs.get("job-1").leaseUntil, null);
+
+    // Once the other instance's lease runs out it is resumed too
+    assert.equal(await resumeInterruptedJobs(now + 60001), 2);
+});
+
+test("release refuses a job whose lease was renewed after it was listed", async () => {
+    const now = Date.now();
+    await addJob({ status: "running", leaseUntil: now - 1 });
+    store.jobs.get("job-1").leaseUntil = now + 60000;
+
+    assert.equal(await store.release("job-1", now), false);
+    assert.equal(store.jobs.get("job-1").status, "running");
+});
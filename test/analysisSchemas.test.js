@@ -0,0 +1,129 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+    validateAnalysis,
+    normalizeLabel,
+    normalizeTheme,
+    normalizeIntensity,
+    normalizeRisk,
+    REASON
+} from "../services/analysisSchemas.js";
+
+const daily = (overrides) => ({
+    dailyInsight: "You seemed steadier by the evening.",
+    primaryEmotion: "calm",
+    secondaryEmotion: "hopeful",
+    emotionalIntensity: "low",
+    theme: "self",
+    ...overrides
+});
+
+test("normalizeTheme maps near-misses and synonyms onto themes", () => {
+    assert.equal(normalizeTheme("Work-related"), "work");
+    assert.equal(normalizeTheme("WORK"), "work");
+    assert.equal(normalizeTheme("self-care"), "self");
+    assert.equal(normalizeTheme("family and friends"), "relationships");
+    assert.equal(normalizeTheme("Mental health"), "health");
+    assert.equal(normalizeTheme("trabajo"), "work");
+});
+
+test("normalizeTheme refuses negations, mixed and unknown labels", () => {
+    assert.equal(normalizeTheme("not work related"), null);
+    assert.equal(normalizeTheme("nothing to do with health"), null);
+    assert.equal(normalizeTheme("work and health"), null);
+    assert.equal(normalizeTheme("networking"), null);
+    assert.equal(normalizeTheme("homework"), null);
+    assert.equal(normalizeTheme(""), null);
+    assert.equal(normalizeTheme(42), null);
+});
+
+test("normalizeIntensity and normalizeRisk", () => {
+    assert.equal(normalizeIntensity("Moderate"), "medium");
+    assert.equal(normalizeIntensity("medium-high"), "medium");
+    assert.equal(normalizeIntensity("very intense"), "high");
+    assert.equal(normalizeIntensity("not high"), null);
+    assert.equal(normalizeIntensity("alta"), "high");
+    assert.equal(normalizeRisk("No risk"), "none");
+    assert.equal(normalizeRisk("Imminent"), "high");
+    assert.equal(normalizeRisk("not high"), null);
+});
+
+test("normalizeLabel keeps single English words only", () => {
+    assert.equal(normalizeLabel("Anxious."), "anxious");
+    assert.equal(normalizeLabel("self-doubt"), "self-doubt");
+    assert.equal(normalizeLabel("Tristeza"), "sadness");
+    assert.equal(normalizeLabel("anxiété"), "anxiety");
+    assert.equal(normalizeLabel("चिंता"), "anxiety");
+
+    assert.equal(normalizeLabel("tristeza profunda"), null);
+    assert.equal(normalizeLabel("feeling really overwhelmed by everything today"), null);
+    assert.equal(normalizeLabel("不安"), null);
+    assert.equal(normalizeLabel("overwhelmed!!!?"), null);
+    assert.equal(normalizeLabel(""), null);
+    assert.equal(normalizeLabel(null), null);
+});
+
+test("validateAnalysis accepts and normalizes a daily analysis", () => {
+    const result = validateAnalysis("text-analysis", daily({ primaryEmotion: "Tristeza", emotionalIntensity: "Moderate", theme: "Work-related" }));
+
+    assert.equal(result.valid, true);
+    assert.deepEqual(result.data, daily({ primaryEmotion: "sadness", emotionalIntensity: "medium", theme: "work" }));
+});
+
+test("validateAnalysis rejects phrase labels with INVALID_ENUM", () => {
+    for (const primaryEmotion of ["tristeza profunda", "feeling really overwhelmed by everything today"]) {
+        const result = validateAnalysis("text-analysis", daily({ primaryEmotion }));
+        assert.equal(result.valid, false);
+        assert.deepEqual(result.errors.map(e => [e.field, e.reason]), [["primaryEmotion", REASON.INVALID_ENUM]]);
+    }
+});
+
+test("validateAnalysis reports missing, mistyped and empty fields", () => {
+    const result = validateAnalysis("text-analysis", daily({ dailyInsight: "  ", secondaryEmotion: 3, theme: undefined }));
+
+    assert.deepEqual(result.errors.map(e => [e.field, e.reason]), [
+        ["dailyInsight", REASON.EMPTY_VALUE],
+        ["secondaryEmotion", REASON.INVALID_TYPE],
+        ["theme", REASON.MISSING_FIELD]
+    ]);
+    assert.equal(result.data, null);
+});
+
+test("validateAnalysis rejects non-objects and passes unknown operations through", () => {
+    assert.equal(validateAnalysis("text-analysis", ["calm"]).errors[0].reason, REASON.NOT_AN_OBJECT);
+    assert.deepEqual(validateAnalysis("voice-transcription", { anything: 1 }), { valid: true, data: { anything: 1 }, errors: [] });
+});
+
+test("label lists are split, normalized and de-duplicated", () => {
+    const result = validateAnalysis("weekly-analysis", {
+        dominantEmotions: "anxiety, Ansiedad and a long rambling sentence about it",
+        dominantThemes: ["Work", "job", "not health"],
+        emotionalPattern: "Busy weekdays, calmer weekends.",
+        weeklyInsight: "Work took most of your attention.",
+        reflectiveQuestion: "What made the weekends easier?"
+    });
+
+    assert.equal(result.valid, true);
+    assert.deepEqual(result.data.dominantEmotions, ["anxiety"]);
+    assert.deepEqual(result.data.dominantThemes, ["work"]);
+});
+
+test("text lists flatten objects and may be empty where allowed", () => {
+    const result = validateAnalysis("monthly-analysis", {
+        narrative: "A month of steady change.",
+        dominantEmotions: ["calm"],
+        dominantThemes: ["growth"],
+        themeShifts: [],
+        turningPoints: [{ period: "2024-W10", description: "Started running" }, "  "],
+        reflectiveQuestion: "What do you want to keep?"
+    });
+
+    assert.equal(result.valid, true);
+    assert.deepEqual(result.data.turningPoints, ["2024-W10: Started running"]);
+    assert.deepEqual(result.data.themeShifts, []);
+});
+
+test("safety-check risk levels", () => {
+    assert.deepEqual(validateAnalysis("safety-check", { risk: "Moderate risk" }).data, { risk: "moderate" });
+    assert.equal(validateAnalysis("safety-check", { risk: "unclear" }).errors[0].reason, REASON.INVALID_ENUM);
+});
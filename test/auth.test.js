@@ -0,0 +1,113 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+
+process.env.AUTH_MODE = "test";
+process.env.AUTH_TEST_SECRET = "test-secret";
+
+const { requireAuth, matchUserParam, signTestToken } = await import("../middleware/auth.js");
+
+function mockRes() {
+    return {
+        statusCode: 200,
+        body: null,
+        status(code) { this.statusCode = code; return this; },
+        json(body) { this.body = body; return this; }
+    };
+}
+
+async function run(middleware, req) {
+    const res = mockRes();
+    let nextCalled = false;
+    await middleware(req, res, () => { nextCalled = true; });
+    return { res, nextCalled };
+}
+
+function bearer(token) {
+    return { headers: { authorization: `Bearer ${token}` }, body: {} };
+}
+
+// Signs claims exactly as given - signTestToken always adds an exp
+function signRaw(claims, secret = "test-secret") {
+    const header = Buffer.from(JSON.stringify({ alg: "HS256", typ: "JWT" })).toString("base64url");
+    const payload = Buffer.from(JSON.stringify(claims)).toString("base64url");
+    const signature = crypto.createHmac("sha256", secret).update(`${header}.${payload}`).digest("base64url");
+    return `${header}.${payload}.${signature}`;
+}
+
+test("requireAuth sets req.user for a valid token", async () => {
+    const req = bearer(signTestToken({ uid: "user-1", email: "a@example.com" }));
+    const { res, nextCalled } = await run(requireAuth, req);
+
+    assert.equal(nextCalled, true);
+    assert.equal(res.statusCode, 200);
+    assert.deepEqual(req.user, { uid: "user-1", email: "a@example.com", name: "" });
+});
+
+test("requireAuth rejects a missing Authorization header with 401", async () => {
+    const { res, nextCalled } = await run(requireAuth, { headers: {}, body: {} });
+
+    assert.equal(nextCalled, false);
+    assert.equal(res.statusCode, 401);
+    assert.equal(res.body.success, false);
+});
+
+test("requireAuth rejects a bad signature with 401", async () => {
+    const token = signTestToken({ uid: "user-1" }, "some-other-secret");
+    const { res, nextCalled } = await run(requireAuth, bearer(token));
+
+    assert.equal(nextCalled, false);
+    assert.equal(res.statusCode, 401);
+});
+
+test("requireAuth rejects a malformed token with 401", async () => {
+    const { res } = await run(requireAuth, bearer("not-a-jwt"));
+    assert.equal(res.statusCode, 401);
+});
+
+test("requireAuth rejects an expired token with 401", async () => {
+    const token = signTestToken({ uid: "user-1", exp: Math.floor(Date.now() / 1000) - 60 });
+    const { res, nextCalled } = await run(requireAuth, bearer(token));
+
+    assert.equal(nextCalled, false);
+    assert.equal(res.statusCode, 401);
+});
+
+test("requireAuth rejects a token without a numeric exp with 401", async () => {
+    for (const claims of [{ uid: "user-1" }, { uid: "user-1", exp: "9999999999" }]) {
+        const { res, nextCalled } = await run(requireAuth, bearer(signRaw(claims)));
+        assert.equal(nextCalled, false);
+        assert.equal(res.statusCode, 401);
+    }
+});
+
+test("requireAuth returns 403 when the body userId is someone else", async () => {
+    const req = bearer(signTestToken({ uid: "user-1" }));
+    req.body = { userId: "user-2" };
+    const { res, nextCalled } = await run(requireAuth, req);
+
+    assert.equal(nextCalled, false);
+    assert.equal(res.statusCode, 403);
+});
+
+test("matchUserParam passes the caller's own userId", async () => {
+    const req = { user: { uid: "user-1" }, params: { userId: "user-1" } };
+    const { nextCalled } = await run(matchUserParam, req);
+    assert.equal(nextCalled, true);
+});
+
+test("matchUserParam returns 403 on a uid mismatch", async () => {
+    const req = { user: { uid: "user-1" }, params: { userId: "user-2" } };
+    const { res, nextCalled } = await run(matchUserParam, req);
+
+    assert.equal(nextCalled, false);
+    assert.equal(res.statusCode, 403);
+    assert.equal(res.body.success, false);
+});
+
+test("matchUserParam returns 403 when the request is unauthenticated", async () => {
+    const { res, nextCalled } = await run(matchUserParam, { params: { userId: "user-1" } });
+
+    assert.equal(nextCalled, false);
+    assert.equal(res.statusCode, 403);
+});
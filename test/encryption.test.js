@@ -0,0 +1,60 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+// Encryption off: nothing here may touch the key store
+delete process.env.ENCRYPTION_MASTER_KEYS;
+const { encryptText, decryptText, isEncrypted, sealDocument, openDocument } = await import("../services/encryption.js");
+
+const LOOKALIKES = [
+    "enc:v1:this is just my note",
+    "enc:v1:1:QUJDRA==",
+    "enc:plain:already escaped?",
+    "enc:"
+];
+
+test("isEncrypted only accepts the full ciphertext shape", () => {
+    assert.equal(isEncrypted("enc:v1:2:q83vEjRWeJCrze8SNFZ4kKvN7xI0VniQ"), true);
+    assert.equal(isEncrypted("enc:v1:this is just my note"), false);
+    assert.equal(isEncrypted("enc:v1:"), false);
+    assert.equal(isEncrypted("plain text"), false);
+    assert.equal(isEncrypted(null), false);
+});
+
+test("text that looks like ciphertext round-trips unchanged", async () => {
+    for (const text of LOOKALIKES) {
+        const stored = await encryptText("user-1", text);
+        assert.ok(stored.startsWith("enc:plain:"), stored);
+        assert.equal(isEncrypted(stored), false);
+        assert.equal(await decryptText("user-1", stored), text);
+    }
+});
+
+test("ordinary text and non-strings pass through with encryption off", async () => {
+    assert.equal(await encryptText("user-1", "Had a calm morning"), "Had a calm morning");
+    assert.equal(await encryptText("user-1", ""), "");
+    assert.equal(await encryptText("user-1", null), null);
+    assert.equal(await decryptText("user-1", "Had a calm morning"), "Had a calm morning");
+});
+
+test("sealDocument escapes lookalike fields and openDocument restores them", async () => {
+    const createdAt = new Date("2024-03-12T09:00:00Z");
+    const reflection = {
+        transcript: LOOKALIKES[0],
+        dailyInsight: "A steady day",
+        primaryEmotion: "calm",
+        createdAt,
+        editHistory: [{ transcript: LOOKALIKES[1], dailyInsight: null }]
+    };
+
+    const sealed = await sealDocument("user-1", "reflection", reflection);
+    assert.equal(sealed.transcript, `enc:plain:${LOOKALIKES[0]}`);
+    assert.equal(sealed.dailyInsight, "A steady day");
+    assert.equal(sealed.editHistory[0].transcript, `enc:plain:${LOOKALIKES[1]}`);
+    assert.equal(sealed.createdAt, createdAt);
+
+    assert.deepEqual(await openDocument("user-1", "reflection", sealed), reflection);
+});
+
+test("real ciphertext is refused while encryption is off", async () => {
+    await assert.rejects(decryptText("user-1", "enc:v1:2:q83vEjRWeJCrze8SNFZ4kKvN7xI0VniQ"), /ENCRYPTION_MASTER_KEYS/);
+});
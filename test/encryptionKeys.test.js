@@ -0,0 +1,109 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+
+const OLD_MASTER = `old:${crypto.randomBytes(32).toString("base64")}`;
+const NEW_MASTER = `new:${crypto.randomBytes(32).toString("base64")}`;
+
+// Encryption on, with keys kept in memory. A second module instance plays
+// another process (the migration script) sharing the same key store.
+process.env.ENCRYPTION_MASTER_KEYS = `${NEW_MASTER},${OLD_MASTER}`;
+const encryption = await import("../services/encryption.js");
+const other = await import("../services/encryption.js?other");
+
+// A deployment from before the master key rotation, when "old" was active
+process.env.ENCRYPTION_MASTER_KEYS = `${OLD_MASTER},${NEW_MASTER}`;
+const legacy = await import("../services/encryption.js?legacy");
+
+const { encryptText, decryptText, isEncrypted, sealDocument, openDocument, rotateDataKey, rewrapUserKeys, needsReencryption, MemoryKeyStore, setKeyStore } = encryption;
+
+function useStore() {
+    const store = new MemoryKeyStore();
+    for (const instance of [encryption, other, legacy]) instance.setKeyStore(store);
+    return store;
+}
+
+test("text round-trips through real ciphertext", async () => {
+    useStore();
+
+    const stored = await encryptText("user-1", "Had a calm morning");
+    assert.equal(isEncrypted(stored), true);
+    assert.match(stored, /^enc:v1:1:/);
+    assert.equal(await decryptText("user-1", stored), "Had a calm morning");
+
+    // Bound to the user: another user's keys can't open it
+    await assert.rejects(decryptText("user-2", stored));
+});
+
+test("text that looks like ciphertext is encrypted, not escaped", async () => {
+    useStore();
+
+    for (const text of ["enc:v1:this is just my note", "enc:v1:1:QUJDRA==", "enc:plain:already escaped?"]) {
+        const stored = await encryptText("user-1", text);
+        assert.equal(isEncrypted(stored), true, stored);
+        assert.ok(!stored.startsWith("enc:plain:"));
+        assert.equal(await decryptText("user-1", stored), text);
+    }
+});
+
+test("a key rotated by another process is picked up on the next read", async () => {
+    useStore();
+
+    const before = await encryptText("user-1", "written before rotation");
+
+    // The other process rotates and writes under v2 while our keys are cached
+    assert.equal(await other.rotateDataKey("user-1"), 2);
+    const after = await other.encryptText("user-1", "written after rotation");
+    assert.match(after, /^enc:v1:2:/);
+
+    assert.equal(await decryptText("user-1", after), "written after rotation");
+    assert.equal(await decryptText("user-1", before), "written before rotation");
+    assert.match(await encryptText("user-1", "next write"), /^enc:v1:2:/);
+});
+
+test("an unknown key version still fails after reloading", async () => {
+    useStore();
+
+    const stored = await encryptText("user-1", "hello");
+    const forged = stored.replace(/^enc:v1:1:/, "enc:v1:7:");
+    await assert.rejects(decryptText("user-1", forged), /Data key version 7 not found/);
+});
+
+test("rotateDataKey marks older ciphertext for re-encryption", async () => {
+    useStore();
+
+    const sealed = await sealDocument("user-1", "reflection", { transcript: "Long day", dailyInsight: "Rest helps" });
+    assert.equal(await needsReencryption("user-1", "reflection", sealed), false);
+    assert.equal(await needsReencryption("user-1", "reflection", { transcript: "still plaintext" }), true);
+
+    await rotateDataKey("user-1");
+    assert.equal(await needsReencryption("user-1", "reflection", sealed), true);
+    assert.deepEqual(await openDocument("user-1", "reflection", sealed), { transcript: "Long day", dailyInsight: "Rest helps" });
+});
+
+test("rewrapUserKeys moves keys to the active master key and keeps data readable", async () => {
+    const store = useStore();
+
+    // Keys created (and data written) while "old" was the active master key
+    const stored = await legacy.encryptText("user-1", "from the old deployment");
+    assert.equal(store.records.get("user-1").keys[1].masterKeyId, "old");
+
+    assert.equal(await rewrapUserKeys("user-1"), true);
+    const record = store.records.get("user-1");
+    assert.deepEqual([record.keys[1].masterKeyId, record.indexKey.masterKeyId], ["new", "new"]);
+    assert.equal(await decryptText("user-1", stored), "from the old deployment");
+
+    // Nothing left to rewrap, and a user without keys is left alone
+    assert.equal(await rewrapUserKeys("user-1"), false);
+    assert.equal(await rewrapUserKeys("user-2"), false);
+    assert.equal(store.records.has("user-2"), false);
+});
+
+test("setKeyStore drops cached keys", async () => {
+    useStore();
+    const stored = await encryptText("user-1", "hello");
+
+    setKeyStore(new MemoryKeyStore());
+    // A fresh store creates a new v1 key, which can't open the old ciphertext
+    await assert.rejects(decryptText("user-1", stored));
+});
@@ -0,0 +1,29 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { csvCell, markdownReflection } from "../services/exporter.js";
+
+test("csvCell quotes separators and quotes", () => {
+    assert.equal(csvCell("calm"), "calm");
+    assert.equal(csvCell('said "hi", left'), '"said ""hi"", left"');
+    assert.equal(csvCell("two\nlines"), '"two\nlines"');
+    assert.equal(csvCell(null), "");
+    assert.equal(csvCell(3), "3");
+});
+
+test("csvCell neutralises text a spreadsheet would run as a formula", () => {
+    assert.equal(csvCell("=HYPERLINK(\"http://evil\")"), "\"'=HYPERLINK(\"\"http://evil\"\")\"");
+    assert.equal(csvCell("+1 day"), "'+1 day");
+    assert.equal(csvCell("-feeling low"), "'-feeling low");
+    assert.equal(csvCell("@home"), "'@home");
+    assert.equal(csvCell("\tindented"), "'\tindented");
+    assert.equal(csvCell("a = b"), "a = b");
+});
+
+test("markdownReflection shows the time in the user's zone", () => {
+    const reflection = { createdAt: "2024-03-12T01:05:00.000Z", inputType: "text", transcript: "Slept badly", primaryEmotion: "tired" };
+
+    assert.match(markdownReflection(reflection), /^### 01:05 · ✍️ Text/);
+    assert.match(markdownReflection(reflection, "Asia/Kolkata"), /^### 06:35 · ✍️ Text/);
+    assert.match(markdownReflection(reflection, "America/New_York"), /^### 21:05 · ✍️ Text/);
+    assert.match(markdownReflection({ inputType: "voice" }), /^### 🎙️ Voice/);
+});
@@ -0,0 +1,144 @@
+import { test, beforeEach, mock } from "node:test";
+import assert from "node:assert/strict";
+
+// Encryption off: stored responses are plain JSON
+delete process.env.ENCRYPTION_MASTER_KEYS;
+const { idempotent, setIdempotencyStore, MemoryIdempotencyStore } = await import("../middleware/idempotency.js");
+
+// Keep the replay log lines out of the output: the Node 20 test runner
+// mis-frames its report messages around them in this file
+mock.method(console, "log", () => {});
+
+let store;
+
+beforeEach(() => {
+    store = new MemoryIdempotencyStore();
+    setIdempotencyStore(store);
+});
+
+function mockReq({ key, body = { textInput: "A quiet day" }, uid = "user-1" } = {}) {
+    const headers = key === undefined ? {} : { "idempotency-key": key };
+    return {
+        method: "POST",
+        baseUrl: "/api",
+        route: { path: "/analyze-daily" },
+        body,
+        user: { uid },
+        get: (name) => headers[name.toLowerCase()]
+    };
+}
+
+function mockRes() {
+    return {
+        statusCode: 200,
+        body: null,
+        headers: {},
+        status(code) { this.statusCode = code; return this; },
+        set(name, value) { this.headers[name] = value; return this; },
+        json(body) { this.body = body; return this; }
+    };
+}
+
+// Let the stored-response write that res.json starts settle
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+/**
+ * Run the middleware; `handler` plays the route and runs only if next() is called
+ */
+async function run(req, handler = (req, res) => res.status(200).json({ success: true, docId: "doc-1" })) {
+    const res = mockRes();
+    let handled = false;
+    await idempotent(req, res, () => {
+        handled = true;
+        handler(req, res);
+    });
+    await settle();
+    return { res, handled };
+}
+
+test("a request without a key passes straight through", async () => {
+    const { handled } = await run(mockReq());
+    assert.equal(handled, true);
+    assert.equal(store.records.size, 0);
+});
+
+test("a retry with the same key replays the stored response", async () => {
+    const first = await run(mockReq({ key: "k1" }));
+    assert.equal(first.handled, true);
+
+    let calls = 0;
+    const second = await run(mockReq({ key: "k1" }), () => { calls++; });
+
+    assert.equal(second.handled, false);
+    assert.equal(calls, 0);
+    assert.equal(second.res.statusCode, 200);
+    assert.deepEqual(second.res.body, { success: true, docId: "doc-1" });
+    assert.equal(second.res.headers["Idempotent-Replayed"], "true");
+});
+
+test("client errors are stored and replayed too", async () => {
+    await run(mockReq({ key: "k1" }), (req, res) => res.status(400).json({ success: false, error: "textInput is required" }));
+    const replay = await run(mockReq({ key: "k1" }));
+
+    assert.equal(replay.handled, false);
+    assert.equal(replay.res.statusCode, 400);
+});
+
+test("the same key with a different body is a 422", async () => {
+    await run(mockReq({ key: "k1" }));
+    const { res, handled } = await run(mockReq({ key: "k1", body: { textInput: "Something else" } }));
+
+    assert.equal(handled, false);
+    assert.equal(res.statusCode, 422);
+    assert.equal(res.body.success, false);
+});
+
+test("a duplicate while the first is still running is a 409", async () => {
+    // The first request's handler hasn't answered yet
+    const first = await run(mockReq({ key: "k1" }), () => {});
+    assert.equal(first.handled, true);
+
+    const duplicate = await run(mockReq({ key: "k1" }));
+    assert.equal(duplicate.handled, false);
+    assert.equal(duplicate.res.statusCode, 409);
+
+    // Once the first answers, retries get its response
+    first.res.status(201).json({ success: true, docId: "doc-1" });
+    await settle();
+    const retry = await run(mockReq({ key: "k1" }));
+    assert.equal(retry.res.statusCode, 201);
+    assert.deepEqual(retry.res.body, { success: true, docId: "doc-1" });
+});
+
+test("an abandoned in-progress claim can be taken over", async () => {
+    await run(mockReq({ key: "k1" }), () => {});
+    for (const record of store.records.values()) record.lockedUntil = Date.now() - 1;
+
+    const { handled } = await run(mockReq({ key: "k1" }));
+    assert.equal(handled, true);
+});
+
+test("server errors and rate limits release the key so the retry runs", async () => {
+    for (const status of [500, 429]) {
+        await run(mockReq({ key: `k-${status}` }), (req, res) => res.status(status).json({ success: false }));
+    }
+    assert.equal(store.records.size, 0);
+
+    for (const status of [500, 429]) {
+        const retry = await run(mockReq({ key: `k-${status}` }));
+        assert.equal(retry.handled, true);
+        assert.equal(retry.res.statusCode, 200);
+    }
+});
+
+test("keys are scoped to the user", async () => {
+    await run(mockReq({ key: "k1" }));
+    const other = await run(mockReq({ key: "k1", uid: "user-2", body: { textInput: "Different" } }));
+    assert.equal(other.handled, true);
+});
+
+test("an overlong key is a 400", async () => {
+    const { res, handled } = await run(mockReq({ key: "x".repeat(256) }));
+    assert.equal(handled, false);
+    assert.equal(res.statusCode, 400);
+});
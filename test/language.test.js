@@ -0,0 +1,54 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { detectLanguage, dominantLanguage, matchesPreference, isSupportedLanguage } from "../services/language.js";
+
+test("detectLanguage reads the writing system", () => {
+    assert.equal(detectLanguage("今日はとても疲れましたが、少し散歩をしました。").language, "ja");
+    assert.equal(detectLanguage("今天工作很累，但是晚上和朋友吃饭很开心。").language, "zh");
+    assert.equal(detectLanguage("오늘은 정말 피곤했지만 친구를 만나서 좋았어요.").language, "ko");
+    assert.equal(detectLanguage("आज मैं बहुत थका हुआ था लेकिन शाम अच्छी रही।").language, "hi");
+    assert.equal(detectLanguage("Сегодня я очень устал, но вечер был хорошим.").language, "ru");
+});
+
+test("detectLanguage scores Latin-script text on function words", () => {
+    assert.equal(detectLanguage("I felt tired today but the walk with my sister was nice").language, "en");
+    assert.equal(detectLanguage("Hoy me siento muy cansada pero la cena con mi hermana fue bonita").language, "es");
+    assert.equal(detectLanguage("Je suis très fatigué mais la soirée avec ma sœur était belle").language, "fr");
+    assert.equal(detectLanguage("Ich bin heute sehr müde, aber der Abend mit meiner Schwester war schön").language, "de");
+
+    const { confidence } = detectLanguage("I felt tired today but the walk with my sister was nice");
+    assert.ok(confidence > 0.5 && confidence <= 1);
+});
+
+test("detectLanguage is undetermined for short or unclear text", () => {
+    for (const text of ["", null, undefined, "ok", "Tired.", "12345 67890 !!!", "😊😊😊😊😊😊😊😊😊😊😊😊😊"]) {
+        assert.deepEqual(detectLanguage(text), { language: "und", confidence: 0 }, String(text));
+    }
+    // Long enough, but no known function words
+    assert.equal(detectLanguage("Xylophone zebra quokka jazz").language, "und");
+});
+
+test("detectLanguage goes by the main script of mixed-script text", () => {
+    // Mostly Japanese with an English word or two
+    assert.equal(detectLanguage("今日は meeting がありました。とても疲れた。").language, "ja");
+    // Mostly English with a borrowed word
+    assert.equal(detectLanguage("I was thinking about 侘寂 today and felt calm with my tea").language, "en");
+    // Hindi written with English mixed in stays Hindi
+    assert.equal(detectLanguage("आज office में बहुत काम था और मैं थक गया").language, "hi");
+});
+
+test("dominantLanguage picks the most common supported code", () => {
+    assert.equal(dominantLanguage(["es", "en", "es", "und"]), "es");
+    assert.equal(dominantLanguage(["und", "xx", null]), "en");
+    assert.equal(dominantLanguage([]), "en");
+    assert.equal(isSupportedLanguage("und"), false);
+});
+
+test("matchesPreference reuses reports in the preferred language only", () => {
+    assert.equal(matchesPreference("es", null), true);
+    assert.equal(matchesPreference("es", "es"), true);
+    assert.equal(matchesPreference("en", "es"), false);
+    // Reports from before languages were tracked are English
+    assert.equal(matchesPreference(undefined, "en"), true);
+    assert.equal(matchesPreference(undefined, "fr"), false);
+});
@@ -0,0 +1,18 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { withTimeout } from "../services/llm/index.js";
+
+test("withTimeout resolves with the call's result and clears its timer", async () => {
+    const result = await withTimeout(Promise.resolve({ success: true }), 60000);
+    assert.deepEqual(result, { success: true });
+    // A leaked 60s timer would hold the test run open
+});
+
+test("withTimeout rejects once the time is up", async () => {
+    const never = new Promise(() => {});
+    await assert.rejects(withTimeout(never, 10, "Gemini timeout"), { message: "Gemini timeout" });
+});
+
+test("withTimeout passes the call's own rejection through", async () => {
+    await assert.rejects(withTimeout(Promise.reject(new Error("quota")), 60000), { message: "quota" });
+});
@@ -0,0 +1,110 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { computeMoodStats, resolveWindow, countBy, topKeys, toMillis, MAX_WINDOW_DAYS } from "../services/moodStats.js";
+
+const reflection = (overrides) => ({
+    date: "2024-03-12",
+    createdAt: "2024-03-12T09:00:00Z",
+    inputType: "text",
+    primaryEmotion: "calm",
+    secondaryEmotion: "hopeful",
+    theme: "self",
+    emotionalIntensity: "low",
+    ...overrides
+});
+
+test("computeMoodStats over an empty range", () => {
+    const stats = computeMoodStats([]);
+
+    assert.equal(stats.totalReflections, 0);
+    assert.equal(stats.analyzedReflections, 0);
+    assert.equal(stats.activeDays, 0);
+    assert.deepEqual(stats.emotions, { primary: [], secondary: [] });
+    assert.deepEqual(stats.themes, []);
+    assert.deepEqual(stats.intensity.distribution, { low: 0, medium: 0, high: 0 });
+    assert.deepEqual(stats.intensity.overTime, []);
+    assert.ok(Object.values(stats.dayOfWeek).every(count => count === 0));
+    assert.deepEqual(stats.timeOfDay, { morning: 0, afternoon: 0, evening: 0, night: 0 });
+    assert.deepEqual(stats.inputTypes, { voice: 0, text: 0, voiceRatio: null });
+});
+
+test("computeMoodStats over a single day", () => {
+    const stats = computeMoodStats([
+        reflection({ emotionalIntensity: "low" }),
+        reflection({ createdAt: "2024-03-12T15:00:00Z", inputType: "voice", primaryEmotion: "anxious", theme: "work", emotionalIntensity: "high" }),
+        reflection({ createdAt: "2024-03-12T19:00:00Z", emotionalIntensity: "medium" })
+    ]);
+
+    assert.equal(stats.totalReflections, 3);
+    assert.equal(stats.activeDays, 1);
+    assert.deepEqual(stats.emotions.primary, [
+        { label: "calm", count: 2, share: 0.667 },
+        { label: "anxious", count: 1, share: 0.333 }
+    ]);
+    assert.deepEqual(stats.themes.map(t => t.label), ["self", "work"]);
+    assert.deepEqual(stats.intensity.overTime, [
+        { period: "2024-03-12", low: 1, medium: 1, high: 1, total: 3, averageIntensity: 2 }
+    ]);
+    assert.equal(stats.dayOfWeek.tuesday, 3);
+    assert.deepEqual(stats.timeOfDay, { morning: 1, afternoon: 1, evening: 1, night: 0 });
+    assert.deepEqual(stats.inputTypes, { voice: 1, text: 2, voiceRatio: 0.333 });
+});
+
+test("computeMoodStats reads time of day in the user's timezone", () => {
+    // 01:00 UTC is 06:30 in Kolkata and 21:00 the previous evening in New York (EDT)
+    const reflections = [reflection({ createdAt: "2024-03-12T01:00:00Z" })];
+
+    assert.equal(computeMoodStats(reflections, { timezone: "UTC" }).timeOfDay.night, 1);
+    assert.equal(computeMoodStats(reflections, { timezone: "Asia/Kolkata" }).timeOfDay.morning, 1);
+    assert.equal(computeMoodStats(reflections, { timezone: "America/New_York" }).timeOfDay.evening, 1);
+});
+
+test("computeMoodStats splits weeks at the Sunday/Monday boundary", () => {
+    const stats = computeMoodStats([
+        reflection({ date: "2024-03-10", emotionalIntensity: "high" }),   // Sunday
+        reflection({ date: "2024-03-11", emotionalIntensity: "low" }),    // Monday
+        reflection({ date: "2024-03-17", emotionalIntensity: "medium" })  // Sunday
+    ], { bucket: "week" });
+
+    assert.deepEqual(stats.intensity.overTime.map(({ period, total, averageIntensity }) => ({ period, total, averageIntensity })), [
+        { period: "2024-03-04", total: 1, averageIntensity: 3 },
+        { period: "2024-03-11", total: 2, averageIntensity: 1.5 }
+    ]);
+    assert.equal(stats.dayOfWeek.sunday, 2);
+    assert.equal(stats.dayOfWeek.monday, 1);
+});
+
+test("computeMoodStats skips unlabelled reflections in intensity buckets", () => {
+    const stats = computeMoodStats([reflection({ emotionalIntensity: undefined, primaryEmotion: undefined })]);
+
+    assert.equal(stats.totalReflections, 1);
+    assert.equal(stats.analyzedReflections, 0);
+    assert.deepEqual(stats.intensity.overTime, []);
+    assert.deepEqual(stats.emotions.primary, []);
+});
+
+test("resolveWindow defaults to the last 30 days", () => {
+    const now = new Date("2024-03-31T00:00:00Z");
+    const { from, to } = resolveWindow({}, now);
+
+    assert.equal(to, now);
+    assert.equal(from.toISOString(), "2024-03-01T00:00:00.000Z");
+});
+
+test("resolveWindow accepts an empty range and rejects inverted or oversized ones", () => {
+    const day = new Date("2024-03-12T00:00:00Z");
+
+    assert.deepEqual(resolveWindow({ from: day, to: day }), { from: day, to: day });
+    assert.ok(resolveWindow({ from: new Date("2024-03-13"), to: day }).error);
+    assert.ok(resolveWindow({ days: String(MAX_WINDOW_DAYS + 1) }).error);
+});
+
+test("countBy, topKeys and toMillis", () => {
+    const counts = countBy(["calm", "joy", null, "calm", "anxious", "joy"]);
+
+    assert.deepEqual(counts, { calm: 2, joy: 2, anxious: 1 });
+    assert.deepEqual(topKeys(counts, 2), ["calm", "joy"]);
+    assert.equal(toMillis(null), 0);
+    assert.equal(toMillis("2024-03-12T00:00:00Z"), Date.UTC(2024, 2, 12));
+    assert.equal(toMillis({ toMillis: () => 42 }), 42);
+});
@@ -0,0 +1,98 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createOfflineProvider, analyzeTranscriptOffline } from "../services/llm/offlineProvider.js";
+import { validateAnalysis } from "../services/analysisSchemas.js";
+
+const provider = createOfflineProvider();
+
+/**
+ * Run an operation through the provider, as the LLM layer does, and
+ * check the output against that operation's schema unchanged
+ */
+async function generateValid(operation, input) {
+    const { text } = await provider.generate({ operation, input });
+    const parsed = JSON.parse(text);
+    const result = validateAnalysis(operation, parsed);
+
+    assert.deepEqual(result.errors, [], `${operation}: ${JSON.stringify(parsed)}`);
+    assert.deepEqual(result.data, parsed, `${operation} output is already normalized`);
+    return parsed;
+}
+
+const TRANSCRIPTS = [
+    "",
+    "Nothing much happened.",
+    "I was so happy and grateful today! Dinner with my family was wonderful.",
+    "Really stressed about the deadline, my boss keeps adding to the project and I feel overwhelmed",
+    "Tired and drained after the gym, but proud I finished the course.",
+    "Calm, quiet evening. Read a book.",
+    "Angry. It was unfair. I hate how the meeting went!!!"
+];
+
+const REFLECTIONS = [
+    { primaryEmotion: "joy", theme: "relationships", emotionalIntensity: "high" },
+    { primaryEmotion: "anxiety", theme: "work", emotionalIntensity: "medium" },
+    { primaryEmotion: "anxiety", theme: "work", emotionalIntensity: "high" },
+    { primaryEmotion: "self-doubt", theme: "growth", emotionalIntensity: "low" }
+];
+
+test("text and voice analyses pass the daily schema", async () => {
+    for (const transcript of TRANSCRIPTS) {
+        await generateValid("text-analysis", { transcript });
+        await generateValid("voice-analysis", { transcript });
+    }
+});
+
+test("transcript analysis picks labels from the words used", () => {
+    const result = analyzeTranscriptOffline(TRANSCRIPTS[3]);
+    assert.equal(result.primaryEmotion, "anxiety");
+    assert.equal(result.theme, "work");
+
+    assert.deepEqual(analyzeTranscriptOffline(""), {
+        dailyInsight: analyzeTranscriptOffline("Nothing much happened.").dailyInsight,
+        primaryEmotion: "neutral",
+        secondaryEmotion: "calm",
+        emotionalIntensity: "low",
+        theme: "self"
+    });
+});
+
+test("day analysis passes the day schema", async () => {
+    await generateValid("day-analysis", { entries: [] });
+    await generateValid("day-analysis", { entries: REFLECTIONS });
+    await generateValid("day-analysis", { entries: [{ theme: "work" }] });
+});
+
+test("weekly analysis passes the weekly schema", async () => {
+    const empty = await generateValid("weekly-analysis", { reflections: [] });
+    assert.deepEqual(empty.dominantEmotions, ["neutral"]);
+    assert.deepEqual(empty.dominantThemes, ["self"]);
+
+    const week = await generateValid("weekly-analysis", { reflections: REFLECTIONS });
+    assert.deepEqual(week.dominantEmotions, ["anxiety", "joy"]);
+    assert.deepEqual(week.dominantThemes, ["work", "growth"]);
+});
+
+test("monthly and yearly retrospectives pass the retrospective schema", async () => {
+    const chunks = [
+        { key: "2024-W10", reflectionCount: 3, emotionCounts: { joy: 2, calm: 1 }, themeCounts: { work: 3 } },
+        { key: "2024-W11", reflectionCount: 2, emotionCounts: { anxiety: 2 }, themeCounts: { health: 2 } },
+        { key: "2024-W12", reflectionCount: 0 }
+    ];
+
+    const month = await generateValid("monthly-analysis", { periodType: "month", chunks });
+    assert.equal(month.themeShifts.length, 1);
+    assert.equal(month.turningPoints.length, 1);
+
+    await generateValid("yearly-analysis", { periodType: "year", chunks: [] });
+});
+
+test("safety check passes the safety schema", async () => {
+    await generateValid("safety-check", { transcript: "A quiet day at home." });
+    await generateValid("safety-check", { transcript: "" });
+});
+
+test("unsupported operations and audio are refused", async () => {
+    await assert.rejects(provider.generate({ operation: "voice-transcription", input: {} }), /no rules/);
+    await assert.rejects(provider.generate({ operation: "text-analysis", parts: [{}] }), /multimodal/);
+});
@@ -0,0 +1,28 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseDateBound, parsePageSize, decodeCursor } from "../services/pagination.js";
+
+test("parseDateBound covers the whole day in the given zone", () => {
+    assert.equal(parseDateBound("2024-03-12").toISOString(), "2024-03-12T00:00:00.000Z");
+    assert.equal(parseDateBound("2024-03-12", { endOfDay: true }).toISOString(), "2024-03-12T23:59:59.999Z");
+    assert.equal(parseDateBound("2024-03-12", { timezone: "Asia/Kolkata" }).toISOString(), "2024-03-11T18:30:00.000Z");
+    assert.equal(parseDateBound("2024-03-12T09:30:00Z").toISOString(), "2024-03-12T09:30:00.000Z");
+});
+
+test("parseDateBound returns undefined when absent and null when invalid", () => {
+    assert.equal(parseDateBound(undefined), undefined);
+    assert.equal(parseDateBound(""), undefined);
+
+    for (const value of ["2026-02-30", "2025-02-29", "2024-13-01", "2024-00-10", "yesterday", ["2024-03-12", "2024-03-13"], ["2024-03-12"]]) {
+        assert.equal(parseDateBound(value), null, String(value));
+    }
+    assert.ok(parseDateBound("2024-02-29"));
+});
+
+test("parsePageSize clamps and decodeCursor rejects junk", () => {
+    assert.equal(parsePageSize("500"), 100);
+    assert.equal(parsePageSize("0"), 30);
+    assert.equal(parsePageSize(undefined, 10), 10);
+    assert.equal(decodeCursor("not-a-cursor"), null);
+    assert.deepEqual(decodeCursor(Buffer.from(JSON.stringify({ id: "a", t: 0 })).toString("base64url")), { id: "a", createdAt: new Date(0) });
+});
@@ -0,0 +1,101 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { applyReflection, describeProgress } from "../services/progress.js";
+
+const NOW = Date.UTC(2024, 2, 20);
+
+// Apply reflections in order, collecting every milestone awarded on the way
+function replay(dates, start) {
+    let progress = start;
+    const awarded = [];
+    for (const date of dates) {
+        const result = applyReflection(progress, date, NOW);
+        progress = result.progress;
+        awarded.push(...result.newMilestones.map(m => m.id));
+    }
+    return { progress, awarded };
+}
+
+test("consecutive days extend the streak and a gap restarts it", () => {
+    const { progress } = replay(["2024-03-11", "2024-03-12", "2024-03-13", "2024-03-15", "2024-03-16"]);
+
+    assert.equal(progress.totalReflections, 5);
+    assert.equal(progress.currentStreak, 2);
+    assert.equal(progress.longestStreak, 3);
+    assert.equal(progress.lastReflectionDate, "2024-03-16");
+});
+
+test("a second entry the same day or a backdated one counts but keeps the streak", () => {
+    const { progress } = replay(["2024-03-11", "2024-03-12", "2024-03-12", "2024-03-05"]);
+
+    assert.equal(progress.totalReflections, 4);
+    assert.equal(progress.currentStreak, 2);
+    assert.equal(progress.lastReflectionDate, "2024-03-12");
+});
+
+test("the streak rolls over month and year ends", () => {
+    assert.equal(replay(["2024-02-28", "2024-02-29", "2024-03-01"]).progress.currentStreak, 3);
+    assert.equal(replay(["2023-12-31", "2024-01-01"]).progress.currentStreak, 2);
+});
+
+test("the weekly goal is credited once per week", () => {
+    const start = { goal: { reflectionsPerWeek: 2 } };
+    const { progress } = replay(["2024-03-11", "2024-03-12", "2024-03-13", "2024-03-14"], start);
+
+    assert.equal(progress.goalWeek, "2024-W11");
+    assert.equal(progress.goalWeekCount, 4);
+    assert.equal(progress.weeksGoalMet, 1);
+    assert.equal(progress.goalStreak, 1);
+});
+
+test("consecutive goal weeks build a goal streak and a missed week resets it", () => {
+    const start = { goal: { reflectionsPerWeek: 1 } };
+    const { progress } = replay(["2024-03-04", "2024-03-11", "2024-03-18", "2024-04-01"], start);
+
+    assert.equal(progress.weeksGoalMet, 4);
+    assert.equal(progress.longestGoalStreak, 3);
+    assert.equal(progress.goalStreak, 1);
+});
+
+test("lowering the goal below this week's count credits the next entry", () => {
+    let { progress } = replay(["2024-03-11", "2024-03-12", "2024-03-13"], { goal: { reflectionsPerWeek: 5 } });
+    assert.equal(progress.weeksGoalMet, 0);
+
+    progress = { ...progress, goal: { reflectionsPerWeek: 2 } };
+    ({ progress } = replay(["2024-03-14", "2024-03-15"], progress));
+
+    assert.equal(progress.weeksGoalMet, 1);
+    assert.equal(progress.lastGoalMetWeek, "2024-W11");
+});
+
+test("milestones are awarded once, when first reached", () => {
+    const first = applyReflection(undefined, "2024-03-11", NOW);
+    assert.deepEqual(first.newMilestones, [{ id: "first-reflection", title: "First reflection", awardedAt: NOW }]);
+
+    const { progress, awarded } = replay(["2024-03-12", "2024-03-13", "2024-03-13"], first.progress);
+    // The fourth entry also meets the default goal of four a week
+    assert.deepEqual(awarded, ["streak-3", "goal-met"]);
+    assert.deepEqual(progress.milestones.map(m => m.id), ["first-reflection", "streak-3", "goal-met"]);
+
+    const tenth = replay(Array(6).fill("2024-03-13"), progress);
+    assert.deepEqual(tenth.awarded, ["reflections-10"]);
+});
+
+test("describeProgress breaks the streak after a full day without a reflection", () => {
+    const { progress } = replay(["2024-03-11", "2024-03-12"]);
+
+    assert.equal(describeProgress(progress, "2024-03-12").reflectedToday, true);
+    assert.equal(describeProgress(progress, "2024-03-13").currentStreak, 2);
+    assert.equal(describeProgress(progress, "2024-03-14").currentStreak, 0);
+    assert.equal(describeProgress(progress, "2024-03-14").longestStreak, 2);
+});
+
+test("describeProgress counts the goal for the current week only", () => {
+    const { progress } = replay(["2024-03-11", "2024-03-12"], { goal: { reflectionsPerWeek: 3 } });
+
+    assert.deepEqual(describeProgress(progress, "2024-03-13").goal, {
+        reflectionsPerWeek: 3, week: "2024-W11", count: 2, remaining: 1, met: false
+    });
+    assert.equal(describeProgress(progress, "2024-03-18").goal.count, 0);
+    assert.equal(describeProgress(undefined, "2024-03-18").totalReflections, 0);
+});
@@ -0,0 +1,190 @@
+import { test, beforeEach, mock } from "node:test";
+import assert from "node:assert/strict";
+
+process.env.RATE_LIMIT_PER_USER = "3";
+process.env.RATE_LIMIT_PER_IP = "5";
+process.env.LLM_DAILY_QUOTA_FREE = "2";
+process.env.LLM_DAILY_QUOTA_PLUS = "4";
+delete process.env.ENCRYPTION_MASTER_KEYS;
+
+const { consume, dailyQuotaFor, MemoryLimitStore, setLimitStore, RATE_LIMITS } = await import("../services/rateLimiter.js");
+const { rateLimit, dailyQuota } = await import("../middleware/rateLimit.js");
+const { idempotent, setIdempotencyStore, MemoryIdempotencyStore } = await import("../middleware/idempotency.js");
+
+// Keep the replay log lines out of the output (see idempotency.test.js)
+mock.method(console, "log", () => {});
+
+const WINDOW_START = Date.UTC(2024, 2, 12, 9, 0, 0);
+
+let idempotencyStore;
+
+beforeEach(() => {
+    setLimitStore(new MemoryLimitStore());
+    idempotencyStore = new MemoryIdempotencyStore();
+    setIdempotencyStore(idempotencyStore);
+});
+
+function mockReq({ uid = "user-1", ip = "10.0.0.1", key } = {}) {
+    const headers = key === undefined ? {} : { "idempotency-key": key };
+    return {
+        method: "POST",
+        baseUrl: "/api",
+        route: { path: "/save-transcript" },
+        body: { transcript: "A quiet day" },
+        ip,
+        user: { uid },
+        get: (name) => headers[name.toLowerCase()]
+    };
+}
+
+function mockRes() {
+    return {
+        statusCode: 200,
+        body: null,
+        headers: {},
+        status(code) { this.statusCode = code; return this; },
+        set(name, value) { this.headers[name] = value; return this; },
+        json(body) { this.body = body; return this; }
+    };
+}
+
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+/**
+ * Run middlewares in order like Express, then the handler
+ * Returns the response and whether the handler ran
+ */
+async function run(middlewares, req) {
+    const res = mockRes();
+    let handled = false;
+    const step = async (i) => {
+        if (i === middlewares.length) {
+            handled = true;
+            res.status(201).json({ success: true });
+            return;
+        }
+        await middlewares[i](req, res, () => step(i + 1));
+    };
+    await step(0);
+    await settle();
+    return { res, handled };
+}
+
+test("consume counts requests in a fixed window", async () => {
+    const results = [];
+    for (let i = 0; i < 4; i++) results.push(await consume("user:u1", 3, WINDOW_START + i * 1000));
+
+    assert.deepEqual(results.map(r => [r.allowed, r.remaining]), [[true, 2], [true, 1], [true, 0], [false, 0]]);
+    assert.equal(results[3].retryAfter, 57);
+});
+
+test("a new window starts a fresh count", async () => {
+    for (let i = 0; i < 4; i++) await consume("user:u1", 3, WINDOW_START);
+
+    const next = await consume("user:u1", 3, WINDOW_START + 60 * 1000);
+    assert.equal(next.allowed, true);
+    assert.equal(next.remaining, 2);
+});
+
+test("keys are counted separately", async () => {
+    for (let i = 0; i < 3; i++) await consume("user:u1", 3, WINDOW_START);
+    assert.equal((await consume("user:u2", 3, WINDOW_START)).allowed, true);
+});
+
+test("rateLimit allows the per-user limit, then 429 with Retry-After", async () => {
+    assert.equal(RATE_LIMITS.user, 3);
+    for (let i = 0; i < 3; i++) {
+        const { res, handled } = await run([rateLimit], mockReq());
+        assert.equal(handled, true);
+        assert.equal(res.headers["X-RateLimit-Remaining"], String(2 - i));
+    }
+
+    const { res, handled } = await run([rateLimit], mockReq());
+    assert.equal(handled, false);
+    assert.equal(res.statusCode, 429);
+    assert.ok(Number(res.headers["Retry-After"]) >= 1);
+    assert.equal(res.body.retryAfter, Number(res.headers["Retry-After"]));
+});
+
+test("rateLimit applies the per-IP limit across users", async () => {
+    for (let i = 0; i < 5; i++) {
+        assert.equal((await run([rateLimit], mockReq({ uid: `user-${i}` }))).handled, true);
+    }
+    const { res } = await run([rateLimit], mockReq({ uid: "user-9" }));
+    assert.equal(res.statusCode, 429);
+});
+
+test("dailyQuotaFor applies the tier's quota", () => {
+    const now = new Date("2024-03-12T09:00:00Z");
+    const usage = (count) => ({ apiUsage: { byDate: { "2024-03-12": count } } });
+
+    assert.deepEqual(
+        [dailyQuotaFor(usage(1), now), dailyQuotaFor(usage(2), now)].map(q => [q.tier, q.quota, q.used, q.allowed]),
+        [["free", 2, 1, true], ["free", 2, 2, false]]
+    );
+    assert.equal(dailyQuotaFor({ tier: "plus", ...usage(3) }, now).allowed, true);
+    assert.equal(dailyQuotaFor({ tier: "plus", ...usage(4) }, now).allowed, false);
+    assert.equal(dailyQuotaFor({ tier: "unlimited", ...usage(10000) }, now).allowed, true);
+    // Unknown tiers fall back to free
+    assert.equal(dailyQuotaFor({ tier: "gold", ...usage(2) }, now).tier, "free");
+    assert.equal(dailyQuotaFor(undefined, now).used, 0);
+});
+
+test("the daily quota resets at UTC midnight", () => {
+    const data = { apiUsage: { byDate: { "2024-03-12": 2 } } };
+
+    const late = dailyQuotaFor(data, new Date("2024-03-12T23:59:30Z"));
+    assert.equal(late.allowed, false);
+    assert.equal(late.retryAfter, 30);
+
+    const nextDay = dailyQuotaFor(data, new Date("2024-03-13T00:00:00Z"));
+    assert.equal(nextDay.allowed, true);
+    assert.equal(nextDay.used, 0);
+});
+
+test("an idempotent replay is answered before the limiters and costs nothing", async () => {
+    const chain = [idempotent, rateLimit];
+    assert.equal((await run(chain, mockReq({ key: "k1" }))).handled, true);
+
+    // Retries of the same request never count against the limit...
+    for (let i = 0; i < 5; i++) {
+        const { res, handled } = await run(chain, mockReq({ key: "k1" }));
+        assert.equal(handled, false);
+        assert.equal(res.statusCode, 201);
+        assert.equal(res.headers["Idempotent-Replayed"], "true");
+    }
+
+    // ...so the user still has two of three requests left
+    assert.equal((await run(chain, mockReq({ key: "k2" }))).res.headers["X-RateLimit-Remaining"], "1");
+});
+
+test("a 429 is never stored, so the retry runs once the window allows", async () => {
+    const chain = [idempotent, rateLimit];
+    for (let i = 0; i < 3; i++) await run([rateLimit], mockReq());
+
+    const limited = await run(chain, mockReq({ key: "k1" }));
+    assert.equal(limited.res.statusCode, 429);
+    assert.equal(idempotencyStore.records.size, 0);
+
+    setLimitStore(new MemoryLimitStore()); // the window has passed
+    const retry = await run(chain, mockReq({ key: "k1" }));
+    assert.equal(retry.handled, true);
+    assert.equal(retry.res.headers["Idempotent-Replayed"], undefined);
+});
+
+test("every route runs idempotent before the limiters", async () => {
+    const { default: router } = await import("../routes/analysis.js");
+    let checked = 0;
+
+    for (const { route } of router.stack.filter(layer => layer.route)) {
+        const handles = route.stack.map(layer => layer.handle);
+        const at = (fn) => handles.indexOf(fn);
+
+        if (at(idempotent) === -1) continue;
+        checked++;
+        for (const limiter of [rateLimit, dailyQuota]) {
+            if (at(limiter) !== -1) assert.ok(at(idempotent) < at(limiter), `${route.path}`);
+        }
+    }
+    assert.ok(checked >= 2);
+});
@@ -0,0 +1,93 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { readFile } from "fs/promises";
+import { createRedactor } from "../services/redaction.js";
+
+const corpus = JSON.parse(await readFile(new URL("./fixtures/redaction.json", import.meta.url), "utf8"));
+
+const PLACEHOLDER = /\[(PERSON|EMAIL|PHONE|CARD|ADDRESS)_\d+\]/g;
+
+test("redacts every personal value in the positive cases and restores them", () => {
+    for (const { text, values, types } of corpus.positive) {
+        const redactor = createRedactor();
+        const redacted = redactor.redact(text);
+
+        for (const value of values) {
+            assert.ok(!redacted.includes(value), `"${value}" left in: ${redacted}`);
+        }
+        const found = new Set([...redacted.matchAll(PLACEHOLDER)].map(m => m[1]));
+        assert.deepEqual([...found].sort(), [...types].sort(), redacted);
+        assert.equal(redactor.restore(redacted), text);
+    }
+});
+
+test("leaves the negative cases untouched", () => {
+    for (const text of corpus.negative) {
+        const redactor = createRedactor();
+        assert.equal(redactor.redact(text), text);
+        assert.equal(redactor.count, 0, text);
+    }
+});
+
+test("restore gives back placeholders the user typed literally", () => {
+    for (const text of corpus.literal) {
+        const redactor = createRedactor();
+        const redacted = redactor.redact(text);
+        assert.equal(redactor.restore(redacted), text);
+    }
+
+    const redactor = createRedactor();
+    const redacted = redactor.redact(corpus.literal[0]);
+    assert.ok(!redacted.includes("Aisha"));
+    // The model echoing the user's literal must not turn into Aisha
+    assert.equal(redactor.restore("You mentioned [PERSON_1]."), "You mentioned [PERSON_1].");
+});
+
+test("placeholders are stable across texts and restore works on nested output", () => {
+    const redactor = createRedactor();
+    const first = redactor.redact("Dinner with Priya, then a call from Sam's mum.");
+    const second = redactor.redact("Priya texted later. Email her at priya@example.com");
+
+    const priya = first.match(/\[PERSON_\d+\]/)[0];
+    assert.ok(second.startsWith(`${priya} texted later`), second);
+
+    const output = {
+        dailyInsight: `Time with ${priya} seemed to matter.`,
+        themes: [`${priya}`, "work"],
+        nested: { note: "[EMAIL_1]", score: 3 }
+    };
+    assert.deepEqual(redactor.restore(output), {
+        dailyInsight: "Time with Priya seemed to matter.",
+        themes: ["Priya", "work"],
+        nested: { note: "priya@example.com", score: 3 }
+    });
+    // Placeholders this redactor never issued are left alone
+    assert.equal(redactor.restore("[PERSON_9] and [CARD_1]"), "[PERSON_9] and [CARD_1]");
+});
+
+test("redactFields only redacts the named string fields", () => {
+    const redactor = createRedactor();
+    const list = [
+        { time: "09:00", dailyInsight: "Walked with Priya.", primaryEmotion: "calm" },
+        { time: "21:00", dailyInsight: null, primaryEmotion: "tired" }
+    ];
+
+    const redacted = redactor.redactFields(list, ["dailyInsight", "time"]);
+
+    assert.equal(redacted[0].dailyInsight, "Walked with [PERSON_1].");
+    assert.equal(redacted[0].time, "09:00");
+    assert.equal(redacted[0].primaryEmotion, "calm");
+    assert.equal(redacted[1].dailyInsight, null);
+    assert.notEqual(redacted[0], list[0], "items are copied");
+    assert.equal(list[0].dailyInsight, "Walked with Priya.", "input is not modified");
+});
+
+test("a disabled redactor passes everything through", () => {
+    const redactor = createRedactor({ enabled: false });
+    const text = corpus.positive[0].text;
+
+    assert.equal(redactor.redact(text), text);
+    assert.deepEqual(redactor.redactFields([{ dailyInsight: text }], ["dailyInsight"]), [{ dailyInsight: text }]);
+    assert.equal(redactor.restore("[PERSON_1]"), "[PERSON_1]");
+    assert.equal(redactor.count, 0);
+});
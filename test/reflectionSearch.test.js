@@ -0,0 +1,30 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseSearchFilters } from "../services/reflectionSearch.js";
+
+test("parseSearchFilters normalizes labels and terms", () => {
+    const { filters, error } = parseSearchFilters({ q: "Long walk, long talk", primaryEmotion: " Calm ", theme: "Work-related", emotionalIntensity: "Moderate", inputType: "voice" });
+
+    assert.equal(error, undefined);
+    assert.equal(filters.primaryEmotion, "calm");
+    assert.equal(filters.theme, "work");
+    assert.equal(filters.emotionalIntensity, "medium");
+    assert.equal(filters.inputType, "voice");
+    assert.ok(filters.terms.length > 0);
+    assert.equal(new Set(filters.terms).size, filters.terms.length);
+});
+
+test("parseSearchFilters rejects repeated params instead of throwing", () => {
+    for (const name of ["q", "primaryEmotion", "secondaryEmotion", "theme", "emotionalIntensity", "inputType"]) {
+        const result = parseSearchFilters({ [name]: ["a", "b"] });
+        assert.match(result.error, new RegExp(`^${name} must be given once`));
+    }
+    assert.ok(parseSearchFilters({ theme: { nested: "work" } }).error);
+});
+
+test("parseSearchFilters rejects unknown values", () => {
+    assert.equal(parseSearchFilters({ theme: "astrology" }).error, "Unknown theme");
+    assert.ok(parseSearchFilters({ emotionalIntensity: "purple" }).error);
+    assert.ok(parseSearchFilters({ inputType: "video" }).error);
+    assert.deepEqual(parseSearchFilters({}).filters.terms, []);
+});
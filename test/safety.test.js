@@ -0,0 +1,101 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { detectCrisisLanguage, combineSafetySignals, countryFor, safetyInsight } from "../services/safety.js";
+import { SUPPORTED_LANGUAGES } from "../services/language.js";
+
+const TRUE_POSITIVES = [
+    ["I want to die.", "want-to-die"],
+    ["Honestly I just want to die and be done with it", "want-to-die"],
+    ["i wanna die", "want-to-die"],
+    ["I'm ready to die", "want-to-die"],
+    ["Some days I think about how I could kill myself", "kill-myself"],
+    ["I've been thinking about ending my life", "end-my-life"],
+    ["I'm thinking about taking an overdose tonight", "overdose"],
+    ["I took an overdose last year and I feel close to it again", "overdose"],
+    ["I started cutting myself again", "self-harm"],
+    ["Everyone would be better off without me", "better-off-dead"]
+];
+
+const BENIGN_IDIOMS = [
+    "I'm going to die if this meeting runs long again",
+    "I want to die of embarrassment after that presentation",
+    "We're all going to die someday, so I booked the trip",
+    "Ready to die laughing at this show",
+    "My cat overdosed on treats and is sleeping it off",
+    "The plants are going to die if I forget to water them",
+    "This commute is killing me"
+];
+
+test("explicit first-person statements are high", () => {
+    for (const [text, ruleId] of TRUE_POSITIVES) {
+        const result = detectCrisisLanguage(text);
+        assert.equal(result.level, "high", text);
+        assert.ok(result.ruleIds.includes(ruleId), `${text} -> ${result.ruleIds}`);
+    }
+});
+
+test("benign idioms are never high", () => {
+    for (const text of BENIGN_IDIOMS) {
+        assert.notEqual(detectCrisisLanguage(text).level, "high", text);
+    }
+});
+
+test("a third-party overdose is only a moderate mention", () => {
+    const result = detectCrisisLanguage("My cat overdosed on treats");
+    assert.equal(result.level, "moderate");
+    assert.deepEqual(result.ruleIds, ["overdose-mention"]);
+});
+
+test("softer language is moderate and ordinary text is none", () => {
+    assert.equal(detectCrisisLanguage("I can't go on like this").level, "moderate");
+    assert.equal(detectCrisisLanguage("I feel like such a burden to them").level, "moderate");
+    assert.equal(detectCrisisLanguage("Had a long walk and a good talk with my sister").level, "none");
+    assert.equal(detectCrisisLanguage("").level, "none");
+});
+
+test("a high pattern always flags, lowered to moderate when the LLM finds nothing concerning", () => {
+    const high = { level: "high" };
+
+    assert.deepEqual(combineSafetySignals(high, "high"), { flagged: true, level: "high", source: "both" });
+    assert.deepEqual(combineSafetySignals(high, "low"), { flagged: true, level: "high", source: "pattern" });
+    assert.deepEqual(combineSafetySignals(high, null), { flagged: true, level: "high", source: "pattern" });
+    assert.deepEqual(combineSafetySignals(high, "none"), { flagged: true, level: "moderate", source: "pattern" });
+    assert.equal(combineSafetySignals(high, "none").flagged, true);
+    assert.deepEqual(combineSafetySignals(high, "moderate"), { flagged: true, level: "high", source: "pattern" });
+});
+
+test("a moderate pattern needs the LLM to agree, or no LLM verdict", () => {
+    const moderate = { level: "moderate" };
+
+    assert.deepEqual(combineSafetySignals(moderate, null), { flagged: true, level: "moderate", source: "pattern" });
+    assert.deepEqual(combineSafetySignals(moderate, "moderate"), { flagged: true, level: "moderate", source: "both" });
+    assert.equal(combineSafetySignals(moderate, "low").flagged, false);
+    assert.equal(combineSafetySignals(moderate, "none").flagged, false);
+});
+
+test("the LLM alone can flag", () => {
+    assert.deepEqual(combineSafetySignals({ level: "none" }, "high"), { flagged: true, level: "high", source: "llm" });
+    assert.equal(combineSafetySignals({ level: "none" }, null).flagged, false);
+});
+
+test("countryFor prefers the stored country over the time zone", () => {
+    assert.equal(countryFor({ country: "gb", timezone: "Asia/Kolkata" }), "GB");
+    assert.equal(countryFor({ timezone: "Asia/Kolkata" }), "IN");
+    assert.equal(countryFor({}), null);
+});
+
+test("an LLM \"none\" never hides resources for an explicit statement", () => {
+    const verdict = combineSafetySignals(detectCrisisLanguage("I want to kill myself"), "none");
+    assert.equal(verdict.flagged, true);
+    assert.equal(verdict.level, "moderate");
+});
+
+test("the supportive message is written in every supported language", () => {
+    const english = safetyInsight("en");
+    for (const code of Object.keys(SUPPORTED_LANGUAGES).filter(code => code !== "en")) {
+        assert.ok(safetyInsight(code), code);
+        assert.notEqual(safetyInsight(code), english, code);
+    }
+    assert.equal(safetyInsight("und"), english);
+    assert.equal(safetyInsight(undefined), english);
+});
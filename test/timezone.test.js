@@ -0,0 +1,20 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { isValidDate, localDate } from "../services/timezone.js";
+
+test("isValidDate accepts real YYYY-MM-DD dates only", () => {
+    for (const date of ["2024-03-12", "2024-02-29", "1999-12-31"]) {
+        assert.equal(isValidDate(date), true, date);
+    }
+    for (const date of ["2023-02-29", "2024-13-01", "2024-00-10", "2024-3-12", "12-03-2024", "2024-03-12T00:00:00Z", "../2024", "", null, 20240312]) {
+        assert.equal(isValidDate(date), false, String(date));
+    }
+});
+
+test("localDate reads the calendar date in the given zone", () => {
+    const instant = new Date("2024-03-12T20:00:00Z");
+
+    assert.equal(localDate("UTC", instant), "2024-03-12");
+    assert.equal(localDate("Asia/Kolkata", instant), "2024-03-13");
+    assert.equal(localDate("America/Los_Angeles", instant), "2024-03-12");
+});
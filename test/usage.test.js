@@ -0,0 +1,106 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import admin from "../firebase-admin.js";
+import { estimateCost, operationType, usageWrites, aggregateCosts } from "../services/usage.js";
+
+const { FieldValue } = admin.firestore;
+
+test("estimateCost prices known models per million tokens", () => {
+    assert.equal(estimateCost("gemini-2.5-flash", { promptTokens: 1_000_000, outputTokens: 1_000_000 }), 2.8);
+    assert.equal(estimateCost("gpt-4o-mini", { promptTokens: 1200, outputTokens: 300 }), 0.00036);
+    assert.equal(estimateCost("rules-v1", { promptTokens: 5000, outputTokens: 5000 }), 0);
+    assert.equal(estimateCost("gemini-2.5-pro"), 0);
+});
+
+test("estimateCost rounds to micro-dollars", () => {
+    assert.equal(estimateCost("gemini-2.5-flash-lite", { promptTokens: 1, outputTokens: 1 }), 0.000001);
+});
+
+test("estimateCost uses the env prices for unlisted models", () => {
+    process.env.LLM_PRICE_INPUT_PER_M = "1";
+    process.env.LLM_PRICE_OUTPUT_PER_M = "3";
+    try {
+        assert.equal(estimateCost("custom-model", { promptTokens: 1000, outputTokens: 1000 }), 0.004);
+    } finally {
+        delete process.env.LLM_PRICE_INPUT_PER_M;
+        delete process.env.LLM_PRICE_OUTPUT_PER_M;
+    }
+    assert.equal(estimateCost("custom-model", { promptTokens: 1000, outputTokens: 1000 }), 0);
+});
+
+test("operationType buckets operations", () => {
+    assert.equal(operationType("text_analysis"), "text");
+    assert.equal(operationType("voice_analysis"), "voice");
+    assert.equal(operationType("weekly_report"), "weekly");
+    assert.equal(operationType("day_summary"), "other");
+});
+
+test("usageWrites builds the log entry and the user document increments", () => {
+    const now = new Date("2024-03-12T23:30:00Z");
+    const { log, totals } = usageWrites(now, {
+        operation: "voice_analysis",
+        provider: "gemini",
+        model: "gemini-2.5-flash",
+        usage: { promptTokens: 1000, outputTokens: 200 },
+        latencyMs: 850
+    });
+
+    assert.deepEqual(log, {
+        createdAt: now,
+        timestamp: now.getTime(),
+        date: "2024-03-12",
+        operation: "voice_analysis",
+        details: "",
+        provider: "gemini",
+        model: "gemini-2.5-flash",
+        promptTokens: 1000,
+        outputTokens: 200,
+        totalTokens: 1200,
+        latencyMs: 850,
+        estimatedCost: 0.0008,
+        success: true
+    });
+
+    // Every counter is an increment, never a read-modify-write
+    const increment = (field, n) => assert.ok(field.isEqual(FieldValue.increment(n)), `increment(${n})`);
+    increment(totals.apiRequestCount, 1);
+    increment(totals.apiUsage.byDate["2024-03-12"], 1);
+    increment(totals.apiUsage.byType.voice, 1);
+    increment(totals.apiUsage.tokens, 1200);
+    increment(totals.apiUsage.estimatedCost, 0.0008);
+    assert.equal(totals.apiUsage.lastUpdated, now.getTime());
+});
+
+test("usageWrites fills gaps for a call without usage data", () => {
+    const { log } = usageWrites(new Date(0), { operation: "text_analysis", success: false });
+
+    assert.equal(log.provider, null);
+    assert.equal(log.model, null);
+    assert.equal(log.totalTokens, 0);
+    assert.equal(log.latencyMs, null);
+    assert.equal(log.estimatedCost, 0);
+    assert.equal(log.success, false);
+});
+
+test("aggregateCosts sums overall, per day and per operation", () => {
+    const logs = [
+        { date: "2024-03-12", operation: "text_analysis", promptTokens: 100, outputTokens: 10, estimatedCost: 0.1 },
+        { date: "2024-03-12", operation: "voice_analysis", promptTokens: 200, outputTokens: 20, estimatedCost: 0.2 },
+        { date: "2024-03-11", operation: "text_analysis", promptTokens: 300 }
+    ];
+    const { total, byDate, byOperation } = aggregateCosts(logs);
+
+    assert.deepEqual(total, { calls: 3, promptTokens: 600, outputTokens: 30, estimatedCost: 0.3 });
+    assert.deepEqual(byDate["2024-03-12"], { calls: 2, promptTokens: 300, outputTokens: 30, estimatedCost: 0.3 });
+    assert.deepEqual(byDate["2024-03-11"], { calls: 1, promptTokens: 300, outputTokens: 0, estimatedCost: 0 });
+    assert.deepEqual(Object.keys(byOperation).sort(), ["text_analysis", "voice_analysis"]);
+    assert.equal(byOperation.text_analysis.calls, 2);
+});
+
+test("aggregateCosts of no logs is an empty total", () => {
+    assert.deepEqual(aggregateCosts([]), {
+        total: { calls: 0, promptTokens: 0, outputTokens: 0, estimatedCost: 0 },
+        byDate: {},
+        byOperation: {}
+    });
+});